@@ -0,0 +1,67 @@
+// app/api/fx/route.js
+import { NextResponse } from "next/server";
+
+/**
+ * GET /api/fx?pair=USDIDR                              -> kurs terkini
+ * GET /api/fx?pair=USDIDR&start=2024-01-01&end=2024-06-30 -> kurs terkini + histori harian (close)
+ *
+ * Sumber data: Yahoo Finance chart API (simbol `USDIDR=X`).
+ */
+
+const CACHE = {};
+const LATEST_TTL = 10 * 60 * 1000; // kurs terkini: 10 menit
+const HISTORY_TTL = 6 * 60 * 60 * 1000; // histori: 6 jam
+
+const toDateKey = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const pair = (searchParams.get("pair") || "USDIDR").toUpperCase();
+    if (!/^[A-Z]{6}$/.test(pair)) {
+      return NextResponse.json({ error: "pair must look like USDIDR" }, { status: 400 });
+    }
+    const start = searchParams.get("start");
+    const end = searchParams.get("end");
+    const withHistory = Boolean(start);
+
+    const cacheKey = `fx:${pair}:${start || ""}:${end || ""}`;
+    const now = Date.now();
+    if (CACHE[cacheKey] && CACHE[cacheKey].expires > now) {
+      return NextResponse.json(CACHE[cacheKey].data);
+    }
+
+    const period1 = withHistory ? Math.floor(new Date(start).getTime() / 1000) : Math.floor(now / 1000) - 7 * 86400;
+    const period2 = end ? Math.floor(new Date(end).getTime() / 1000) + 86400 : Math.floor(now / 1000);
+    if (!isFinite(period1) || !isFinite(period2)) {
+      return NextResponse.json({ error: "invalid start/end date" }, { status: 400 });
+    }
+
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${pair}=X?period1=${period1}&period2=${period2}&interval=1d`;
+    const res = await fetch(url, { headers: { "User-Agent": "Mozilla/5.0" }, cache: "no-store" });
+    if (!res.ok) {
+      const text = await res.text();
+      return NextResponse.json({ error: "Yahoo FX fetch failed", detail: text }, { status: 502 });
+    }
+    const json = await res.json();
+    const result = json?.chart?.result?.[0];
+    if (!result) {
+      return NextResponse.json({ error: "No FX data", detail: json?.chart?.error || null }, { status: 502 });
+    }
+
+    const timestamps = result.timestamp || [];
+    const closes = result.indicators?.quote?.[0]?.close || [];
+    const history = timestamps
+      .map((t, i) => ({ date: toDateKey(t * 1000), rate: closes[i] }))
+      .filter((p) => typeof p.rate === "number" && isFinite(p.rate) && p.rate > 0);
+
+    const latest = result.meta?.regularMarketPrice || history[history.length - 1]?.rate || null;
+    const out = { pair, rate: latest, asOf: (result.meta?.regularMarketTime || Math.floor(now / 1000)) * 1000 };
+    if (withHistory) out.history = history;
+
+    CACHE[cacheKey] = { data: out, expires: now + (withHistory ? HISTORY_TTL : LATEST_TTL) };
+    return NextResponse.json(out);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 500 });
+  }
+}
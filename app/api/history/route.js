@@ -0,0 +1,74 @@
+// app/api/history/route.js
+import { NextResponse } from "next/server";
+
+/**
+ * GET /api/history?type=stock&symbol=BBCA.JK&start=2024-01-01&end=2024-01-31
+ * GET /api/history?type=crypto&id=bitcoin&start=2024-01-01&end=2024-01-31
+ *   -> { symbol, currency, history: [{ date: 'YYYY-MM-DD', close }] }
+ *
+ * Saham via Yahoo Finance chart API (mata uang sesuai bursa, mis. IDR untuk .JK),
+ * crypto via CoinGecko market_chart/range (selalu USD, diambil harga terakhir per hari).
+ */
+
+const CACHE = {};
+const PAST_TTL = 6 * 60 * 60 * 1000; // rentang yang sudah lewat: 6 jam
+const RECENT_TTL = 30 * 60 * 1000; // rentang yang mencakup hari ini: 30 menit
+
+const toDateKey = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+async function fetchStockHistory(symbol, period1, period2) {
+  const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=1d`;
+  const res = await fetch(url, { headers: { "User-Agent": "Mozilla/5.0" }, cache: "no-store" });
+  if (!res.ok) throw new Error(`Yahoo history fetch failed: ${res.status}`);
+  const json = await res.json();
+  const result = json?.chart?.result?.[0];
+  if (!result) throw new Error("No price history");
+  const timestamps = result.timestamp || [];
+  const closes = result.indicators?.quote?.[0]?.close || [];
+  const history = timestamps
+    .map((t, i) => ({ date: toDateKey(t * 1000), close: closes[i] }))
+    .filter((p) => typeof p.close === "number" && isFinite(p.close) && p.close > 0);
+  return { symbol, currency: result.meta?.currency || "USD", history };
+}
+
+async function fetchCryptoHistory(id, period1, period2) {
+  const url = `https://api.coingecko.com/api/v3/coins/${encodeURIComponent(id)}/market_chart/range?vs_currency=usd&from=${period1}&to=${period2}`;
+  const res = await fetch(url, { cache: "no-store" });
+  if (!res.ok) throw new Error(`CoinGecko history fetch failed: ${res.status}`);
+  const json = await res.json();
+  const byDate = {};
+  (json.prices || []).forEach(([t, price]) => { byDate[toDateKey(t)] = price; });
+  const history = Object.keys(byDate).sort().map((date) => ({ date, close: byDate[date] }));
+  return { symbol: id, currency: "USD", history };
+}
+
+export async function GET(req) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const type = searchParams.get("type") || "stock";
+    const key = type === "crypto" ? searchParams.get("id") : searchParams.get("symbol");
+    const start = searchParams.get("start");
+    const end = searchParams.get("end") || toDateKey(Date.now());
+    if (!key || !start) {
+      return NextResponse.json({ error: "Missing symbol/id or start param" }, { status: 400 });
+    }
+
+    const cacheKey = `history:${type}:${key}:${start}:${end}`;
+    const now = Date.now();
+    if (CACHE[cacheKey] && CACHE[cacheKey].expires > now) {
+      return NextResponse.json(CACHE[cacheKey].data);
+    }
+
+    const period1 = Math.floor(new Date(start).getTime() / 1000);
+    const period2 = Math.floor(new Date(end).getTime() / 1000) + 86400;
+    if (!isFinite(period1) || !isFinite(period2)) {
+      return NextResponse.json({ error: "invalid start/end date" }, { status: 400 });
+    }
+
+    const data = type === "crypto" ? await fetchCryptoHistory(key, period1, period2) : await fetchStockHistory(key, period1, period2);
+    CACHE[cacheKey] = { data, expires: now + (end >= toDateKey(now) ? RECENT_TTL : PAST_TTL) };
+    return NextResponse.json(data);
+  } catch (err) {
+    return NextResponse.json({ error: err.message }, { status: 502 });
+  }
+}
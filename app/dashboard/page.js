@@ -1,7 +1,7 @@
 // Ganti seluruh isi file Anda dengan kode ini
 "use client";
 
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 
 // Komponen untuk memasukkan CSS kustom Anda
 const GlobalStyles = () => (
@@ -68,6 +68,12 @@ const ColorfulCashIcon = () => (
         <path d="M12 6V18M9.5 9h5M9.5 15h5" stroke="white" strokeWidth="2" strokeLinecap="round"/>
     </svg>
 );
+const ColorfulLiabilityIcon = () => (
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+        <circle cx="12" cy="12" r="10" fill="#dc2626"/>
+        <path d="M7 12h10" stroke="white" strokeWidth="2.5" strokeLinecap="round"/>
+    </svg>
+);
 const ColorfulNonLiquidIcon = () => (
     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
         <path d="M3 9.5L12 4L21 9.5V20C21 20.5523 20.5523 21 20 21H4C3.44772 21 3 20.5523 3 20V9.5Z" fill="#a16207" stroke="#78350f" strokeWidth="1.5" strokeLinejoin="round"/>
@@ -95,71 +101,95 @@ const PROXIED_YAHOO_QUOTE = (symbols) => PROXY_URL(YAHOO_QUOTE_URL(symbols));
 const COINGECKO_MARKETS_URL = (ids) => `${COINGECKO_API}/coins/markets?vs_currency=usd&ids=${encodeURIComponent(ids)}&price_change_percentage=24h&_cb=${new Date().getTime()}`; // Ditambahkan cache-buster
 const COINGECKO_MARKETS = (ids) => PROXY_URL(COINGECKO_MARKETS_URL(ids));
 
+// Pencarian aset (Yahoo untuk saham, CoinGecko untuk crypto) -> daftar saran { symbol, display, id?, image?, exchange?, type }.
+async function searchAssetSuggestions(q, mode) {
+  // PERUBAHAN 3: Menambahkan cache-buster untuk pencarian crypto
+  const url = mode === 'crypto'
+      ? PROXY_URL(`${COINGECKO_API}/search?query=${encodeURIComponent(q)}&_cb=${new Date().getTime()}`)
+      : PROXIED_YAHOO_SEARCH(q); // PROXIED_YAHOO_SEARCH sudah memiliki cache-buster
+  const res = await fetch(url);
+  if (!res.ok) throw new Error('Search API failed');
+  const j = await res.json();
+  if (mode === 'crypto') return (j.coins || []).slice(0, 10).map(c => ({ symbol: c.symbol.toUpperCase(), display: `${c.name} (${c.symbol.toUpperCase()})`, id: c.id, image: c.thumb, source: "coingecko", type: "crypto" }));
+  return (j.quotes || []).filter(it => it.shortname || it.longname).map(it => ({ symbol: it.symbol.toUpperCase(), display: `${it.shortname || it.longname} (${it.symbol.toUpperCase()})`, exchange: it.exchange, source: "yahoo", type: "stock" })).slice(0, 10);
+}
+// Stub aset dari saran pencarian; id sama dengan aset yang terbentuk saat dibeli.
+const suggestionStub = (p) => ({ id: `${p.type}:${p.symbol||p.id}`, type: p.type, symbol: p.symbol, name: p.display, image: p.image, coingeckoId: p.type === 'crypto' ? p.id : undefined });
+
 const isBrowser = typeof window !== "undefined";
 const toNum = (v) => { const n = Number(String(v).replace(/,/g, '').replace(/\s/g,'')); return isNaN(n) ? 0 : n; };
+// Salinan objek tanpa satu key (untuk state per-portfolio).
+const omitKey = (obj, key) => Object.fromEntries(Object.entries(obj).filter(([k]) => k !== key));
+
+/* ===================== Currency ===================== */
+// Locale per mata uang untuk format angka. Mata uang di luar daftar ini tetap bisa dipilih
+// (semua kode ISO dari Intl), formatnya jatuh ke en-US.
+const CURRENCY_LOCALES = { IDR: 'id-ID', USD: 'en-US', SGD: 'en-SG', EUR: 'de-DE', JPY: 'ja-JP', HKD: 'zh-HK', GBP: 'en-GB', AUD: 'en-AU', CNY: 'zh-CN', MYR: 'ms-MY', THB: 'th-TH', KRW: 'ko-KR', CHF: 'de-CH', CAD: 'en-CA' };
+const COMMON_CURRENCIES = ['IDR', 'USD', 'SGD', 'EUR', 'JPY', 'HKD', 'GBP', 'AUD', 'CNY', 'MYR'];
+const ALL_CURRENCIES = (typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : COMMON_CURRENCIES).filter(c => !COMMON_CURRENCIES.includes(c));
+
+// Jumlah desimal mengikuti ISO 4217 (JPY 0, USD 2, dst), kecuali Rupiah yang lazim ditulis tanpa sen.
+function currencyDecimals(code) {
+  if (code === 'IDR') return 0;
+  try { return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).resolvedOptions().maximumFractionDigits; } catch { return 2; }
+}
 
-function formatCurrency(value, valueIsUSD, displaySymbol, usdIdr) {
-  if (value === null || typeof value === 'undefined' || isNaN(Number(value))) {
-    return displaySymbol === '$' ? '$0.00' : 'Rp 0';
-  }
+function currencySymbol(code) {
+  try { return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', { style: 'currency', currency: code }).formatToParts(0).find(p => p.type === 'currency')?.value || code; } catch { return code; }
+}
 
-  let displayValue;
-  if (displaySymbol === '$') {
-    displayValue = valueIsUSD ? value : value / usdIdr;
-    const options = {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    };
-    if (Math.abs(displayValue) > 0 && Math.abs(displayValue) < 1) {
-      options.minimumFractionDigits = 8;
-      options.maximumFractionDigits = 8;
-    }
-    return new Intl.NumberFormat('en-US', options).format(displayValue);
-  } else { 
-    displayValue = valueIsUSD ? value * usdIdr : value;
-    return new Intl.NumberFormat('id-ID', {
-      style: 'currency',
-      currency: 'IDR',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(displayValue);
-  }
+function currencyName(code) {
+  try { return new Intl.DisplayNames(['en'], { type: 'currency' }).of(code); } catch { return code; }
 }
 
-function formatCurrencyShort(value, valueIsUSD, displaySymbol, usdIdr) {
-  let displayValue;
-  if (displaySymbol === '$') {
-    displayValue = valueIsUSD ? value : value / usdIdr;
-     return new Intl.NumberFormat('en-US', {
-      notation: 'compact',
-      compactDisplay: 'short',
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2,
-    }).format(displayValue);
-  } else { 
-    displayValue = valueIsUSD ? value * usdIdr : value;
-    if (displayValue >= 1000000000) {
-        return `Rp ${(displayValue / 1000000000).toFixed(2).replace('.', ',')}B`;
-    }
-    if (displayValue >= 1000000) {
-        return `Rp ${(displayValue / 1000000).toFixed(2).replace('.', ',')}M`;
-    }
-    if (displayValue >= 1000) {
-        return `Rp ${(displayValue / 1000).toFixed(2).replace('.', ',')}K`;
-    }
-    return new Intl.NumberFormat('id-ID', {
-      style: 'currency',
-      currency: 'IDR',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
-    }).format(displayValue);
+// Format nilai yang sudah dalam mata uang `code`. Harga di bawah 1 (crypto receh) diberi 8 desimal.
+function formatMoney(value, code) {
+  const v = Number(value) || 0;
+  const decimals = currencyDecimals(code);
+  const digits = decimals > 0 && Math.abs(v) > 0 && Math.abs(v) < 1 ? 8 : decimals;
+  return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', { style: 'currency', currency: code, minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v);
+}
+
+function formatMoneyShort(value, code) {
+  const v = Number(value) || 0;
+  if (code === 'IDR') {
+    if (v >= 1000000000) return `Rp ${(v / 1000000000).toFixed(2).replace('.', ',')}B`;
+    if (v >= 1000000) return `Rp ${(v / 1000000).toFixed(2).replace('.', ',')}M`;
+    if (v >= 1000) return `Rp ${(v / 1000).toFixed(2).replace('.', ',')}K`;
+    return formatMoney(v, code);
   }
+  return new Intl.NumberFormat(CURRENCY_LOCALES[code] || 'en-US', { notation: 'compact', compactDisplay: 'short', style: 'currency', currency: code, maximumFractionDigits: 2 }).format(v);
+}
+
+// `display` = { code, rate, base }: mata uang tampilan, kursnya per 1 USD, dan base currency portfolio.
+// Nilai sumber selalu USD (harga aset) atau IDR (saldo kas).
+function toDisplay(value, valueIsUSD, display, usdIdr) {
+  if (!valueIsUSD && display.code === 'IDR') return value;
+  return (valueIsUSD ? value : value / usdIdr) * display.rate;
+}
+
+// Kebalikan toDisplay untuk input form: angka dalam mata uang tampilan -> USD.
+const fromDisplay = (value, display) => value / display.rate;
+const displayToIDR = (value, display, usdIdr) => display.code === 'IDR' ? value : fromDisplay(value, display) * usdIdr;
+
+// Angka harga untuk input form: 8 desimal kecuali mata uang tanpa desimal (IDR, JPY).
+const toPriceInput = (value, code) => String(isFinite(value) ? (currencyDecimals(code) > 0 ? value.toFixed(8) : Math.round(value)) : '');
+
+function formatCurrency(value, valueIsUSD, display, usdIdr) {
+  if (value === null || typeof value === 'undefined' || isNaN(Number(value))) return formatMoney(0, display.code);
+  return formatMoney(toDisplay(Number(value), valueIsUSD, display, usdIdr), display.code);
 }
 
+function formatCurrencyShort(value, valueIsUSD, display, usdIdr) {
+  return formatMoneyShort(toDisplay(Number(value) || 0, valueIsUSD, display, usdIdr), display.code);
+}
+
+// Nilai yang punya padanan base currency historis (realized, invested, unrealized) ditampilkan apa adanya
+// bila mata uang tampilan = base currency, bukan dikonversi ulang dengan kurs hari ini.
+const showsBaseValues = (display) => display.code === display.base;
+function formatCurrencyDual(usdValue, baseValue, display, usdIdr) {
+  return showsBaseValues(display) ? formatMoney(baseValue, display.code) : formatCurrency(usdValue, true, display, usdIdr);
+}
 
 function formatQty(v) {
   const n = Number(v || 0);
@@ -169,7 +199,1113 @@ function formatQty(v) {
 }
 
 function ensureNumericAsset(a) {
-  return { ...a, id: a.id || `${a.type}:${a.symbol}:${Math.random()}`, name: a.name || a.symbol, shares: toNum(a.shares || 0), avgPrice: toNum(a.avgPrice || 0), investedUSD: toNum(a.investedUSD || 0), lastPriceUSD: toNum(a.lastPriceUSD || 0), change24hUSD: toNum(a.change24hUSD || 0), change24hPct: toNum(a.change24hPct || 0), createdAt: a.createdAt || Date.now(), purchaseDate: a.purchaseDate || a.createdAt || Date.now(), nonLiquidYoy: toNum(a.nonLiquidYoy || 0), type: a.type || "stock", image: a.image || null, };
+  return { ...a, id: a.id || `${a.type}:${a.symbol}:${Math.random()}`, name: a.name || a.symbol, shares: toNum(a.shares || 0), avgPrice: toNum(a.avgPrice || 0), investedUSD: toNum(a.investedUSD || 0), lastPriceUSD: toNum(a.lastPriceUSD || 0), change24hUSD: toNum(a.change24hUSD || 0), change24hPct: toNum(a.change24hPct || 0), createdAt: a.createdAt || Date.now(), purchaseDate: a.purchaseDate || a.createdAt || Date.now(), nonLiquidYoy: toNum(a.nonLiquidYoy || 0), type: a.type || "stock", image: a.image || null, investedBase: toNum(a.investedBase || 0), lots: Array.isArray(a.lots) ? a.lots : [], };
+}
+
+/* ===================== FX ===================== */
+const DEFAULT_USD_IDR = 16400;
+const FX_API = (pair, start, end) => `/api/fx?pair=${pair}${start ? `&start=${start}&end=${end}` : ''}`;
+const toDateKey = (t) => new Date(t).toISOString().slice(0, 10);
+// Nilai untuk <input type="datetime-local"> dalam zona waktu lokal.
+const toLocalInputValue = (t) => new Date(t - new Date(t).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+// Kurs pada tanggal t = close terakhir pada/sebelum tanggal itu dari tabel cache.
+// Tanpa histori sama sekali, jatuh ke kurs terkini.
+function makeFxLookup(entry, fallback) {
+  const history = entry?.history || {};
+  const dates = Object.keys(history).sort();
+  return (t) => {
+    if (dates.length === 0 || t == null) return fallback;
+    const key = toDateKey(t);
+    if (key < dates[0]) return history[dates[0]];
+    let lo = 0, hi = dates.length - 1;
+    while (lo < hi) { const mid = Math.ceil((lo + hi) / 2); if (dates[mid] <= key) lo = mid; else hi = mid - 1; }
+    return history[dates[lo]];
+  };
+}
+
+/* ===================== Price History ===================== */
+const HISTORY_API = (asset, start, end) => asset.type === 'crypto'
+  ? `/api/history?type=crypto&id=${encodeURIComponent(asset.coingeckoId)}&start=${start}&end=${end}`
+  : `/api/history?type=stock&symbol=${encodeURIComponent(asset.symbol)}&start=${start}&end=${end}`;
+
+// Close terakhir pada/sebelum tanggal t, dikonversi ke USD dengan kurs pada tanggal itu. null bila tidak tersedia.
+async function fetchHistoricalCloseUSD(asset, t, rateAt) {
+  if (!asset || asset.type === 'nonliquid' || (asset.type === 'crypto' && !asset.coingeckoId)) return null;
+  try {
+    const res = await fetch(HISTORY_API(asset, toDateKey(t - 10 * 86400000), toDateKey(t)));
+    if (!res.ok) return null;
+    const { currency, history = [] } = await res.json();
+    const point = history.filter(p => p.date <= toDateKey(t)).pop();
+    if (!point) return null;
+    return currency === 'IDR' ? point.close / rateAt(t) : point.close;
+  } catch (e) { console.error("Failed to fetch historical price", e); return null; }
+}
+
+// Aset likuid yang pernah muncul di transaksi (termasuk yang sudah dijual / posisi), dengan tanggal transaksi pertamanya,
+// sebagai daftar aset yang butuh histori harga untuk valuasi harian.
+function historyAssetsOf(txs) {
+  const out = {};
+  txs.forEach(tx => [tx.assetStub, tx.targetStub].forEach(stub => {
+    if (!stub?.id || !stub.symbol || stub.type === 'nonliquid' || (stub.type === 'crypto' && !stub.coingeckoId)) return;
+    if (!out[stub.id]) out[stub.id] = { ...stub, since: tx.date };
+    else out[stub.id].since = Math.min(out[stub.id].since, tx.date);
+  }));
+  return out;
+}
+
+// Benchmark untuk dibandingkan dengan return portfolio; histori diambil lewat /api/history (di-cache server).
+const BENCHMARKS = [
+  { key: 'JKSE', label: 'IHSG', type: 'stock', symbol: '^JKSE', color: '#f59e0b' },
+  { key: 'LQ45', label: 'LQ45', type: 'stock', symbol: '^JKLQ45', color: '#a855f7' },
+  { key: 'SPX', label: 'S&P 500', type: 'stock', symbol: '^GSPC', color: '#3b82f6' },
+  { key: 'NASDAQ', label: 'Nasdaq', type: 'stock', symbol: '^IXIC', color: '#06b6d4' },
+  { key: 'BTC', label: 'BTC', type: 'crypto', symbol: 'BTC', coingeckoId: 'bitcoin', color: '#f97316' },
+];
+
+// Histori close harian benchmark sebagai [{ t, v }] dalam IDR (indeks USD dikonversi dengan kurs harian) agar sebanding
+// dengan equity portfolio. t = akhir hari bursa.
+async function fetchBenchmarkSeries(benchmark, start, rateAt) {
+  const res = await fetch(HISTORY_API(benchmark, toDateKey(start), toDateKey(Date.now())));
+  if (!res.ok) throw new Error(`History fetch failed: ${res.status}`);
+  const { currency, history = [] } = await res.json();
+  return history.map(p => { const t = new Date(`${p.date}T23:59:59`).getTime(); return { t, v: currency === 'IDR' ? p.close : p.close * rateAt(t) }; });
+}
+
+/* ===================== Ledger ===================== */
+const COST_BASIS_METHODS = [
+  { key: 'average', label: 'Weighted Average' },
+  { key: 'fifo', label: 'FIFO (First In, First Out)' },
+  { key: 'lifo', label: 'LIFO (Last In, First Out)' },
+  { key: 'hifo', label: 'Highest Cost First' },
+  { key: 'specific', label: 'Specific Lot (pick on sell)' },
+];
+const costBasisLabel = (method) => (COST_BASIS_METHODS.find(m => m.key === method) || COST_BASIS_METHODS[0]).label;
+
+// Kas dipisah per mata uang. Transaksi kas menyimpan `cashCurrency`; transaksi lama tanpa field ini = IDR.
+// USDT dinilai setara USD. `amount` (deposit, withdraw, income, transfer kas) dalam mata uang kas tersebut.
+const CASH_CURRENCIES = ['IDR', 'USD', 'USDT'];
+const cashCurrencyOf = (tx) => CASH_CURRENCIES.includes(tx?.cashCurrency) ? tx.cashCurrency : 'IDR';
+// Mata uang kas yang dipakai untuk membeli aset: saham IDX dengan IDR, crypto dengan USDT, sisanya USD.
+const tradeCurrencyOf = (asset) => asset?.type === 'crypto' ? 'USDT' : feeMarketOf(asset) === 'idx' ? 'IDR' : 'USD';
+const cashToIDR = (balances, usdIdr) => CASH_CURRENCIES.reduce((s, c) => s + toNum(balances?.[c]) * (c === 'IDR' ? 1 : usdIdr), 0);
+// Kurs pasar antar mata uang kas (jumlah `to` per 1 `from`).
+const cashRate = (from, to, usdIdr) => (from === 'IDR' ? 1 / usdIdr : 1) * (to === 'IDR' ? usdIdr : 1);
+// USDT bukan kode ISO sehingga tidak bisa diformat Intl sebagai currency.
+const formatCash = (value, code) => code === 'USDT' ? `${formatMoney(value, 'USD').replace('$', '')} USDT` : formatMoney(value, code);
+
+// Nominal kas sebuah transaksi dalam mata uang kasnya (kolom Nominal di History). Nilai USD dibukukan ke kas IDR dengan kurs transaksi.
+function txCashNominal(tx, usdIdr) {
+  const ccy = cashCurrencyOf(tx);
+  const fromUSD = (usd) => ccy === 'IDR' ? formatMoney(usd * (toNum(tx.fxRate) || usdIdr), 'IDR') : formatCash(usd, ccy);
+  if (tx.type === 'fx_convert') return `${formatCash(tx.fromAmount, tx.fromCurrency)} → ${formatCash(tx.toAmount, tx.toCurrency)}`;
+  if ((TRANSFER_TYPES.includes(tx.type) && tx.assetId) || tx.type === 'appraisal' || tx.type === 'position_close') return '-';
+  if (tx.type === 'position_open' || tx.type === 'funding') return fromUSD(tx.type === 'funding' ? toNum(tx.fundingUSD) : toNum(tx.margin) + toNum(tx.fee));
+  if (tx.type === 'deposit' || tx.type === 'withdraw' || TRANSFER_TYPES.includes(tx.type) || tx.type === 'liability_open' || tx.type === 'liability_payment' || INCOME_TYPES.some(t => t.key === tx.type)) return formatCash(tx.amount || 0, ccy);
+  return fromUSD(tx.type === 'buy' || tx.type === 'corporate_action' ? toNum(tx.cost) + toNum(tx.fee) + toNum(tx.tax) : toNum(tx.proceeds) - toNum(tx.fee) - toNum(tx.tax));
+}
+
+// Jenis transaksi pendapatan. 'cash' menambah tradingBalance, 'units' menambah jumlah unit aset.
+const INCOME_TYPES = [
+  { key: 'dividend', label: 'Cash Dividend', kind: 'cash', needsAsset: true },
+  { key: 'stock_dividend', label: 'Stock Dividend', kind: 'units', needsAsset: true },
+  { key: 'coupon', label: 'Bond Coupon', kind: 'cash', needsAsset: true },
+  { key: 'interest', label: 'Deposit Interest', kind: 'cash', needsAsset: false },
+  { key: 'staking', label: 'Staking Reward', kind: 'units', needsAsset: true },
+];
+const CASH_INCOME_TYPES = INCOME_TYPES.filter(t => t.kind === 'cash').map(t => t.key);
+// Corporate action: split (type 'split') tidak menyentuh kas; rights issue (type 'corporate_action')
+// menambah unit dengan harga tebus sehingga kas berkurang; symbol change & merger memindahkan lot ke aset baru.
+const CORPORATE_ACTIONS = [
+  { key: 'split', label: 'Stock Split' },
+  { key: 'reverse_split', label: 'Reverse Split' },
+  { key: 'rights', label: 'Rights Issue' },
+  { key: 'symbol_change', label: 'Symbol Change' },
+  { key: 'merger', label: 'Merger / Conversion' },
+];
+const splitRatio = (tx) => toNum(tx.ratioFrom) > 0 ? toNum(tx.ratioTo) / toNum(tx.ratioFrom) : 1;
+const TX_TYPE_LABELS = { ...Object.fromEntries(INCOME_TYPES.map(t => [t.key, t.label])), delete: 'Liquidate', split: 'Split', corporate_action: 'Corporate Action', transfer_in: 'Transfer In', transfer_out: 'Transfer Out', appraisal: 'Appraisal', liability_open: 'New Liability', liability_payment: 'Loan Payment', position_open: 'Open Position', position_close: 'Close Position', funding: 'Funding', fx_convert: 'FX Conversion' };
+// Transaksi yang menutup posisi dan masuk ke statistik trade (win rate, realized gain/loss).
+const CLOSING_TX_TYPES = ['sell', 'delete', 'position_close'];
+// Transfer antar akun dicatat berpasangan (transfer_out di akun asal, transfer_in di akun tujuan, transferId sama).
+// Bukan deposit/withdraw, jadi tidak mengubah totalDeposits/netDeposit. Transfer unit membawa lot aslinya
+// (cost basis & tanggal beli) dan tidak menghasilkan realized P&L.
+const TRANSFER_TYPES = ['transfer_in', 'transfer_out'];
+const txTypeLabel = (type) => TX_TYPE_LABELS[type] || type;
+
+// Profil biaya broker/exchange. Semua angka dalam persen dari nilai transaksi (gross).
+// IDX: komisi broker + levy bursa, ditambah PPh final 0,1% khusus untuk penjualan.
+const FEE_PROFILES = [
+  { key: 'none', label: 'No fees', market: 'any' },
+  { key: 'idx_standard', label: 'IDX Broker (Standard)', market: 'idx', buyPct: 0.15, sellPct: 0.15, levyPct: 0.043, sellTaxPct: 0.1 },
+  { key: 'idx_online', label: 'IDX Broker (Online/Discount)', market: 'idx', buyPct: 0.1, sellPct: 0.1, levyPct: 0.043, sellTaxPct: 0.1 },
+  { key: 'binance', label: 'Binance', market: 'crypto', makerPct: 0.1, takerPct: 0.1 },
+  { key: 'indodax', label: 'Indodax', market: 'crypto', makerPct: 0.1, takerPct: 0.3 },
+  { key: 'tokocrypto', label: 'Tokocrypto', market: 'crypto', makerPct: 0.1, takerPct: 0.1 },
+  { key: 'us_broker', label: 'US Broker (Commission 0.1%)', market: 'other', buyPct: 0.1, sellPct: 0.1 },
+];
+const DEFAULT_FEE_PROFILES = { idx: 'idx_standard', crypto: 'binance', other: 'none' };
+const feeMarketOf = (asset) => asset?.type === 'crypto' ? 'crypto' : (asset?.type === 'stock' && asset?.symbol?.endsWith('.JK')) ? 'idx' : 'other';
+
+function computeTradeFees(profileKey, side, grossUSD, liquidity = 'taker') {
+  const profile = FEE_PROFILES.find(f => f.key === profileKey) || FEE_PROFILES[0];
+  const pct = (rate) => grossUSD * (rate || 0) / 100;
+  const commission = profile.market === 'crypto' ? pct(liquidity === 'maker' ? profile.makerPct : profile.takerPct) : pct(side === 'buy' ? profile.buyPct : profile.sellPct);
+  const levy = pct(profile.levyPct);
+  const tax = side === 'sell' ? pct(profile.sellTaxPct) : 0;
+  return { commission, levy, tax, fee: commission + levy, total: commission + levy + tax };
+}
+
+// Shares, invested dan avg price selalu diturunkan dari lot yang masih terbuka.
+function syncAssetFromLots(asset) {
+  asset.lots = asset.lots.filter(l => l.qty > 0.000000001);
+  asset.shares = asset.lots.reduce((s, l) => s + l.qty, 0);
+  asset.investedUSD = asset.lots.reduce((s, l) => s + l.qty * l.unitCostUSD, 0);
+  asset.investedBase = asset.lots.reduce((s, l) => s + l.qty * l.unitCostUSD * (l.baseRate || 0), 0);
+  asset.avgPrice = asset.shares > 0 ? asset.investedUSD / asset.shares : 0;
+  return asset;
+}
+
+// Urutan lot yang dipakai saat menjual. Lot pilihan user (specific) selalu diambil duluan,
+// sisanya jatuh ke FIFO.
+function orderLotsForSale(lots, method, lotId) {
+  let ordered;
+  if (method === 'lifo') ordered = [...lots].sort((a, b) => b.date - a.date);
+  else if (method === 'hifo') ordered = [...lots].sort((a, b) => b.unitCostUSD - a.unitCostUSD);
+  else ordered = [...lots].sort((a, b) => a.date - b.date);
+  if (lotId) { const picked = ordered.find(l => l.id === lotId); if (picked) ordered = [picked, ...ordered.filter(l => l !== picked)]; }
+  return ordered;
+}
+
+// Mengurangi lot sebanyak qty dan mengembalikan cost of sold beserta rincian lot yang terpakai.
+// Metode 'average' mengurangi semua lot secara proporsional supaya hasilnya sama dengan avg price.
+function consumeLots(asset, qty, method, lotId) {
+  const sellQty = Math.min(qty, asset.shares);
+  const consumed = [];
+  let costOfSold = 0;
+  if (sellQty <= 0) return { costOfSold, consumed };
+  if (method === 'average') {
+    const ratio = sellQty / asset.shares;
+    costOfSold = asset.avgPrice * sellQty;
+    asset.lots.forEach(l => { const take = l.qty * ratio; consumed.push({ lotId: l.id, qty: take, unitCostUSD: l.unitCostUSD, baseRate: l.baseRate, date: l.date }); l.qty -= take; });
+  } else {
+    let remaining = sellQty;
+    for (const lot of orderLotsForSale(asset.lots, method, lotId)) {
+      if (remaining <= 0.000000001) break;
+      const take = Math.min(lot.qty, remaining);
+      consumed.push({ lotId: lot.id, qty: take, unitCostUSD: lot.unitCostUSD, baseRate: lot.baseRate, date: lot.date });
+      costOfSold += take * lot.unitCostUSD; lot.qty -= take; remaining -= take;
+    }
+  }
+  syncAssetFromLots(asset);
+  return { costOfSold, consumed };
+}
+
+// Simulasi penjualan tanpa mengubah aset (dipakai untuk preview di TradeForm dan saat booking).
+function previewLotSale(asset, qty, method, lotId) {
+  const clone = { ...asset, lots: (asset.lots || []).map(l => ({ ...l })) };
+  return consumeLots(clone, qty, method, lotId);
+}
+
+// Liabilitas (utang) dicatat dalam IDR seperti kas: liability_open (amount = pokok) dan liability_payment.
+// Pencairan pinjaman hanya menambah kas bila toCash (mis. margin loan); angsuran hanya memotong kas bila fromCash.
+const LIABILITY_KINDS = [
+  { key: 'mortgage', label: 'Mortgage' },
+  { key: 'car_loan', label: 'Car Loan' },
+  { key: 'credit_card', label: 'Credit Card' },
+  { key: 'margin', label: 'Margin Loan' },
+  { key: 'personal', label: 'Personal Loan' },
+  { key: 'other', label: 'Other' },
+];
+const AMORTIZATION_TYPES = [
+  { key: 'annuity', label: 'Annuity (fixed installment)' },
+  { key: 'linear', label: 'Linear (fixed principal)' },
+  { key: 'interest_only', label: 'Interest only / revolving' },
+];
+const addMonths = (t, n) => { const d = new Date(t); d.setMonth(d.getMonth() + n); return d.getTime(); };
+
+// Bunga berjalan (sederhana, harian) atas saldo terutang sejak kejadian terakhir; dikapitalisasi saat pembayaran.
+const liabilityInterestAt = (l, t) => Math.max(0, l.balance) * (l.interestRate / 100) * Math.max(0, t - l.lastDate) / (365 * 86400000);
+const liabilityBalanceAt = (l, t = Date.now()) => l.balance + liabilityInterestAt(l, t);
+
+// Jadwal angsuran bulanan sesuai kontrak (dari pokok & tanggal awal). Tanpa tenor hanya menampilkan bunga bulanan.
+function amortizationSchedule({ principal, interestRate, termMonths, amortization, startDate }) {
+  const r = interestRate / 100 / 12; const n = Math.max(0, Math.round(termMonths)); const rows = [];
+  if (!n) return principal > 0 ? [{ n: 1, date: addMonths(startDate, 1), payment: principal * r, interest: principal * r, principal: 0, balance: principal }] : [];
+  const annuity = r > 0 ? principal * r / (1 - Math.pow(1 + r, -n)) : principal / n;
+  let balance = principal;
+  for (let i = 1; i <= n; i++) {
+    const interest = balance * r;
+    const principalPart = amortization === 'interest_only' ? (i === n ? balance : 0) : amortization === 'linear' ? principal / n : Math.min(balance, annuity - interest);
+    balance = Math.max(0, balance - principalPart);
+    rows.push({ n: i, date: addMonths(startDate, i), payment: interest + principalPart, interest, principal: principalPart, balance });
+  }
+  return rows;
+}
+
+// Posisi short / leveraged (perpetual futures, isolated margin) dicatat terpisah dari lot spot: position_open
+// memotong kas sebesar margin + fee, position_close mengembalikan margin + P&L (rugi maksimal sebesar margin),
+// funding (fundingUSD bertanda: + diterima, - dibayar) langsung menjadi realized P&L.
+const positionPnlUSD = (pos, priceUSD, qty = pos.qty) => (pos.direction === 'short' ? -1 : 1) * (priceUSD - pos.entryPriceUSD) * qty;
+// Harga likuidasi isolated margin: saat rugi menghabiskan margin dikurangi maintenance margin.
+const liquidationPrice = (pos) => {
+  const move = 1 / (pos.leverage || 1) - toNum(pos.maintenanceMargin) / 100;
+  return pos.direction === 'short' ? pos.entryPriceUSD * (1 + move) : Math.max(0, pos.entryPriceUSD * (1 - move));
+};
+
+// Nilai per unit aset non-likuid pada waktu t. Titik awalnya appraisal manual terakhir sebelum t (atau harga
+// beli rata-rata pada purchaseDate), lalu dikompound harian dengan laju tahunan (YoY, boleh negatif untuk
+// aset yang terdepresiasi seperti kendaraan). Appraisal boleh membawa laju baru untuk periode sesudahnya.
+function nonLiquidPriceUSD(asset, t = Date.now()) {
+  const appraisal = (asset.appraisals || []).filter(a => a.date <= t).reduce((last, a) => (!last || a.date >= last.date ? a : last), null);
+  const anchor = appraisal ? { price: toNum(appraisal.priceUSD), date: appraisal.date, yoy: appraisal.yoy ?? asset.nonLiquidYoy } : { price: asset.avgPrice, date: toNum(asset.purchaseDate) || t, yoy: asset.nonLiquidYoy };
+  const days = Math.max(0, Math.floor((t - anchor.date) / 86400000));
+  const dailyGrowth = Math.pow(1 + Math.max(-99.99, toNum(anchor.yoy)) / 100, 1 / 365);
+  return anchor.price * Math.pow(dailyGrowth, days);
+}
+
+// Replay seluruh transaksi dari nol. Realized P&L selalu dihitung ulang dari lot,
+// memakai metode yang tersimpan di transaksi jual (atau metode portfolio untuk data lama).
+// Konversi USD<->IDR memakai kurs yang tersimpan di transaksi (fxRate), atau kurs historis
+// pada tanggal transaksi untuk data lama. Cost basis dan realized P&L juga dicatat dalam base currency
+// pada kurs tanggal transaksi (baseRateAt; tanpa itu base = IDR), sehingga tidak ikut bergeser dengan kurs hari ini.
+// `issues` mencatat titik di mana ledger tidak konsisten (jual melebihi kepemilikan, kas minus).
+function replayLedger(txs, { usdIdr, costBasisMethod, rateAt, baseRateAt }) {
+  let newAssets = {}; const liabilities = {}; const positions = {}; let realizedUSD = 0; let realizedBase = 0; let totalDeposits = 0; let totalWithdrawals = 0; let totalIncome = 0;
+  const ledger = []; const issues = [];
+  const cash = Object.fromEntries(CASH_CURRENCIES.map(c => [c, 0]));
+  const checkCash = (tx) => { const short = CASH_CURRENCIES.find(c => cash[c] < (c === 'IDR' ? -1 : -0.01)); if (short) issues.push({ txId: tx.id, kind: 'cash', message: `Insufficient ${short} cash: balance would go negative on ${new Date(tx.date).toLocaleString()}.` }); };
+  const rateOf = (tx) => toNum(tx.fxRate) || (rateAt ? rateAt(tx.date) : usdIdr);
+  // addCash: nominal dalam mata uang kas transaksi; addCashUSD: nilai aset (USD), dikonversi hanya bila kasnya IDR.
+  const addCash = (tx, amount) => { cash[cashCurrencyOf(tx)] += amount; };
+  const addCashUSD = (tx, usd) => addCash(tx, cashCurrencyOf(tx) === 'IDR' ? usd * rateOf(tx) : usd);
+  const amountIDR = (tx) => cashCurrencyOf(tx) === 'IDR' ? tx.amount : tx.amount * rateOf(tx);
+  const baseRateOf = (tx) => baseRateAt ? baseRateAt(tx.date) : rateOf(tx);
+  const sortedTxs = [...txs].sort((a, b) => a.date - b.date);
+  for (const tx of sortedTxs) {
+    if (tx.type === 'deposit') { addCash(tx, tx.amount); totalDeposits += amountIDR(tx); ledger.push(tx); continue; }
+    if (tx.type === 'withdraw') { addCash(tx, -tx.amount); totalWithdrawals += amountIDR(tx); ledger.push(tx); checkCash(tx); continue; }
+    if (CASH_INCOME_TYPES.includes(tx.type)) { addCash(tx, tx.amount); totalIncome += amountIDR(tx); ledger.push(tx); continue; }
+    if (tx.type === 'fx_convert') { cash[tx.fromCurrency] -= toNum(tx.fromAmount); cash[tx.toCurrency] += toNum(tx.toAmount); ledger.push(tx); checkCash(tx); continue; }
+    if (tx.type === 'liability_open') {
+      liabilities[tx.liabilityId] = { id: tx.liabilityId, name: tx.name, liabilityKind: tx.liabilityKind || 'other', principal: tx.amount, interestRate: toNum(tx.interestRate), termMonths: toNum(tx.termMonths), amortization: tx.amortization || 'annuity', startDate: tx.date, balance: tx.amount, lastDate: tx.date, principalPaid: 0, interestPaid: 0 };
+      if (tx.toCash) addCash(tx, tx.amount);
+      ledger.push(tx); continue;
+    }
+    if (tx.type === 'liability_payment') {
+      const l = liabilities[tx.liabilityId];
+      if (!l) { ledger.push(tx); continue; }
+      const interest = liabilityInterestAt(l, tx.date); const interestPart = Math.min(tx.amount, interest);
+      if (tx.amount > l.balance + interest + 1) issues.push({ txId: tx.id, kind: 'liability', message: `Payment on ${new Date(tx.date).toLocaleString()} exceeds the ${formatMoney(l.balance + interest, 'IDR')} owed on ${l.name}.` });
+      l.balance = Math.max(0, l.balance + interest - tx.amount); l.lastDate = tx.date; l.interestPaid += interestPart; l.principalPaid += tx.amount - interestPart;
+      if (tx.fromCash) addCash(tx, -tx.amount);
+      ledger.push({ ...tx, interestPart, principalPart: tx.amount - interestPart }); checkCash(tx); continue;
+    }
+    if (tx.type === 'position_open') {
+      const margin = toNum(tx.margin) || tx.qty * tx.pricePerUnit / (toNum(tx.leverage) || 1);
+      positions[tx.positionId] = { id: tx.positionId, assetId: tx.assetId, symbol: tx.symbol, name: tx.name, assetStub: tx.assetStub, direction: tx.direction, leverage: toNum(tx.leverage) || 1, maintenanceMargin: toNum(tx.maintenanceMargin), qty: tx.qty, entryPriceUSD: tx.pricePerUnit, marginUSD: margin, openFeeUSD: toNum(tx.fee), fundingUSD: 0, openedAt: tx.date, cashCurrency: cashCurrencyOf(tx) };
+      addCashUSD(tx, -(margin + toNum(tx.fee)));
+      ledger.push(tx); checkCash(tx); continue;
+    }
+    if (tx.type === 'position_close') {
+      const pos = positions[tx.positionId];
+      if (!pos || tx.qty > pos.qty + 0.000000001) issues.push({ txId: tx.id, kind: 'holdings', message: `Closing ${formatQty(tx.qty)} ${tx.symbol} on ${new Date(tx.date).toLocaleString()} exceeds the ${formatQty(pos?.qty || 0)} open at that time.` });
+      if (!pos) { ledger.push(tx); continue; }
+      const qty = Math.min(tx.qty, pos.qty); const portion = qty / pos.qty;
+      const marginReleased = pos.marginUSD * portion; const openFee = pos.openFeeUSD * portion;
+      const pnl = Math.max(-marginReleased, positionPnlUSD(pos, tx.pricePerUnit, qty));
+      const realized = pnl - toNum(tx.fee) - openFee;
+      addCashUSD(tx, marginReleased + pnl - toNum(tx.fee));
+      realizedUSD += realized; realizedBase += realized * baseRateOf(tx);
+      ledger.push({ ...tx, direction: pos.direction, leverage: pos.leverage, entryPriceUSD: pos.entryPriceUSD, costOfSold: marginReleased, costOfSoldBase: marginReleased * baseRateOf(tx), realized, realizedBase: realized * baseRateOf(tx) });
+      pos.qty -= qty; pos.marginUSD -= marginReleased; pos.openFeeUSD -= openFee;
+      if (pos.qty <= 0.000000001) delete positions[tx.positionId];
+      continue;
+    }
+    if (tx.type === 'funding') {
+      const funding = toNum(tx.fundingUSD);
+      addCashUSD(tx, funding); realizedUSD += funding; realizedBase += funding * baseRateOf(tx);
+      if (positions[tx.positionId]) positions[tx.positionId].fundingUSD += funding;
+      ledger.push(tx); checkCash(tx); continue;
+    }
+    if (TRANSFER_TYPES.includes(tx.type) && !tx.assetId) { addCash(tx, tx.type === 'transfer_in' ? tx.amount : -tx.amount); ledger.push(tx); checkCash(tx); continue; }
+    const assetId = tx.assetId || `${tx.assetStub.type}:${tx.assetStub.symbol}`;
+    if (!newAssets[assetId]) { newAssets[assetId] = ensureNumericAsset({ ...tx.assetStub, shares: 0, investedUSD: 0, avgPrice: 0, lots: [] }); }
+    const asset = newAssets[assetId];
+    if (tx.type === 'buy') {
+      // Fee dan pajak beli dikapitalisasi ke cost basis lot.
+      const grossCost = tx.cost + toNum(tx.fee) + toNum(tx.tax);
+      addCashUSD(tx, -grossCost);
+      asset.lots.push({ id: tx.id, qty: tx.qty, unitCostUSD: tx.qty > 0 ? grossCost / tx.qty : 0, baseRate: baseRateOf(tx), date: tx.date });
+      syncAssetFromLots(asset);
+      ledger.push(tx);
+    } else if (tx.type === 'sell' || tx.type === 'delete') {
+      if (tx.qty > asset.shares + 0.000001) issues.push({ txId: tx.id, kind: 'holdings', message: `Selling ${formatQty(tx.qty)} ${asset.symbol} on ${new Date(tx.date).toLocaleString()} exceeds the ${formatQty(asset.shares)} held at that time.` });
+      const method = tx.costBasis || costBasisMethod;
+      const { costOfSold, consumed } = consumeLots(asset, tx.qty, method, tx.lotId);
+      const netProceeds = tx.proceeds - toNum(tx.fee) - toNum(tx.tax);
+      const realized = netProceeds - costOfSold;
+      const costOfSoldBase = consumed.reduce((s, l) => s + l.qty * l.unitCostUSD * (l.baseRate || baseRateOf(tx)), 0);
+      const realizedInBase = netProceeds * baseRateOf(tx) - costOfSoldBase;
+      addCashUSD(tx, netProceeds); realizedUSD += realized; realizedBase += realizedInBase;
+      ledger.push({ ...tx, costBasis: method, costOfSold, realized, costOfSoldBase, realizedBase: realizedInBase, lots: consumed });
+    } else if (tx.type === 'transfer_out') {
+      if (tx.qty > asset.shares + 0.000001) issues.push({ txId: tx.id, kind: 'holdings', message: `Transferring ${formatQty(tx.qty)} ${asset.symbol} on ${new Date(tx.date).toLocaleString()} exceeds the ${formatQty(asset.shares)} held at that time.` });
+      const method = tx.costBasis || costBasisMethod;
+      const { costOfSold, consumed } = consumeLots(asset, tx.qty, method, tx.lotId);
+      ledger.push({ ...tx, costBasis: method, costOfSold, lots: consumed });
+    } else if (tx.type === 'appraisal') {
+      // Appraisal tidak menyentuh kas maupun lot; hanya menjadi titik awal valuasi non-likuid berikutnya.
+      asset.appraisals = [...(asset.appraisals || []), { date: tx.date, priceUSD: toNum(tx.pricePerUnit), yoy: tx.nonLiquidYoy }];
+      ledger.push(tx);
+    } else if (tx.type === 'transfer_in') {
+      (tx.lots || []).forEach(l => asset.lots.push({ id: `${tx.id}:${l.lotId}`, qty: toNum(l.qty), unitCostUSD: toNum(l.unitCostUSD), baseRate: toNum(l.baseRate) || baseRateOf(tx), date: toNum(l.date) || tx.date }));
+      syncAssetFromLots(asset);
+      ledger.push(tx);
+    } else if (tx.type === 'stock_dividend' || tx.type === 'staking') {
+      // Stock dividend masuk sebagai lot berbiaya nol (nilainya muncul di unrealized P&L).
+      // Staking reward dicatat sebagai pendapatan senilai harga pasar saat diterima, dan nilai itu jadi cost basis lot-nya.
+      const unitCostUSD = tx.type === 'staking' ? toNum(tx.pricePerUnit) : 0;
+      asset.lots.push({ id: tx.id, qty: tx.qty, unitCostUSD, baseRate: baseRateOf(tx), date: tx.date });
+      syncAssetFromLots(asset);
+      if (tx.type === 'staking') totalIncome += tx.amount || 0;
+      ledger.push(tx);
+    } else if (tx.type === 'split') {
+      // Tanggal lot tetap, jadi holding period tidak terputus.
+      const ratio = splitRatio(tx);
+      asset.lots.forEach(l => { l.qty *= ratio; l.unitCostUSD /= ratio; });
+      syncAssetFromLots(asset);
+      ledger.push(tx);
+    } else if (tx.type === 'corporate_action') {
+      if (tx.action === 'rights') {
+        const cost = tx.qty * tx.pricePerUnit;
+        addCashUSD(tx, -cost);
+        asset.lots.push({ id: tx.id, qty: tx.qty, unitCostUSD: tx.pricePerUnit, baseRate: baseRateOf(tx), date: tx.date });
+        syncAssetFromLots(asset);
+      } else if (tx.targetStub) {
+        // Symbol change = merger dengan rasio 1. Cost basis total dan tanggal lot ikut pindah.
+        const ratio = tx.action === 'merger' ? (toNum(tx.ratio) || 1) : 1;
+        const targetId = tx.targetStub.id;
+        if (!newAssets[targetId]) newAssets[targetId] = ensureNumericAsset({ ...(tx.action === 'symbol_change' ? asset : {}), ...tx.targetStub, shares: 0, investedUSD: 0, avgPrice: 0, lots: [] });
+        const target = newAssets[targetId];
+        if (target !== asset) {
+          target.lots.push(...asset.lots.map(l => ({ ...l, qty: l.qty * ratio, unitCostUSD: l.unitCostUSD / ratio })));
+          asset.lots = [];
+          syncAssetFromLots(asset); syncAssetFromLots(target);
+        }
+      }
+      ledger.push(tx);
+    } else {
+      ledger.push(tx);
+    }
+    checkCash(tx);
+  }
+  return {
+    assets: Object.values(newAssets).filter(a => a.shares > 0.000001),
+    summaries: { realizedUSD, realizedBase, tradingBalance: cashToIDR(cash, usdIdr), cashBalances: cash, totalDeposits, totalWithdrawals, totalIncome },
+    liabilities: Object.values(liabilities),
+    positions: Object.values(positions),
+    ledger,
+    issues,
+  };
+}
+
+// Pesan error pertama untuk inkonsistensi yang baru muncul akibat perubahan ledger, atau null.
+// Issue yang sudah ada sebelumnya (data lama) tidak menghalangi edit.
+function findNewLedgerIssue(prevTxs, nextTxs, opts) {
+  const known = new Set(replayLedger(prevTxs, opts).issues.map(i => `${i.txId}:${i.kind}`));
+  return replayLedger(nextTxs, opts).issues.find(i => !known.has(`${i.txId}:${i.kind}`))?.message || null;
+}
+
+// Lot di transfer_in adalah salinan lot yang dikonsumsi transfer_out pasangannya. Setelah ledger akun sumber berubah
+// (mis. buy lama diedit atau dihapus), lot itu dihitung ulang dari replay sumber, berantai bila akun tujuan juga
+// mentransfer lagi. Hasilnya perubahan tambahan { [portfolioId]: txs } untuk akun tujuan yang lot-nya bergeser.
+function syncTransferLots(txsByPortfolio, changes, opts) {
+  const next = { ...txsByPortfolio, ...changes }; const extra = {};
+  let pending = Object.keys(changes);
+  for (let pass = 0; pending.length > 0 && pass < Object.keys(next).length; pass++) {
+    const touched = new Set();
+    pending.forEach(pid => replayLedger(next[pid] || [], opts).ledger.filter(e => e.type === 'transfer_out' && e.assetId).forEach(out => {
+      const peerTxs = next[out.peerPortfolioId] || [];
+      const inTx = peerTxs.find(tx => tx.transferId === out.transferId && tx.type === 'transfer_in');
+      const lots = out.lots.map(l => ({ lotId: l.lotId, qty: l.qty, unitCostUSD: l.unitCostUSD, baseRate: l.baseRate, date: l.date }));
+      if (!inTx || JSON.stringify(inTx.lots) === JSON.stringify(lots)) return;
+      next[out.peerPortfolioId] = extra[out.peerPortfolioId] = peerTxs.map(tx => tx === inTx ? { ...tx, lots } : tx);
+      touched.add(out.peerPortfolioId);
+    }));
+    pending = [...touched];
+  }
+  return extra;
+}
+
+// Gabungkan hasil replay beberapa portfolio untuk tampilan "All accounts". Tiap akun di-replay sendiri
+// (lot akun A tidak boleh terpakai oleh penjualan di akun B), baru lot & ringkasannya dijumlahkan.
+function mergeReplays(results) {
+  const assets = {}; const summaries = {};
+  results.forEach(r => {
+    r.assets.forEach(a => {
+      const merged = assets[a.id] || (assets[a.id] = { ...a, lots: [] });
+      merged.lots = [...merged.lots, ...a.lots];
+      merged.purchaseDate = Math.min(toNum(merged.purchaseDate) || Infinity, toNum(a.purchaseDate) || Infinity);
+    });
+    Object.entries(r.summaries).forEach(([k, v]) => { summaries[k] = typeof v === 'object' ? Object.fromEntries(Object.entries(v).map(([c, x]) => [c, toNum(summaries[k]?.[c]) + x])) : (summaries[k] || 0) + v; });
+  });
+  return {
+    assets: Object.values(assets).map(syncAssetFromLots),
+    summaries,
+    liabilities: results.flatMap(r => r.liabilities),
+    positions: results.flatMap(r => r.positions),
+    ledger: results.flatMap(r => r.ledger),
+    issues: results.flatMap(r => r.issues),
+  };
+}
+
+/* ===================== Returns ===================== */
+// Arus kas eksternal sebuah transaksi dalam IDR (positif = uang masuk ke portfolio). Deposit, withdraw, transfer kas
+// antar akun serta pencairan/cicilan utang bukan hasil investasi, jadi dikeluarkan dari TWR dan menjadi arus XIRR.
+function externalCashFlowIDR(tx, usdIdr) {
+  const amount = cashCurrencyOf(tx) === 'IDR' ? toNum(tx.amount) : toNum(tx.amount) * usdIdr;
+  if (tx.type === 'deposit' || (tx.type === 'transfer_in' && !tx.assetId) || (tx.type === 'liability_open' && tx.toCash)) return amount;
+  if (tx.type === 'withdraw' || (tx.type === 'transfer_out' && !tx.assetId) || (tx.type === 'liability_payment' && tx.fromCash)) return -amount;
+  return 0;
+}
+
+// XIRR dari arus kas [{ t, amount }] (negatif = uang disetor investor), per `periodDays` hari (default tahunan).
+// Newton-Raphson, fallback bisection.
+function xirr(flows, periodDays = 365) {
+  if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+  const t0 = Math.min(...flows.map(f => f.t));
+  const npv = (r) => flows.reduce((s, f) => s + f.amount / Math.pow(1 + r, (f.t - t0) / (periodDays * 86400000)), 0);
+  let r = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const v = npv(r); const dv = (npv(r + 1e-6) - v) / 1e-6;
+    if (!isFinite(v) || !isFinite(dv) || dv === 0) break;
+    const next = r - v / dv;
+    if (Math.abs(next - r) < 1e-9) return next > -1 ? next : null;
+    r = next <= -1 ? (r - 1) / 2 : next;
+  }
+  let lo = -0.9999, hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let i = 0; i < 200; i++) { const mid = (lo + hi) / 2; if (npv(lo) * npv(mid) <= 0) hi = mid; else lo = mid; }
+  return (lo + hi) / 2;
+}
+const annualize = (ret, days) => ret == null || days <= 0 ? null : Math.pow(1 + ret, 365 / days) - 1;
+
+// Return periode (from, to] dari equity series yang titiknya membawa `flow` (IDR, sudah termasuk dalam v).
+// TWR: return sub-periode antar arus kas dirantai; MWR: XIRR periode itu, dikembalikan ke return periode (tidak disetahunkan).
+function periodReturn(series, from, to) {
+  const valueAt = (t) => { let v = 0; for (const p of series) { if (p.t <= t) v = p.v; else break; } return v; };
+  const flowsByTime = {};
+  series.forEach(p => { if (p.flow && p.t > from && p.t <= to) flowsByTime[p.t] = (flowsByTime[p.t] || 0) + p.flow; });
+  const startEquity = valueAt(from); const endEquity = valueAt(to);
+  let growth = 1; let base = startEquity; let netFlow = 0;
+  Object.keys(flowsByTime).map(Number).sort((a, b) => a - b).forEach(t => {
+    const flow = flowsByTime[t]; const after = valueAt(t);
+    if (base > 0) growth *= (after - flow) / base;
+    base = after; netFlow += flow;
+  });
+  if (base > 0) growth *= endEquity / base;
+  const twr = startEquity > 0 || netFlow !== 0 ? growth - 1 : null;
+  const cashflows = [{ t: from, amount: -startEquity }, ...Object.entries(flowsByTime).map(([t, flow]) => ({ t: Number(t), amount: -flow })), { t: to, amount: endEquity }].filter(f => f.amount !== 0);
+  const days = (to - from) / 86400000; const mwr = days > 0 ? xirr(cashflows, days) : null;
+  return { startEquity, endEquity, netFlow, pnl: endEquity - startEquity - netFlow, twr, mwr, xirr: annualize(mwr, days) };
+}
+
+// Indeks TWR kumulatif (mulai dari 1) untuk tiap titik equity series; arus kas eksternal dinetralkan di titik itu.
+function twrIndexSeries(series) {
+  let index = 1, prev = 0; const out = [];
+  for (const p of series) { if (prev > 0) index *= (p.v - (p.flow || 0)) / prev; prev = p.v; out.push({ t: p.t, v: index }); }
+  return out;
+}
+const seriesValueAt = (series, t) => { let lo = 0, hi = series.length - 1, v = series[0]?.v ?? 0; while (lo <= hi) { const mid = (lo + hi) >> 1; if (series[mid].t <= t) { v = series[mid].v; lo = mid + 1; } else hi = mid - 1; } return v; };
+
+// Perbandingan indeks TWR portfolio dengan benchmark pada tanggal-tanggal bursa benchmark dalam [from, to].
+// beta = cov/var return periodik, alpha (Jensen, tanpa risk-free) & tracking error disetahunkan,
+// tracking difference = return portfolio - return benchmark untuk seluruh rentang.
+function benchmarkStats(portfolioIndex, bench, from, to) {
+  const pts = bench.filter(p => p.t >= from && p.t <= to && p.v > 0);
+  if (pts.length < 3) return null;
+  const pv = pts.map(p => seriesValueAt(portfolioIndex, p.t));
+  const rp = [], rb = [];
+  for (let i = 1; i < pts.length; i++) if (pv[i - 1] > 0) { rp.push(pv[i] / pv[i - 1] - 1); rb.push(pts[i].v / pts[i - 1].v - 1); }
+  if (rp.length < 2) return null;
+  const mean = (a) => a.reduce((s, x) => s + x, 0) / a.length;
+  const mp = mean(rp), mb = mean(rb);
+  const cov = rp.reduce((s, x, i) => s + (x - mp) * (rb[i] - mb), 0) / (rp.length - 1);
+  const varB = rb.reduce((s, x) => s + (x - mb) ** 2, 0) / (rb.length - 1);
+  const diffs = rp.map((x, i) => x - rb[i]); const md = mean(diffs);
+  const perYear = rp.length / Math.max((pts[pts.length - 1].t - pts[0].t) / (365 * 86400000), 1 / 365);
+  const beta = varB > 0 ? cov / varB : null;
+  const portfolioReturn = pv[pv.length - 1] / pv[0] - 1; const benchmarkReturn = pts[pts.length - 1].v / pts[0].v - 1;
+  return { beta, alpha: beta == null ? null : (mp - beta * mb) * perYear, portfolioReturn, benchmarkReturn, trackingDifference: portfolioReturn - benchmarkReturn, trackingError: Math.sqrt(diffs.reduce((s, x) => s + (x - md) ** 2, 0) / (diffs.length - 1) * perYear) };
+}
+
+// Return per aset sejak pembelian pertama (USD). Valuasi di antara transaksi memakai harga transaksi itu sendiri,
+// jadi TWR per aset tidak butuh histori harga. Dividen/kupon tunai dihitung sebagai uang yang kembali ke investor.
+function assetReturnStats(txs, assetId, priceUSD, usdIdr, now = Date.now()) {
+  const sorted = txs.filter(tx => tx.assetId === assetId && !tx.positionId).sort((a, b) => a.date - b.date);
+  if (!sorted.some(tx => tx.type === 'buy' || tx.type === 'transfer_in' || (tx.type === 'corporate_action' && tx.action === 'rights'))) return null;
+  let shares = 0, lastValue = 0, lastPrice = 0, pendingIncome = 0, growth = 1, invested = 0, returned = 0;
+  const flows = [];
+  // Nilai sebelum transaksi harga `price`: sub-periode TWR ditutup di sini.
+  const mark = (price) => { const before = shares * price + pendingIncome; if (lastValue > 0) growth *= before / lastValue; pendingIncome = 0; lastPrice = price; };
+  for (const tx of sorted) {
+    const rate = toNum(tx.fxRate) || usdIdr;
+    if (tx.type === 'buy' || (tx.type === 'corporate_action' && tx.action === 'rights')) {
+      mark(tx.pricePerUnit); const paid = toNum(tx.cost) + toNum(tx.fee) + toNum(tx.tax);
+      shares += tx.qty; invested += paid; flows.push({ t: tx.date, amount: -paid });
+    } else if (tx.type === 'sell' || tx.type === 'delete') {
+      mark(tx.pricePerUnit); const got = toNum(tx.proceeds) - toNum(tx.fee) - toNum(tx.tax);
+      shares = Math.max(0, shares - tx.qty); returned += got; flows.push({ t: tx.date, amount: got });
+    } else if (TRANSFER_TYPES.includes(tx.type)) {
+      // Transfer unit dinilai dengan cost lot yang dibawa (tidak ada harga pasar pada transaksi transfer).
+      const unitCost = tx.lots?.length ? tx.lots.reduce((s, l) => s + l.qty * l.unitCostUSD, 0) / tx.lots.reduce((s, l) => s + l.qty, 0) : lastPrice;
+      mark(lastPrice || unitCost); const value = tx.qty * (lastPrice || unitCost);
+      if (tx.type === 'transfer_in') { shares += tx.qty; invested += value; flows.push({ t: tx.date, amount: -value }); }
+      else { shares = Math.max(0, shares - tx.qty); returned += value; flows.push({ t: tx.date, amount: value }); }
+    } else if (CASH_INCOME_TYPES.includes(tx.type)) {
+      const usd = cashCurrencyOf(tx) === 'IDR' ? toNum(tx.amount) / rate : toNum(tx.amount);
+      pendingIncome += usd; returned += usd; flows.push({ t: tx.date, amount: usd });
+    } else if (tx.type === 'stock_dividend' || tx.type === 'staking') shares += toNum(tx.qty);
+    else if (tx.type === 'split') { shares *= splitRatio(tx); lastPrice /= splitRatio(tx); }
+    else continue;
+    lastValue = shares * lastPrice;
+  }
+  const value = shares * priceUSD;
+  if (lastValue > 0) growth *= (value + pendingIncome) / lastValue;
+  const since = sorted[0].date; const days = (now - since) / 86400000;
+  const irr = xirr([...flows, { t: now, amount: value }].filter(f => f.amount !== 0));
+  return { since, invested, returned, value, twr: growth - 1, twrAnnualized: annualize(growth - 1, days), xirr: irr };
+}
+
+/* ===================== Equity History ===================== */
+// Valuasi harian: holdings di-replay per hari dan dinilai dengan close historis (dailyCloses = { [assetId]: { currency,
+// history: { 'YYYY-MM-DD': close } } }) serta kurs pada hari itu. Titik per transaksi membawa `flow` untuk TWR/XIRR,
+// ditambah satu titik akhir hari untuk setiap hari sampai kemarin; hari ini memakai harga live. Titik akhir hari membawa
+// `snapshot` (equity, kas, cost basis, nilai per aset, arus kas hari itu) untuk disimpan sebagai snapshot harian.
+// Aset tanpa histori (non-likuid, atau belum ter-fetch) jatuh ke harga live / cost rata-rata seperti sebelumnya.
+function buildEquitySeries(txs, { assets = [], markPrices = {}, dailyCloses = {}, rateAt, fxFrom = null, finalEquity, now = Date.now() }) {
+  const sortedTx = [...txs].sort((a, b) => a.date - b.date);
+  if (sortedTx.length === 0) return [{ t: now - 86400000, v: 0 }, { t: now, v: 0 }];
+  const today = toDateKey(now);
+  const assetsById = Object.fromEntries(assets.map(a => [a.id, a]));
+  const lookups = {};
+  Object.entries(dailyCloses).forEach(([id, entry]) => { if (Object.keys(entry?.history || {}).length) lookups[id] = makeFxLookup(entry, null); });
+  // Close dari Yahoo sudah disesuaikan split; sebelum split dikalikan rasio split-split sesudahnya agar sebanding dengan jumlah unit saat itu.
+  const splitsByAsset = {};
+  sortedTx.filter(tx => tx.type === 'split').forEach(tx => { (splitsByAsset[tx.assetId] = splitsByAsset[tx.assetId] || []).push(tx); });
+  const splitFactorAfter = (assetId, t) => (splitsByAsset[assetId] || []).reduce((f, tx) => tx.date > t ? f * splitRatio(tx) : f, 1);
+  const historicalPriceUSD = (assetId, t) => {
+    if (!lookups[assetId] || toDateKey(t) >= today) return null;
+    const close = lookups[assetId](t) * splitFactorAfter(assetId, t);
+    return dailyCloses[assetId].currency === 'IDR' ? close / rateAt(t) : close;
+  };
+  const holdingPriceUSD = (assetId, holding, t) => {
+    const liveAsset = assetsById[assetId];
+    if (liveAsset?.type === 'nonliquid') return nonLiquidPriceUSD(liveAsset, t);
+    return historicalPriceUSD(assetId, t) ?? (liveAsset ? liveAsset.lastPriceUSD : holding.avgPrice);
+  };
+
+  const points = []; const cash = Object.fromEntries(CASH_CURRENCIES.map(c => [c, 0])); const currentHoldings = {}; const openPositions = {};
+  const addCash = (tx, amount) => { cash[cashCurrencyOf(tx)] += amount; };
+  const addCashUSD = (tx, usd) => addCash(tx, cashCurrencyOf(tx) === 'IDR' ? usd * (toNum(tx.fxRate) || rateAt(tx.date)) : usd);
+  // Terapkan satu transaksi ke state; kembalikan arus kas eksternal (IDR). Transfer unit dinilai dengan harga valuasi yang sama.
+  const apply = (tx) => {
+    let flow = externalCashFlowIDR(tx, rateAt(tx.date));
+    if (tx.type === 'deposit') addCash(tx, tx.amount);
+    else if (tx.type === 'withdraw') addCash(tx, -tx.amount);
+    else if (CASH_INCOME_TYPES.includes(tx.type)) addCash(tx, tx.amount);
+    else if (tx.type === 'fx_convert') { cash[tx.fromCurrency] -= toNum(tx.fromAmount); cash[tx.toCurrency] += toNum(tx.toAmount); }
+    else if (TRANSFER_TYPES.includes(tx.type) && !tx.assetId) addCash(tx, tx.type === 'transfer_in' ? tx.amount : -tx.amount);
+    else if (tx.type === 'position_open') {
+      const margin = toNum(tx.margin) || tx.qty * tx.pricePerUnit / (toNum(tx.leverage) || 1);
+      addCashUSD(tx, -(margin + toNum(tx.fee)));
+      openPositions[tx.positionId] = { assetId: tx.assetId, direction: tx.direction, qty: tx.qty, entryPriceUSD: tx.pricePerUnit, marginUSD: margin };
+    }
+    else if (tx.type === 'position_close' && openPositions[tx.positionId]) {
+      const pos = openPositions[tx.positionId]; const qty = Math.min(tx.qty, pos.qty); const released = pos.marginUSD * (qty / pos.qty);
+      addCashUSD(tx, released + Math.max(-released, positionPnlUSD(pos, tx.pricePerUnit, qty)) - toNum(tx.fee));
+      pos.qty -= qty; pos.marginUSD -= released;
+    }
+    else if (tx.type === 'funding') addCashUSD(tx, toNum(tx.fundingUSD));
+    else if (tx.type === 'liability_open') { if (tx.toCash) addCash(tx, tx.amount); }
+    else if (tx.type === 'liability_payment') { if (tx.fromCash) addCash(tx, -tx.amount); }
+    else if (tx.type === 'transfer_in') {
+      const asset = currentHoldings[tx.assetId] || { shares: 0, avgPrice: 0, invested: 0 };
+      asset.invested += (tx.lots || []).reduce((s, l) => s + toNum(l.qty) * toNum(l.unitCostUSD), 0); asset.shares += tx.qty; asset.avgPrice = asset.shares > 0 ? asset.invested / asset.shares : 0;
+      currentHoldings[tx.assetId] = asset;
+      flow = tx.qty * holdingPriceUSD(tx.assetId, asset, tx.date) * rateAt(tx.date);
+    }
+    else if (tx.type === 'transfer_out') {
+      if (currentHoldings[tx.assetId]) { const asset = currentHoldings[tx.assetId]; flow = -tx.qty * holdingPriceUSD(tx.assetId, asset, tx.date) * rateAt(tx.date); asset.invested -= asset.avgPrice * tx.qty; asset.shares -= tx.qty; }
+    }
+    else if (tx.type === 'stock_dividend' || tx.type === 'staking') {
+      const asset = currentHoldings[tx.assetId] || { shares: 0, avgPrice: 0, invested: 0 };
+      const newInvested = asset.invested + tx.qty * toNum(tx.pricePerUnit); const newShares = asset.shares + tx.qty;
+      asset.invested = newInvested; asset.shares = newShares; asset.avgPrice = newShares > 0 ? newInvested / newShares : 0;
+      currentHoldings[tx.assetId] = asset;
+    }
+    else if (tx.type === 'split') {
+      if (currentHoldings[tx.assetId]) { const ratio = splitRatio(tx); currentHoldings[tx.assetId].shares *= ratio; currentHoldings[tx.assetId].avgPrice /= ratio; }
+    }
+    else if (tx.type === 'corporate_action' && tx.action === 'rights') {
+      addCashUSD(tx, -tx.cost);
+      const asset = currentHoldings[tx.assetId] || { shares: 0, avgPrice: 0, invested: 0 };
+      asset.invested += tx.cost; asset.shares += tx.qty; asset.avgPrice = asset.shares > 0 ? asset.invested / asset.shares : 0;
+      currentHoldings[tx.assetId] = asset;
+    }
+    else if (tx.type === 'corporate_action' && tx.targetStub && currentHoldings[tx.assetId]) {
+      const ratio = tx.action === 'merger' ? (toNum(tx.ratio) || 1) : 1;
+      const from = currentHoldings[tx.assetId]; const to = currentHoldings[tx.targetStub.id] || { shares: 0, avgPrice: 0, invested: 0 };
+      to.invested += from.invested; to.shares += from.shares * ratio; to.avgPrice = to.shares > 0 ? to.invested / to.shares : 0;
+      currentHoldings[tx.targetStub.id] = to; delete currentHoldings[tx.assetId];
+    }
+    else if (tx.type === 'buy') {
+      addCashUSD(tx, -(tx.cost + toNum(tx.fee) + toNum(tx.tax)));
+      const asset = currentHoldings[tx.assetId] || { shares: 0, avgPrice: 0, invested: 0 };
+      const newInvested = asset.invested + tx.cost; const newShares = asset.shares + tx.qty;
+      asset.invested = newInvested; asset.shares = newShares; asset.avgPrice = newShares > 0 ? newInvested / newShares : 0;
+      currentHoldings[tx.assetId] = asset;
+    } else if (tx.type === 'sell' || tx.type === 'delete') {
+      addCashUSD(tx, tx.proceeds - toNum(tx.fee) - toNum(tx.tax));
+      if (currentHoldings[tx.assetId]) {
+        const asset = currentHoldings[tx.assetId];
+        asset.invested -= asset.avgPrice * tx.qty; asset.shares -= tx.qty;
+      }
+    }
+    return flow;
+  };
+  // detail (opsional) diisi nilai IDR per aset/posisi.
+  const valueAt = (t, detail) => {
+    let holdingsValueUSD = 0;
+    for (const assetId in currentHoldings) {
+      const holding = currentHoldings[assetId];
+      if (Math.abs(holding.shares) <= 0.000000001) continue;
+      const value = holding.shares * holdingPriceUSD(assetId, holding, t);
+      holdingsValueUSD += value; if (detail) detail[assetId] = (detail[assetId] || 0) + value * rateAt(t);
+    }
+    for (const pos of Object.values(openPositions)) {
+      if (pos.qty <= 0.000000001) continue;
+      const mark = historicalPriceUSD(pos.assetId, t) ?? (markPrices[pos.assetId] || assetsById[pos.assetId]?.lastPriceUSD || pos.entryPriceUSD);
+      const value = pos.marginUSD + Math.max(-pos.marginUSD, positionPnlUSD(pos, mark));
+      holdingsValueUSD += value; if (detail) detail[pos.assetId] = (detail[pos.assetId] || 0) + value * rateAt(t);
+    }
+    return cashToIDR(cash, rateAt(t)) + holdingsValueUSD * rateAt(t);
+  };
+  const snapshotAt = (t, flow) => {
+    const assetValues = {}; const equity = valueAt(t, assetValues);
+    const invested = Object.values(currentHoldings).reduce((sum, h) => sum + (h.shares > 0.000000001 ? h.invested : 0), 0) * rateAt(t);
+    return { date: toDateKey(t), t, equity, flow, cash: cashToIDR(cash, rateAt(t)), cashBalances: { ...cash }, invested, assets: assetValues };
+  };
+  // Sumber harga hari itu: kurs historis tersedia (fxFrom = tanggal pertama histori kurs) dan aset mana yang dinilai dari
+  // close historis. Masuk ke sig snapshot, jadi snapshot yang dibuat dari harga fallback dihitung ulang saat histori datang.
+  const coverageAt = (t) => {
+    const held = [...Object.keys(currentHoldings).filter(id => Math.abs(currentHoldings[id].shares) > 0.000000001), ...Object.values(openPositions).filter(p => p.qty > 0.000000001).map(p => p.assetId)];
+    return `${fxFrom && toDateKey(t) >= fxFrom ? 1 : 0}|${[...new Set(held)].filter(id => historicalPriceUSD(id, t) != null).sort().join()}`;
+  };
+
+  const dayEnd = new Date(sortedTx[0].date); dayEnd.setHours(23, 59, 59, 999);
+  let i = 0;
+  for (; dayEnd.getTime() < now && toDateKey(dayEnd) < today; dayEnd.setDate(dayEnd.getDate() + 1)) {
+    let dayFlow = 0;
+    for (; i < sortedTx.length && sortedTx[i].date <= dayEnd.getTime(); i++) { const flow = apply(sortedTx[i]); dayFlow += flow; points.push({ t: sortedTx[i].date, v: valueAt(sortedTx[i].date), flow }); }
+    const snapshot = snapshotAt(dayEnd.getTime(), dayFlow);
+    points.push({ t: snapshot.t, v: snapshot.equity, flow: 0, snapshot, coverage: coverageAt(snapshot.t) });
+  }
+  for (; i < sortedTx.length; i++) { const flow = apply(sortedTx[i]); points.push({ t: sortedTx[i].date, v: valueAt(sortedTx[i].date), flow }); }
+  return [{ t: points[0].t - 86400000, v: 0 }, ...points, { t: now, v: finalEquity ?? valueAt(now) }];
+}
+
+/* ===================== Daily Snapshots ===================== */
+// Snapshot akhir hari disimpan per portfolio agar nilai masa lalu tidak berubah saat harga live/aset berubah.
+// `sig` = hash ledger sampai hari itu plus sumber harga hari itu: snapshot yang sig-nya tidak lagi cocok (transaksi lama
+// diedit, atau close/kurs historis baru tersedia untuk tanggal itu) dihitung ulang.
+const hashString = (str, seed = 5381) => { let h = seed; for (let i = 0; i < str.length; i++) h = ((h << 5) + h + str.charCodeAt(i)) | 0; return h; };
+
+function buildDailySnapshots(txs, opts) {
+  const days = buildEquitySeries(txs, opts).filter(p => p.snapshot);
+  const sortedTx = [...txs].sort((a, b) => a.date - b.date);
+  let ledgerSig = 5381, i = 0;
+  return days.map(({ snapshot, coverage }) => {
+    for (; i < sortedTx.length && sortedTx[i].date <= snapshot.t; i++) ledgerSig = hashString(JSON.stringify(sortedTx[i]), ledgerSig);
+    return { ...snapshot, sig: hashString(coverage, ledgerSig) };
+  });
+}
+
+// Pertahankan snapshot tersimpan selama tanggal & sig masih cocok dengan ledger, lalu isi hari yang hilang sampai kemarin.
+// Mengembalikan array yang sama bila tidak ada perubahan.
+function reconcileSnapshots(stored = [], txs, opts) {
+  const fresh = buildDailySnapshots(txs, opts);
+  let kept = 0;
+  while (kept < stored.length && kept < fresh.length && stored[kept].date === fresh[kept].date && stored[kept].sig === fresh[kept].sig) kept++;
+  if (kept === stored.length && kept === fresh.length) return stored;
+  return [...stored.slice(0, kept), ...fresh.slice(kept)];
+}
+
+// Gabungkan snapshot beberapa portfolio (tampilan All accounts) per tanggal.
+function mergeSnapshots(lists) {
+  const byDate = {};
+  lists.flat().forEach(snap => {
+    const m = byDate[snap.date] || (byDate[snap.date] = { date: snap.date, t: snap.t, equity: 0, flow: 0, cash: 0, invested: 0, cashBalances: {}, assets: {} });
+    m.equity += snap.equity; m.flow += snap.flow; m.cash += snap.cash; m.invested += snap.invested;
+    Object.entries(snap.cashBalances || {}).forEach(([c, v]) => { m.cashBalances[c] = (m.cashBalances[c] || 0) + v; });
+    Object.entries(snap.assets || {}).forEach(([id, v]) => { m.assets[id] = (m.assets[id] || 0) + v; });
+  });
+  return Object.values(byDate).sort((a, b) => a.t - b.t);
+}
+
+// Equity series untuk chart & tabel return: snapshot tersimpan, disambung titik live (dari buildEquitySeries) setelahnya.
+// Arus kas harian dianggap terjadi di awal hari (titik tepat setelah close kemarin), jadi pergerakan harga hari itu tetap terhitung di TWR.
+function snapshotSeries(snapshots, liveSeries) {
+  if (!snapshots.length) return liveSeries;
+  const points = [{ t: snapshots[0].t - 86400000, v: 0 }];
+  snapshots.forEach(s => {
+    const prev = points[points.length - 1];
+    if (s.flow) points.push({ t: prev.t + 1, v: prev.v + s.flow, flow: s.flow });
+    points.push({ t: s.t, v: s.equity, flow: 0 });
+  });
+  const last = snapshots[snapshots.length - 1].t;
+  return [...points, ...liveSeries.slice(1).filter(p => p.t > last)];
+}
+
+/* ===================== Risk ===================== */
+// Snapshot & valuasi harian per hari kalender (crypto diperdagangkan tiap hari), jadi disetahunkan dengan 365 periode.
+const RISK_PERIODS_PER_YEAR = 365;
+const DEFAULT_RISK_FREE_RATE = 6; // % per tahun, kira-kira BI rate
+
+// Return harian TWR (arus kas dinetralkan) dari equity series, mulai hari pertama portfolio berisi: [{ t, r }].
+function dailyReturnSeries(series, from = -Infinity, to = Infinity) {
+  const funded = series.findIndex(p => p.v > 0);
+  if (funded < 0) return [];
+  const byDay = {};
+  twrIndexSeries(series.slice(funded)).forEach(p => { if (p.t >= from && p.t <= to) byDay[toDateKey(p.t)] = p; });
+  const days = Object.values(byDay).sort((a, b) => a.t - b.t);
+  return days.slice(1).map((p, i) => ({ t: p.t, r: p.v / days[i].v - 1 }));
+}
+
+// Episode drawdown dari return harian: { peakAt, troughAt, recoveredAt (null = belum pulih), depth (negatif) }.
+function drawdownEpisodes(returns) {
+  const episodes = []; let index = 1, peak = 1, peakT = returns.length ? returns[0].t - 86400000 : null, episode = null;
+  returns.forEach(p => {
+    index *= 1 + p.r;
+    if (index >= peak) { if (episode) { episode.recoveredAt = p.t; episode = null; } peak = index; peakT = p.t; return; }
+    const depth = index / peak - 1;
+    if (!episode) { episode = { peakAt: peakT, troughAt: p.t, recoveredAt: null, depth }; episodes.push(episode); }
+    else if (depth < episode.depth) { episode.depth = depth; episode.troughAt = p.t; }
+  });
+  return episodes;
+}
+
+// Persentase di bawah puncak berjalan dari return harian TWR (withdraw tidak terbaca sebagai drawdown): [{ t, v }] dalam %.
+// Memakai deret harian yang sama dengan drawdownEpisodes supaya chart dan tabel drawdown selalu cocok.
+function underwaterSeries(returns) {
+  if (!returns.length) return [];
+  let index = 1, peak = 1;
+  return [{ t: returns[0].t - 86400000, v: 0 }, ...returns.map(p => { index *= 1 + p.r; peak = Math.max(peak, index); return { t: p.t, v: (index / peak - 1) * 100 }; })];
+}
+
+// Drawdown saat ini: { depth (negatif, 0 = di puncak), peakAt }.
+function currentDrawdown(series) {
+  const funded = series.findIndex(p => p.v > 0);
+  if (funded < 0) return { depth: 0, peakAt: null };
+  let peak = 0, peakAt = null, last = 1;
+  twrIndexSeries(series.slice(funded)).forEach(p => { if (p.v >= peak) { peak = p.v; peakAt = p.t; } last = p.v; });
+  return { depth: last / peak - 1, peakAt };
+}
+
+// Volatilitas, Sharpe, Sortino, max drawdown (dengan tanggal puncak/dasar/pulih) dan Calmar dari return harian.
+// riskFreeRate dalam desimal per tahun.
+function riskStats(returns, riskFreeRate = 0) {
+  const n = returns.length;
+  if (n < 2) return null;
+  const P = RISK_PERIODS_PER_YEAR;
+  const rs = returns.map(p => p.r);
+  const mean = rs.reduce((s, r) => s + r, 0) / n;
+  const sd = Math.sqrt(rs.reduce((s, r) => s + (r - mean) ** 2, 0) / (n - 1));
+  const rfDaily = Math.pow(1 + riskFreeRate, 1 / P) - 1;
+  const downside = Math.sqrt(rs.reduce((s, r) => s + Math.min(0, r - rfDaily) ** 2, 0) / n) * Math.sqrt(P);
+  const volatility = sd * Math.sqrt(P);
+  const episodes = drawdownEpisodes(returns);
+  const worst = episodes.reduce((w, e) => !w || e.depth < w.depth ? e : w, null);
+  const maxDrawdown = worst ? worst.depth : 0;
+  const index = returns.reduce((v, p) => v * (1 + p.r), 1);
+  const totalReturn = index - 1; const annualReturn = annualize(totalReturn, n);
+  return {
+    days: n, totalReturn, annualReturn, volatility,
+    sharpe: volatility > 0 ? (mean - rfDaily) * P / volatility : null,
+    sortino: downside > 0 ? (mean - rfDaily) * P / downside : null,
+    maxDrawdown, drawdown: worst,
+    calmar: maxDrawdown < 0 && annualReturn != null ? annualReturn / -maxDrawdown : null,
+  };
+}
+
+// Return harga harian (IDR, per hari kalender) tiap holding dari histori close, dengan bobot saat ini.
+// Aset tanpa histori (non-likuid) dianggap tidak bergerak. null bila rentang terlalu pendek atau holdings kosong.
+function holdingDailyReturns(holdings, dailyCloses, rateAt, from, to) {
+  const total = holdings.reduce((s, h) => s + h.value, 0);
+  if (total <= 0) return null;
+  const days = [];
+  for (const d = new Date(from); d.getTime() <= to; d.setDate(d.getDate() + 1)) days.push(d.getTime());
+  if (days.length < 3) return null;
+  return holdings.map(h => {
+    const entry = dailyCloses[h.id]; const hasHistory = Object.keys(entry?.history || {}).length > 0;
+    if (!hasHistory) return { ...h, weight: h.value / total, hasHistory, returns: days.slice(1).map(() => 0) };
+    const lookup = makeFxLookup(entry, null);
+    const prices = days.map(t => lookup(t) * (entry.currency === 'IDR' ? 1 : rateAt(t)));
+    return { ...h, weight: h.value / total, hasHistory, returns: prices.slice(1).map((p, i) => prices[i] > 0 ? p / prices[i] - 1 : 0) };
+  });
+}
+
+const seriesMean = (a) => a.reduce((s, x) => s + x, 0) / a.length;
+const covariance = (a, b) => { const ma = seriesMean(a), mb = seriesMean(b); return a.reduce((s, x, i) => s + (x - ma) * (b[i] - mb), 0) / (a.length - 1); };
+
+// Kontribusi risiko per aset: w_i * cov(r_i, r_p) / var(r_p) dengan bobot saat ini. Total kontribusi = 100%.
+function riskContributions(holdings, dailyCloses, rateAt, from, to) {
+  const series = holdingDailyReturns(holdings, dailyCloses, rateAt, from, to);
+  if (!series) return [];
+  const weights = series.map(h => h.weight);
+  const portfolio = series[0].returns.map((_, d) => series.reduce((s, h, i) => s + weights[i] * h.returns[d], 0));
+  const varP = covariance(portfolio, portfolio);
+  return series.map((h, i) => ({
+    id: h.id, symbol: h.symbol, weight: weights[i], hasHistory: h.hasHistory,
+    volatility: Math.sqrt(covariance(h.returns, h.returns) * RISK_PERIODS_PER_YEAR),
+    contribution: varP > 0 ? weights[i] * covariance(h.returns, portfolio) / varP : 0,
+  })).sort((a, b) => b.contribution - a.contribution);
+}
+
+// Close aktual (tanpa forward-fill) dalam rentang, dalam IDR: [{ d: 'YYYY-MM-DD', p }].
+function closesInRange(entry, rateAt, from, to) {
+  const fromKey = toDateKey(from), toKey = toDateKey(to);
+  return Object.entries(entry?.history || {}).filter(([d, c]) => d >= fromKey && d <= toKey && c > 0).sort(([a], [b]) => a.localeCompare(b))
+    .map(([d, c]) => ({ d, p: entry.currency === 'IDR' ? c : c * rateAt(new Date(d).getTime()) }));
+}
+
+// Korelasi return dua aset hanya pada tanggal yang keduanya punya close (return antar tanggal bersama berturut-turut),
+// jadi akhir pekan & libur bursa tidak menjadi return nol yang menekan korelasi saham terhadap crypto. null bila data kurang.
+function commonDayCorrelation(a, b) {
+  const pb = Object.fromEntries(b.map(x => [x.d, x.p]));
+  const common = a.filter(x => pb[x.d] != null);
+  if (common.length < 4) return null;
+  const ra = [], rb = [];
+  for (let i = 1; i < common.length; i++) { ra.push(common[i].p / common[i - 1].p - 1); rb.push(pb[common[i].d] / pb[common[i - 1].d] - 1); }
+  const va = covariance(ra, ra), vb = covariance(rb, rb);
+  return va > 0 && vb > 0 ? covariance(ra, rb) / Math.sqrt(va * vb) : null;
+}
+
+// Korelasi Pearson antar holding (null bila salah satu tidak punya histori / tidak bergerak) dan skor diversifikasi:
+// jumlah taruhan independen efektif = 1 / ΣΣ w_i w_j ρ_ij (= 1/Herfindahl bila tidak berkorelasi, 1 bila semua bergerak sama).
+// Bobot dihitung terhadap totalValue (holding + kas); sisa di luar holding (kas) dihitung sebagai satu taruhan independen.
+const CORRELATION_WARN = 0.7;
+const LARGE_POSITION_WEIGHT = 0.1;
+function correlationAnalysis(holdings, dailyCloses, rateAt, from, to, totalValue) {
+  const total = Math.max(totalValue || 0, holdings.reduce((s, h) => s + h.value, 0));
+  if (total <= 0) return null;
+  const series = holdings.map(h => ({ ...h, weight: h.value / total, closes: closesInRange(dailyCloses[h.id], rateAt, from, to) }));
+  const matrix = series.map(() => []);
+  series.forEach((a, i) => series.forEach((b, j) => { if (j >= i) matrix[i][j] = matrix[j][i] = i === j ? 1 : commonDayCorrelation(a.closes, b.closes); }));
+  const otherWeight = Math.max(0, 1 - series.reduce((s, h) => s + h.weight, 0));
+  const concentration = series.reduce((s, a, i) => s + series.reduce((t, b, j) => t + a.weight * b.weight * (matrix[i][j] ?? 0), 0), 0) + otherWeight * otherWeight;
+  const warnings = [];
+  series.forEach((a, i) => series.forEach((b, j) => {
+    if (j > i && matrix[i][j] >= CORRELATION_WARN && a.weight >= LARGE_POSITION_WEIGHT && b.weight >= LARGE_POSITION_WEIGHT) warnings.push({ a, b, correlation: matrix[i][j] });
+  }));
+  return {
+    holdings: series.map(h => ({ id: h.id, symbol: h.symbol, value: h.value, weight: h.weight, hasHistory: h.closes.length > 1 })),
+    matrix, otherWeight, effectiveBets: concentration > 0 ? 1 / concentration : null, warnings: warnings.sort((x, y) => y.correlation - x.correlation),
+  };
+}
+
+/* ===================== Tax Report ===================== */
+// Laporan pajak tahunan dari ledger hasil replay, jadi realized & lot yang terpakai sudah mengikuti metode cost basis.
+// Semua nilai dalam base currency: baseRateOf(tx) = base per USD dan idrRateOf(tx) = IDR per USD pada tanggal transaksi.
+// Penjualan saham IDX sudah dikenai PPh final 0,1% (tx.tax) sehingga gain-nya ditandai finalTaxed.
+const LONG_TERM_DAYS = 365;
+const taxYearsOf = (ledger) => [...new Set(ledger.map(tx => new Date(tx.date).getFullYear()))].sort((a, b) => b - a);
+
+function buildTaxReport(ledger, year, { baseRateOf, idrRateOf }) {
+  const inYear = ledger.filter(tx => new Date(tx.date).getFullYear() === year).sort((a, b) => a.date - b.date);
+  const cashToBase = (tx, amount) => cashCurrencyOf(tx) === 'IDR' ? amount / idrRateOf(tx) * baseRateOf(tx) : amount * baseRateOf(tx);
+  const assets = {}; const disposals = []; const income = [];
+  const totals = { proceeds: 0, cost: 0, realized: 0, shortTerm: 0, longTerm: 0, finalTaxedGain: 0, income: 0, fees: 0, finalTax: 0 };
+  const assetRow = (tx) => assets[tx.assetId || tx.symbol] || (assets[tx.assetId || tx.symbol] = { symbol: tx.symbol, name: tx.name, finalTaxed: tx.symbol?.endsWith('.JK') || false, qty: 0, proceeds: 0, cost: 0, fees: 0, realized: 0, shortTerm: 0, longTerm: 0, holdingDaysQty: 0, finalTax: 0, income: 0, funding: 0 });
+  for (const tx of inYear) {
+    const rate = baseRateOf(tx);
+    // Sama dengan kolom "Fees & tax" per baris: fee broker + pajak transaksi (termasuk PPh final IDX).
+    if (['buy', 'sell', 'delete', 'position_open', 'position_close'].includes(tx.type)) totals.fees += (toNum(tx.fee) + toNum(tx.tax)) * rate;
+    if (CLOSING_TX_TYPES.includes(tx.type)) {
+      const row = assetRow(tx); const isIdx = tx.type !== 'position_close' && row.finalTaxed;
+      const fees = (toNum(tx.fee) + toNum(tx.tax)) * rate; const cost = toNum(tx.costOfSoldBase); const realized = toNum(tx.realizedBase);
+      // Holding period per lot; gain per lot = hasil bersih per unit - cost lot (keduanya dalam base currency).
+      const lots = tx.lots || []; const netPerUnit = tx.qty > 0 ? (realized + cost) / tx.qty : 0;
+      let shortTerm = 0, longTerm = 0, daysQty = 0;
+      lots.forEach(l => { const days = Math.max(0, (tx.date - l.date) / 86400000); const gain = l.qty * (netPerUnit - l.unitCostUSD * (l.baseRate || rate)); daysQty += days * l.qty; if (days >= LONG_TERM_DAYS) longTerm += gain; else shortTerm += gain; });
+      if (!lots.length) shortTerm = realized;
+      const heldDays = lots.length ? daysQty / lots.reduce((s, l) => s + l.qty, 0) : null;
+      const finalTax = isIdx ? toNum(tx.tax) * rate : 0;
+      disposals.push({ date: tx.date, symbol: tx.symbol, type: tx.type, qty: tx.qty, proceeds: realized + cost + fees, cost, fees, realized, heldDays, term: heldDays == null ? '-' : longTerm && shortTerm ? 'mixed' : heldDays >= LONG_TERM_DAYS ? 'long' : 'short', finalTax, costBasis: tx.costBasis });
+      Object.assign(row, { qty: row.qty + tx.qty, proceeds: row.proceeds + realized + cost + fees, cost: row.cost + cost, fees: row.fees + fees, realized: row.realized + realized, shortTerm: row.shortTerm + shortTerm, longTerm: row.longTerm + longTerm, holdingDaysQty: row.holdingDaysQty + daysQty, finalTax: row.finalTax + finalTax });
+      totals.proceeds += realized + cost + fees; totals.cost += cost; totals.realized += realized; totals.finalTax += finalTax;
+      if (isIdx) totals.finalTaxedGain += realized; else { totals.shortTerm += shortTerm; totals.longTerm += longTerm; }
+    } else if (tx.type === 'funding') {
+      const amount = toNum(tx.fundingUSD) * rate; assetRow(tx).funding += amount; assetRow(tx).realized += amount; totals.realized += amount; totals.shortTerm += amount;
+    } else if (INCOME_TYPES.some(t => t.key === tx.type)) {
+      // Income 'units' (stock dividend, staking) dicatat dalam IDR senilai harga pasar saat diterima.
+      const amount = CASH_INCOME_TYPES.includes(tx.type) ? cashToBase(tx, tx.amount) : toNum(tx.amount) / idrRateOf(tx) * rate;
+      income.push({ date: tx.date, type: tx.type, symbol: tx.symbol || '', qty: tx.qty, amount });
+      if (tx.symbol) assetRow(tx).income += amount;
+      totals.income += amount;
+    }
+  }
+  const rows = Object.values(assets).map(r => ({ ...r, avgHoldingDays: r.qty > 0 && r.holdingDaysQty > 0 ? r.holdingDaysQty / r.qty : null })).sort((a, b) => Math.abs(b.realized) - Math.abs(a.realized));
+  return { year, assets: rows, disposals, income, totals };
+}
+
+/* ===================== Recurring Schedules ===================== */
+// Jadwal berulang (DCA / setoran gaji) per portfolio. Tiap jatuh tempo menjadi transaksi pending yang harus
+// dikonfirmasi atau di-skip; lastHandled = jatuh tempo terakhir yang di-skip (atau batas awal jadwal). Jatuh tempo yang
+// dikonfirmasi dikenali dari transaksinya (scheduleId + scheduledFor), jadi undo transaksi itu membuatnya pending lagi.
+// Nominal selalu dalam IDR.
+const SCHEDULE_KINDS = [
+  { key: 'buy', label: 'Buy (DCA)' },
+  { key: 'deposit', label: 'Deposit' },
+  { key: 'withdraw', label: 'Withdraw' },
+];
+const SCHEDULE_FREQUENCIES = [
+  { key: 'monthly', label: 'Monthly' },
+  { key: 'weekly', label: 'Weekly' },
+];
+const MAX_PENDING_PER_SCHEDULE = 12;
+
+// Jatuh tempo dalam rentang (from, to]. Bulanan: tanggal `day` tiap bulan (bulan pendek dipotong ke hari terakhir),
+// jam mengikuti startDate; mingguan: tiap 7 hari sejak startDate.
+function scheduleOccurrences(schedule, from, to) {
+  const out = []; const start = new Date(schedule.startDate);
+  for (let i = 0; out.length < 1000; i++) {
+    let t;
+    if (schedule.frequency === 'weekly') t = schedule.startDate + i * 7 * 86400000;
+    else {
+      const y = start.getFullYear(), m = start.getMonth() + i; const lastDay = new Date(y, m + 1, 0).getDate();
+      t = new Date(y, m, Math.min(toNum(schedule.day) || start.getDate(), lastDay), start.getHours(), start.getMinutes()).getTime();
+    }
+    if (t > to) break;
+    if (t > from && t >= schedule.startDate) out.push(t);
+  }
+  return out;
+}
+// confirmed = Set berisi `${scheduleId}:${scheduledFor}` dari transaksi yang sudah dicatat.
+const pendingOccurrences = (schedule, now = Date.now(), confirmed = new Set()) => schedule.paused ? [] : scheduleOccurrences(schedule, schedule.lastHandled ?? -Infinity, now).filter(t => !confirmed.has(`${schedule.id}:${t}`)).slice(-MAX_PENDING_PER_SCHEDULE);
+const nextOccurrence = (schedule, now = Date.now()) => scheduleOccurrences(schedule, now, now + 400 * 86400000)[0] || null;
+const describeSchedule = (schedule) => `${schedule.kind === 'buy' ? `Buy ${formatMoney(schedule.amount, 'IDR')} of ${schedule.assetStub?.symbol}` : `${schedule.kind === 'deposit' ? 'Deposit' : 'Withdraw'} ${formatMoney(schedule.amount, 'IDR')}`} ${schedule.frequency === 'weekly' ? `every ${new Date(schedule.startDate).toLocaleDateString(undefined, { weekday: 'long' })}` : `monthly on day ${schedule.day}`}`;
+
+// Proyeksi arus kas bulanan dari jadwal aktif untuk `months` bulan ke depan (IDR).
+function projectScheduleCashFlows(schedules, months = 12, now = Date.now()) {
+  const end = new Date(now); end.setMonth(end.getMonth() + months);
+  const buckets = {};
+  schedules.filter(sc => !sc.paused).forEach(sc => scheduleOccurrences(sc, now, end.getTime()).forEach(t => {
+    const d = new Date(t); const key = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    const b = buckets[key] || (buckets[key] = { month: key, deposits: 0, withdrawals: 0, buys: 0 });
+    if (sc.kind === 'deposit') b.deposits += sc.amount; else if (sc.kind === 'withdraw') b.withdrawals += sc.amount; else b.buys += sc.amount;
+  }));
+  let cumulative = 0;
+  return Object.values(buckets).sort((a, b) => a.month.localeCompare(b.month)).map(b => { const net = b.deposits - b.withdrawals - b.buys; cumulative += net; return { ...b, net, cumulativeCash: cumulative }; });
+}
+
+/* ===================== Rebalancing ===================== */
+// Target alokasi per portfolio: { mode, band (poin %), noSells, targets: { [bucket]: % }, groups: { [assetId]: nama grup },
+// targetsByMode: { [mode]: targets }, assetStubs: { [assetId]: stub } }. `targets` milik mode aktif; target mode lain
+// disimpan agar tidak hilang saat ganti mode. assetStubs = aset yang diberi target tapi belum dimiliki (mode aset).
+// Bucket = id aset, tipe aset (sama dengan tab Sector di PortfolioAllocation) atau grup custom; kas selalu bucket 'Cash'.
+const ALLOCATION_MODES = [{ key: 'asset', label: 'Per asset' }, { key: 'type', label: 'Per type' }, { key: 'group', label: 'Custom groups' }];
+const DEFAULT_ALLOCATION = { mode: 'type', band: 5, noSells: false, targets: {}, groups: {}, targetsByMode: {}, assetStubs: {} };
+const CASH_BUCKET = 'Cash';
+const IDX_LOT_SIZE = 100;
+
+const assetTypeLabel = (asset) => asset.type === 'stock' ? 'Equity' : asset.type === 'crypto' ? 'Crypto' : 'Non-Liquid';
+function allocationBucketOf(asset, config) {
+  if (config.mode === 'asset') return asset.id;
+  if (config.mode === 'type') return assetTypeLabel(asset);
+  return String(config.groups?.[asset.id] || '').trim() || 'Ungrouped';
+}
+
+// Bulatkan ke bawah ke unit yang bisa ditransaksikan: saham IDX per lot 100 lembar, saham lain per lembar, crypto 8 desimal.
+function roundTradeQty(asset, qty) {
+  if (asset.type === 'crypto') return Math.floor(qty * 1e8) / 1e8;
+  if (feeMarketOf(asset) === 'idx') return Math.floor(qty / IDX_LOT_SIZE) * IDX_LOT_SIZE;
+  return Math.floor(qty);
+}
+const tradeUnitLabel = (asset) => feeMarketOf(asset) === 'idx' ? `lot (${IDX_LOT_SIZE} shares)` : 'unit';
+
+// Bobot saat ini vs target per bucket (nilai dalam IDR). targetTotal = jumlah target (harus 100 sebelum order diusulkan).
+// Mode aset: target untuk aset yang belum dimiliki tetap jadi bucket (nilai 0) dari config.assetStubs, dengan harga
+// dari markPrices, supaya bisa diusulkan order beli pertamanya.
+function allocationDrift(rows, cashIDR, usdIdr, config, markPrices = {}) {
+  const buckets = {};
+  const add = (key, label) => buckets[key] || (buckets[key] = { key, label, value: 0, assets: [] });
+  add(CASH_BUCKET, 'Cash').value += Math.max(0, cashIDR);
+  rows.filter(r => r.shares > 0).forEach(r => { const b = add(allocationBucketOf(r, config), config.mode === 'asset' ? r.symbol : allocationBucketOf(r, config)); b.value += r.marketValueUSD * usdIdr; b.assets.push(r); });
+  if (config.mode !== 'asset') Object.keys(config.targets || {}).forEach(key => add(key, key));
+  else Object.keys(config.targets || {}).filter(key => !buckets[key]).forEach(key => {
+    const stub = rows.find(r => r.id === key) || config.assetStubs?.[key];
+    const b = add(key, stub?.symbol || key);
+    if (stub) b.assets.push({ ...stub, shares: 0, marketValueUSD: 0, lastPriceUSD: markPrices[key] || stub.lastPriceUSD || 0 });
+  });
+  const total = Object.values(buckets).reduce((sum, b) => sum + b.value, 0);
+  const targetTotal = Object.keys(buckets).reduce((sum, key) => sum + toNum(config.targets?.[key]), 0);
+  const list = Object.values(buckets).map(b => {
+    const weight = total > 0 ? b.value / total : 0; const target = toNum(config.targets?.[b.key]) / 100;
+    return { ...b, weight, target, drift: weight - target, outOfBand: Math.abs(weight - target) * 100 > toNum(config.band) };
+  }).sort((a, b) => b.value - a.value);
+  return { total, targetTotal, buckets: list, complete: Math.abs(targetTotal - 100) < 0.01 };
+}
+
+// Order minimal untuk kembali ke target: hanya bucket di luar band yang disentuh (kecuali kas berlebih, yang dibagikan ke
+// semua bucket underweight). Jual dulu (bila diizinkan), lalu beli dengan kas tersedia di luar target kas, termasuk estimasi fee.
+// Kas dilacak per mata uang: beli memakai mata uang perdagangan aset bila cukup, selain itu IDR / mata uang lain yang cukup.
+function rebalanceOrders(drift, config, { cashBalances = {}, usdIdr, brokerOf = () => undefined }) {
+  const orders = []; const notes = [];
+  if (!drift.complete) return { orders, notes };
+  const balances = Object.fromEntries(CASH_CURRENCIES.map(c => [c, toNum(cashBalances[c])]));
+  const toIDR = (amount, c) => amount * (c === 'IDR' ? 1 : usdIdr);
+  const tradable = (a) => a.type !== 'nonliquid' && a.lastPriceUSD > 0;
+  const cashBucket = drift.buckets.find(b => b.key === CASH_BUCKET);
+  const split = (bucket, amountIDR) => {
+    const assets = bucket.assets.filter(tradable);
+    if (assets.length === 0) { notes.push(bucket.assets.some(a => a.type !== 'nonliquid') ? `${bucket.label}: no current quote yet.` : `No tradable holding in ${bucket.label}; add an asset to it first.`); return []; }
+    const value = assets.reduce((sum, a) => sum + a.marketValueUSD, 0);
+    return assets.map(a => ({ asset: a, amountIDR: amountIDR * (value > 0 ? a.marketValueUSD / value : 1 / assets.length) }));
+  };
+  const buckets = drift.buckets.filter(b => b.key !== CASH_BUCKET);
+
+  if (!config.noSells) buckets.filter(b => b.outOfBand && b.drift > 0).forEach(bucket => {
+    split(bucket, bucket.value - bucket.target * drift.total).forEach(({ asset, amountIDR }) => {
+      const holdingIDR = asset.marketValueUSD * usdIdr;
+      const qty = amountIDR >= holdingIDR * 0.999 ? asset.shares : Math.min(asset.shares, roundTradeQty(asset, amountIDR / (asset.lastPriceUSD * usdIdr)));
+      if (qty <= 0) return;
+      const grossUSD = qty * asset.lastPriceUSD; const net = grossUSD - computeTradeFees(brokerOf(asset), 'sell', grossUSD).total;
+      const currency = tradeCurrencyOf(asset); balances[currency] += currency === 'IDR' ? net * usdIdr : net;
+      orders.push({ side: 'sell', asset, qty, priceUSD: asset.lastPriceUSD, valueIDR: grossUSD * usdIdr, cashCurrency: currency, bucket: bucket.label });
+    });
+  });
+
+  const cashIDR = CASH_CURRENCIES.reduce((sum, c) => sum + toIDR(balances[c], c), 0);
+  let budget = Math.max(0, cashIDR - (cashBucket ? cashBucket.target * drift.total : 0));
+  const deployCash = cashBucket?.outOfBand && cashBucket.drift > 0;
+  const under = buckets.filter(b => b.drift < 0 && (b.outOfBand || deployCash));
+  const need = under.reduce((sum, b) => sum + (b.target * drift.total - b.value), 0);
+  const scale = need > 0 ? Math.min(1, budget / need) : 0;
+  if (need > 0 && scale < 1) notes.push(`Available cash covers ${(scale * 100).toFixed(0)}% of the shortfall${config.noSells ? ' (no-sells mode)' : ''}.`);
+  under.forEach(bucket => split(bucket, (bucket.target * drift.total - bucket.value) * scale).forEach(({ asset, amountIDR }) => {
+    const feeRate = computeTradeFees(brokerOf(asset), 'buy', 1).total;
+    const qty = roundTradeQty(asset, Math.min(amountIDR, budget) / (asset.lastPriceUSD * (1 + feeRate) * usdIdr));
+    if (qty <= 0) { notes.push(`${asset.symbol}: amount is below one ${tradeUnitLabel(asset)}.`); return; }
+    const costUSD = qty * asset.lastPriceUSD * (1 + feeRate);
+    const currency = [tradeCurrencyOf(asset), 'IDR', ...CASH_CURRENCIES].find(c => balances[c] >= (c === 'IDR' ? costUSD * usdIdr : costUSD) - 1e-9);
+    if (!currency) { notes.push(`${asset.symbol}: no single cash currency covers this buy; convert currency first.`); return; }
+    balances[currency] -= currency === 'IDR' ? costUSD * usdIdr : costUSD; budget -= costUSD * usdIdr;
+    orders.push({ side: 'buy', asset, qty, priceUSD: asset.lastPriceUSD, valueIDR: qty * asset.lastPriceUSD * usdIdr, cashCurrency: currency, bucket: bucket.label });
+  }));
+  if (buckets.some(b => b.outOfBand && b.assets.some(a => a.type === 'nonliquid'))) notes.push('Non-liquid assets are left out of proposed orders.');
+  return { orders, notes };
 }
 
 /* ===================== UI Helpers ===================== */
@@ -182,6 +1318,10 @@ const Modal = ({ children, isOpen, onClose, title, size = "2xl" }) => {
   };
   return (<div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4" onClick={onClose}><div className={`glass-card w-full ${sizeClasses[size]}`} onClick={e => e.stopPropagation()}><div className="flex justify-between items-center p-4 border-b border-white/10"><h2 className="text-lg font-semibold text-white">{title}</h2><button onClick={onClose} className="text-gray-400 hover:text-white text-2xl">&times;</button></div><div className="p-4">{children}</div></div></div>);
 };
+const Toast = ({ toast, onAction, onClose }) => {
+  if (!toast) return null;
+  return (<div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[60] glass-card px-4 py-3 flex items-center gap-4 text-sm text-white shadow-lg"><span>{toast.message}</span>{toast.actionLabel && <button onClick={onAction} className="font-semibold text-emerald-400 hover:text-emerald-300">{toast.actionLabel}</button>}<button onClick={onClose} className="text-gray-500 hover:text-white">&times;</button></div>);
+};
 const BottomSheet = ({ isOpen, onClose, children }) => {
   if (!isOpen) return null;
   return (<div className="fixed inset-0 bg-black/60 z-40" onClick={onClose}><div className={`fixed bottom-0 left-0 right-0 glass-card rounded-t-2xl shadow-lg transition-transform duration-300 ${isOpen ? 'translate-y-0' : 'translate-y-full'}`} onClick={e => e.stopPropagation()}><div className="w-10 h-1 bg-zinc-700 rounded-full mx-auto my-3"></div>{children}</div></div>);
@@ -190,15 +1330,67 @@ const BottomSheet = ({ isOpen, onClose, children }) => {
 /* ===================== Main Component ===================== */
 export default function PortfolioDashboard() {
   const STORAGE_VERSION = "v26"; 
+  // Tiap portfolio (akun broker) punya transaksi & watchlist sendiri. Portfolio default tetap memakai key lama
+  // sehingga data yang sudah ada tidak perlu dimigrasi; portfolio lain memakai key dengan suffix id.
+  const DEFAULT_PORTFOLIO_ID = 'main', ALL_PORTFOLIOS = 'all';
+  const portfolioKey = (name, id) => id === DEFAULT_PORTFOLIO_ID ? `pf_${name}_${STORAGE_VERSION}` : `pf_${name}_${STORAGE_VERSION}_${id}`;
+  const [portfolios, setPortfolios] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_portfolios_${STORAGE_VERSION}`) || 'null') || [{ id: DEFAULT_PORTFOLIO_ID, name: 'Main' }] : [{ id: DEFAULT_PORTFOLIO_ID, name: 'Main' }]);
+  const [activePortfolioId, setActivePortfolioId] = useState(() => { const saved = isBrowser && localStorage.getItem(`pf_active_portfolio_${STORAGE_VERSION}`); return saved === ALL_PORTFOLIOS || portfolios.some(p => p.id === saved) ? saved : portfolios[0].id; });
+  const isAllAccounts = activePortfolioId === ALL_PORTFOLIOS;
   const [assets, setAssets] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_assets_${STORAGE_VERSION}`) || "[]").map(ensureNumericAsset) : []);
-  const [transactions, setTransactions] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_transactions_${STORAGE_VERSION}`) || "[]") : []);
-  const [financialSummaries, setFinancialSummaries] = useState({ realizedUSD: 0, tradingBalance: 0, totalDeposits: 0, totalWithdrawals: 0, });
-  const [displaySymbol, setDisplaySymbol] = useState(() => isBrowser ? (localStorage.getItem(`pf_display_sym_${STORAGE_VERSION}`) || "Rp") : "Rp");
-  const [usdIdr] = useState(16400); 
-  const [watchedAssetIds, setWatchedAssetIds] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_watched_assets_${STORAGE_VERSION}`) || '["tether", "bitcoin"]') : ['tether', 'bitcoin']);
+  const [txsByPortfolio, setTxsByPortfolio] = useState(() => Object.fromEntries(portfolios.map(p => [p.id, isBrowser ? JSON.parse(localStorage.getItem(portfolioKey('transactions', p.id)) || "[]") : []])));
+  const transactions = useMemo(() => txsByPortfolio[activePortfolioId] || [], [txsByPortfolio, activePortfolioId]);
+  // Di "All accounts" setiap transaksi ditandai portfolioId-nya supaya edit/hapus dari History kembali ke akun asalnya.
+  const viewTransactions = useMemo(() => isAllAccounts ? portfolios.flatMap(p => (txsByPortfolio[p.id] || []).map(tx => ({ ...tx, portfolioId: p.id }))) : transactions, [isAllAccounts, portfolios, txsByPortfolio, transactions]);
+  const [financialSummaries, setFinancialSummaries] = useState({ realizedUSD: 0, realizedBase: 0, tradingBalance: 0, cashBalances: {}, totalDeposits: 0, totalWithdrawals: 0, totalIncome: 0, });
+  const [ledger, setLedger] = useState([]);
+  const [liabilities, setLiabilities] = useState([]);
+  const [positions, setPositions] = useState([]);
+  // Harga pasar terakhir untuk aset tanpa lot spot (hanya lewat posisi, atau target alokasi yang belum dimiliki), per assetId dalam USD.
+  const [markPrices, setMarkPrices] = useState({});
+  const [costBasisMethod, setCostBasisMethod] = useState(() => isBrowser ? (localStorage.getItem(`pf_cost_basis_${STORAGE_VERSION}`) || 'average') : 'average');
+  const [feeDefaults, setFeeDefaults] = useState(() => isBrowser ? { ...DEFAULT_FEE_PROFILES, ...JSON.parse(localStorage.getItem(`pf_fee_profiles_${STORAGE_VERSION}`) || "{}") } : DEFAULT_FEE_PROFILES);
+  // Pilihan lama ($ / Rp) dari toggle sebelumnya dimigrasi ke kode ISO.
+  const [displayCcy, setDisplayCcy] = useState(() => isBrowser ? (localStorage.getItem(`pf_display_ccy_${STORAGE_VERSION}`) || ({ '$': 'USD', 'Rp': 'IDR' })[localStorage.getItem(`pf_display_sym_${STORAGE_VERSION}`)] || 'IDR') : 'IDR');
+  const [baseCcy, setBaseCcy] = useState(() => isBrowser ? (localStorage.getItem(`pf_base_ccy_${STORAGE_VERSION}`) || 'IDR') : 'IDR');
+  const [fxRates, setFxRates] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_fx_rates_${STORAGE_VERSION}`) || "{}") : {});
+  const usdIdr = fxRates.USDIDR?.latest || DEFAULT_USD_IDR;
+  const fxRateAt = useMemo(() => makeFxLookup(fxRates.USDIDR, usdIdr), [fxRates, usdIdr]);
+  const ratePerUSD = useCallback((code) => code === 'USD' ? 1 : code === 'IDR' ? usdIdr : fxRates[`USD${code}`]?.latest || null, [fxRates, usdIdr]);
+  // Base IDR memakai fxRate yang tersimpan di transaksi (default replay); base lain pakai histori kurs USD/base.
+  const baseRateAt = useMemo(() => baseCcy === 'IDR' ? null : baseCcy === 'USD' ? () => 1 : makeFxLookup(fxRates[`USD${baseCcy}`], ratePerUSD(baseCcy) || 1), [baseCcy, fxRates, ratePerUSD]);
+  // Kurs per transaksi untuk laporan pajak (stabil supaya laporan hanya dihitung ulang saat kurs berubah).
+  const taxIdrRateOf = useCallback((tx) => toNum(tx.fxRate) || fxRateAt(tx.date), [fxRateAt]);
+  const taxBaseRateOf = useCallback((tx) => baseRateAt ? baseRateAt(tx.date) : taxIdrRateOf(tx), [baseRateAt, taxIdrRateOf]);
+  // Sampai kurs mata uang tampilan termuat, tampilkan dalam USD.
+  const display = useMemo(() => { const rate = ratePerUSD(displayCcy); return rate ? { code: displayCcy, rate, base: baseCcy } : { code: 'USD', rate: 1, base: baseCcy }; }, [displayCcy, baseCcy, ratePerUSD]);
+  const baseRate = ratePerUSD(baseCcy) || 1;
+  // Mata uang tampilan dengan kurs pada tanggal t. Harga transaksi backdated diinput & di-prefill dengan kurs tanggalnya,
+  // sama dengan kurs yang di-booking addTransaction, agar nilai USD yang tersimpan tidak bergeser oleh kurs hari ini.
+  const displayAt = useCallback((t) => {
+    if (!(Date.now() - t > 86400000) || display.code === 'USD') return display;
+    return { ...display, rate: display.code === 'IDR' ? fxRateAt(t) : makeFxLookup(fxRates[`USD${display.code}`], display.rate)(t) };
+  }, [display, fxRateAt, fxRates]);
+  const DEFAULT_WATCHLIST = ['tether', 'bitcoin'];
+  const [watchlists, setWatchlists] = useState(() => Object.fromEntries(portfolios.map(p => [p.id, isBrowser ? JSON.parse(localStorage.getItem(portfolioKey('watched_assets', p.id)) || 'null') || DEFAULT_WATCHLIST : DEFAULT_WATCHLIST])));
+  const watchedAssetIds = isAllAccounts ? [...new Set(portfolios.flatMap(p => watchlists[p.id] || []))].slice(0, 2) : (watchlists[activePortfolioId] || DEFAULT_WATCHLIST);
   const [watchedAssetData, setWatchedAssetData] = useState({});
+  const [snapshotsByPortfolio, setSnapshotsByPortfolio] = useState(() => Object.fromEntries(portfolios.map(p => [p.id, isBrowser ? JSON.parse(localStorage.getItem(portfolioKey('snapshots', p.id)) || "[]") : []])));
+  const [closesReady, setClosesReady] = useState(false);
+  const [dailyCloses, setDailyCloses] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_daily_closes_${STORAGE_VERSION}`) || "{}") : {});
+  const [riskFreeRate, setRiskFreeRate] = useState(() => isBrowser ? localStorage.getItem(`pf_risk_free_rate_${STORAGE_VERSION}`) ?? String(DEFAULT_RISK_FREE_RATE) : String(DEFAULT_RISK_FREE_RATE));
+  const [riskBenchmark, setRiskBenchmark] = useState(() => isBrowser ? localStorage.getItem(`pf_risk_benchmark_${STORAGE_VERSION}`) || 'JKSE' : 'JKSE');
+  const [allocationTargets, setAllocationTargets] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_allocation_targets_${STORAGE_VERSION}`) || "{}") : {});
+  const [isRebalanceOpen, setRebalanceOpen] = useState(false);
+  const targetStubs = useMemo(() => Object.values(allocationTargets[activePortfolioId]?.assetStubs || {}), [allocationTargets, activePortfolioId]);
+  const [benchmarks, setBenchmarks] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_benchmarks_${STORAGE_VERSION}`) || "[]") : []);
+  const [schedules, setSchedules] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_schedules_${STORAGE_VERSION}`) || "[]") : []);
   const [priceHistory, setPriceHistory] = useState(() => isBrowser ? JSON.parse(localStorage.getItem(`pf_price_history_${STORAGE_VERSION}`) || "{}") : {});
   const [priceFlashes, setPriceFlashes] = useState({});
+  // Jam yang berdetak tiap menit untuk turunan yang bergantung waktu (mis. jadwal yang jatuh tempo saat app terbuka).
+  const [clock, setClock] = useState(() => Date.now());
+  useEffect(() => { const id = setInterval(() => setClock(Date.now()), 60000); return () => clearInterval(id); }, []);
+  const clockDay = toDateKey(clock);
 
   const [isAddAssetModalOpen, setAddAssetModalOpen] = useState(false);
   const [searchMode, setSearchMode] = useState("stock");
@@ -208,6 +1400,19 @@ export default function PortfolioDashboard() {
   const [isManagePortfolioOpen, setManagePortfolioOpen] = useState(false);
   const [isBalanceModalOpen, setBalanceModalOpen] = useState(false);
   const [balanceModalMode, setBalanceModalMode] = useState('Add');
+  const [isIncomeModalOpen, setIncomeModalOpen] = useState(false);
+  const [isTransferModalOpen, setTransferModalOpen] = useState(false);
+  const [isFxModalOpen, setFxModalOpen] = useState(false);
+  const [isTaxReportOpen, setTaxReportOpen] = useState(false);
+  const [isLiabilityModalOpen, setLiabilityModalOpen] = useState(false);
+  const [isScheduleModalOpen, setScheduleModalOpen] = useState(false);
+  const [editingTx, setEditingTx] = useState(null);
+  // Undo/redo menyimpan snapshot array transaksi (semua state lain diturunkan dari replay), hanya di memori.
+  // Stack dipakai bersama semua portfolio: label diberi nama akun dan undo/redo pindah ke akun tersebut.
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [toast, setToast] = useState(null);
+  const historyActionsRef = useRef();
   const [isAssetDetailModalOpen, setAssetDetailModalOpen] = useState(false);
   const [selectedAssetForDetail, setSelectedAssetForDetail] = useState(null);
   const [isEquityModalOpen, setIsEquityModalOpen] = useState(false);
@@ -223,33 +1428,32 @@ export default function PortfolioDashboard() {
   const importInputRef = useRef(null);
   const prevAssetsRef = useRef();
   
-  const recalculateStateFromTransactions = (txs) => {
-    let newAssets = {}; let realizedUSD = 0; let tradingBalance = 0; let totalDeposits = 0; let totalWithdrawals = 0;
-    const sortedTxs = [...txs].sort((a, b) => a.date - b.date);
-    for (const tx of sortedTxs) {
-      if (tx.type === 'deposit') { tradingBalance += tx.amount; totalDeposits += tx.amount; continue; }
-      if (tx.type === 'withdraw') { tradingBalance -= tx.amount; totalWithdrawals += tx.amount; continue; }
-      const assetId = tx.assetId || `${tx.assetStub.type}:${tx.assetStub.symbol}`;
-      if (!newAssets[assetId]) { newAssets[assetId] = ensureNumericAsset({ ...tx.assetStub, shares: 0, investedUSD: 0, avgPrice: 0 }); }
-      const asset = newAssets[assetId];
-      if (tx.type === 'buy') {
-        tradingBalance -= tx.cost * usdIdr; const totalInvested = asset.investedUSD + tx.cost; const totalShares = asset.shares + tx.qty;
-        asset.investedUSD = totalInvested; asset.shares = totalShares; asset.avgPrice = totalShares > 0 ? totalInvested / totalShares : 0;
-      } else if (tx.type === 'sell' || tx.type === 'delete') {
-        tradingBalance += tx.proceeds * usdIdr; realizedUSD += tx.realized; const costOfSold = asset.avgPrice * tx.qty;
-        asset.investedUSD -= costOfSold; asset.shares -= tx.qty;
-      }
-    }
-    setAssets(Object.values(newAssets).filter(a => a.shares > 0.000001));
-    setFinancialSummaries({ realizedUSD, tradingBalance, totalDeposits, totalWithdrawals });
-  };
+  const ledgerOpts = useMemo(() => ({ usdIdr, costBasisMethod, rateAt: fxRateAt, baseRateAt }), [usdIdr, costBasisMethod, fxRateAt, baseRateAt]);
 
   useEffect(() => {
     if(isBrowser) {
-        localStorage.setItem(`pf_transactions_${STORAGE_VERSION}`, JSON.stringify(transactions));
-        recalculateStateFromTransactions(transactions);
+        portfolios.forEach(p => localStorage.setItem(portfolioKey('transactions', p.id), JSON.stringify(txsByPortfolio[p.id] || [])));
+        const txSets = isAllAccounts ? portfolios.map(p => viewTransactions.filter(tx => tx.portfolioId === p.id)) : [transactions];
+        const results = txSets.map(txs => replayLedger(txs, ledgerOpts));
+        const { assets: newAssets, summaries, liabilities: newLiabilities, positions: newPositions, ledger: newLedger } = results.length === 1 ? results[0] : mergeReplays(results);
+        setAssets(newAssets);
+        setFinancialSummaries(summaries);
+        setLiabilities(newLiabilities);
+        setPositions(newPositions);
+        setLedger(newLedger);
     }
-  }, [transactions, usdIdr]);
+  }, [txsByPortfolio, portfolios, isAllAccounts, transactions, viewTransactions, ledgerOpts]);
+
+  // Metode baru hanya berlaku untuk penjualan baru: sell/transfer lama yang belum menyimpan costBasis (data lama)
+  // dicap dengan metode sebelumnya, termasuk di snapshot undo/redo, supaya replay-nya tidak ikut berubah.
+  const handleCostBasisMethodChange = (method) => {
+    if (method === costBasisMethod) return;
+    const stamp = (txs) => txs.map(tx => (tx.type === 'sell' || tx.type === 'delete' || (tx.type === 'transfer_out' && tx.assetId)) && !tx.costBasis ? { ...tx, costBasis: costBasisMethod } : tx);
+    const stampAll = (byPortfolio) => Object.fromEntries(Object.entries(byPortfolio).map(([pid, txs]) => [pid, stamp(txs)]));
+    const stampStack = (stack) => stack.map(entry => ({ ...entry, snapshot: stampAll(entry.snapshot) }));
+    setTxsByPortfolio(stampAll); setUndoStack(stampStack); setRedoStack(stampStack);
+    setCostBasisMethod(method);
+  };
   
   useEffect(() => { 
     if (isBrowser) {
@@ -260,18 +1464,107 @@ export default function PortfolioDashboard() {
         }, {});
     }
   }, [assets]);
-  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_display_sym_${STORAGE_VERSION}`, displaySymbol); }, [displaySymbol]);
-  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_watched_assets_${STORAGE_VERSION}`, JSON.stringify(watchedAssetIds)); }, [watchedAssetIds]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_display_ccy_${STORAGE_VERSION}`, displayCcy); }, [displayCcy]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_base_ccy_${STORAGE_VERSION}`, baseCcy); }, [baseCcy]);
+  useEffect(() => { if (isBrowser) portfolios.forEach(p => localStorage.setItem(portfolioKey('watched_assets', p.id), JSON.stringify(watchlists[p.id] || DEFAULT_WATCHLIST))); }, [watchlists, portfolios]);
+  useEffect(() => { if (isBrowser) portfolios.forEach(p => localStorage.setItem(portfolioKey('snapshots', p.id), JSON.stringify(snapshotsByPortfolio[p.id] || []))); }, [snapshotsByPortfolio, portfolios]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_portfolios_${STORAGE_VERSION}`, JSON.stringify(portfolios)); }, [portfolios]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_schedules_${STORAGE_VERSION}`, JSON.stringify(schedules)); }, [schedules]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_benchmarks_${STORAGE_VERSION}`, JSON.stringify(benchmarks)); }, [benchmarks]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_allocation_targets_${STORAGE_VERSION}`, JSON.stringify(allocationTargets)); }, [allocationTargets]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_risk_free_rate_${STORAGE_VERSION}`, riskFreeRate); }, [riskFreeRate]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_risk_benchmark_${STORAGE_VERSION}`, riskBenchmark); }, [riskBenchmark]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_daily_closes_${STORAGE_VERSION}`, JSON.stringify(dailyCloses)); }, [dailyCloses]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_active_portfolio_${STORAGE_VERSION}`, activePortfolioId); }, [activePortfolioId]);
   useEffect(() => { if (isBrowser) localStorage.setItem(`pf_price_history_${STORAGE_VERSION}`, JSON.stringify(priceHistory)); }, [priceHistory]);
   useEffect(() => { if (isBrowser) localStorage.setItem(`pf_asset_display_as_${STORAGE_VERSION}`, assetDisplayAs); }, [assetDisplayAs]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_cost_basis_${STORAGE_VERSION}`, costBasisMethod); }, [costBasisMethod]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_fee_profiles_${STORAGE_VERSION}`, JSON.stringify(feeDefaults)); }, [feeDefaults]);
+  useEffect(() => { if (isBrowser) localStorage.setItem(`pf_fx_rates_${STORAGE_VERSION}`, JSON.stringify(fxRates)); }, [fxRates]);
+
+  // Tabel kurs per 1 USD: ambil kurs terkini secara berkala. Histori harian hanya untuk IDR (kas) dan
+  // base currency, dan hanya rentang yang belum ada di cache (mulai dari transaksi paling awal di semua akun, karena
+  // snapshot harian direkonsiliasi untuk semua akun, bukan hanya yang sedang dilihat).
+  const earliestTxDate = useMemo(() => Object.values(txsByPortfolio).flat().reduce((min, tx) => Math.min(min, toNum(tx.date) || Infinity), Infinity), [txsByPortfolio]);
+  const fxWantStart = isFinite(earliestTxDate) ? toDateKey(earliestTxDate - 7 * 86400000) : null;
+  // Interval di bawah hidup selama beberapa render; cache kurs dibaca lewat ref agar tidak memakai snapshot render pertama.
+  const fxRatesRef = useRef(fxRates);
+  fxRatesRef.current = fxRates;
+  useEffect(() => {
+    const refreshPair = async (code, withHistory) => {
+      const pair = `USD${code}`;
+      try {
+        const cachedDates = Object.keys(fxRatesRef.current[pair]?.history || {}).sort();
+        const wantStart = withHistory ? fxWantStart : null;
+        let start = null;
+        if (wantStart && (cachedDates.length === 0 || wantStart < cachedDates[0])) start = wantStart;
+        else if (withHistory && cachedDates.length > 0 && cachedDates[cachedDates.length - 1] < toDateKey(Date.now() - 86400000)) start = cachedDates[cachedDates.length - 1];
+        const res = await fetch(FX_API(pair, start, toDateKey(Date.now())));
+        if (!res.ok) throw new Error(`FX API responded ${res.status}`);
+        const data = await res.json();
+        setFxRates(prev => {
+          const prevEntry = prev[pair] || {};
+          const history = { ...(prevEntry.history || {}) };
+          (data.history || []).forEach(p => { history[p.date] = p.rate; });
+          return { ...prev, [pair]: { latest: data.rate || prevEntry.latest, asOf: data.asOf || prevEntry.asOf, history, since: [prevEntry.since, start].filter(Boolean).sort()[0] } };
+        });
+      } catch (e) { console.error(`Failed to fetch ${pair} rate`, e); }
+    };
+    const refreshFx = () => {
+      const pairs = { IDR: true, [baseCcy]: true };
+      if (!(displayCcy in pairs)) pairs[displayCcy] = false;
+      delete pairs.USD;
+      Object.entries(pairs).forEach(([code, withHistory]) => refreshPair(code, withHistory));
+    };
+    refreshFx();
+    const id = setInterval(refreshFx, 10 * 60 * 1000);
+    return () => clearInterval(id);
+  }, [fxWantStart, displayCcy, baseCcy]);
+
 
+  // Histori close harian per aset untuk valuasi equity harian. Disimpan per tanggal dan hanya rentang yang belum ada
+  // yang diambil, paling banyak sekali sehari per aset (`checked`); sesi yang terbuka melewati tengah malam ikut refresh.
+  // Diambil berurutan agar tidak kena rate limit.
+  const historyAssets = useMemo(() => historyAssetsOf(Object.values(txsByPortfolio).flat()), [txsByPortfolio]);
+  const historyAssetsKey = Object.keys(historyAssets).sort().join();
+  useEffect(() => {
+    let cancelled = false;
+    setClosesReady(false);
+    (async () => {
+      const today = toDateKey(Date.now());
+      for (const asset of Object.values(historyAssets)) {
+        if (cancelled) return;
+        const entry = dailyCloses[asset.id];
+        const cachedDates = Object.keys(entry?.history || {}).sort();
+        const wantStart = toDateKey(asset.since - 7 * 86400000);
+        const covered = Boolean(entry?.since) && entry.since <= wantStart && cachedDates.length > 0;
+        if (covered && entry.checked === today) continue;
+        const start = covered ? cachedDates[cachedDates.length - 1] : wantStart;
+        try {
+          const res = await fetch(HISTORY_API(asset, start, today));
+          if (!res.ok) throw new Error(`History API responded ${res.status}`);
+          const data = await res.json();
+          if (cancelled) return;
+          setDailyCloses(prev => {
+            const prevEntry = prev[asset.id] || {};
+            const history = { ...(prevEntry.history || {}) };
+            (data.history || []).forEach(p => { history[p.date] = p.close; });
+            return { ...prev, [asset.id]: { currency: data.currency || prevEntry.currency, history, since: [prevEntry.since, start].filter(Boolean).sort()[0], checked: today } };
+          });
+        } catch (e) { console.error(`Failed to fetch ${asset.symbol} price history`, e); }
+      }
+      if (!cancelled) setClosesReady(true);
+    })();
+    return () => { cancelled = true; };
+  }, [historyAssetsKey, clockDay]);
 
   useEffect(() => {
     const pollPrices = async () => {
-      if (assets.length === 0 && watchedAssetIds.length === 0) return;
+      if (assets.length === 0 && watchedAssetIds.length === 0 && positions.length === 0 && targetStubs.length === 0) return;
 
-      const stockSymbols = [...new Set(assets.filter(a => a.type === "stock").map(a => a.symbol).filter(Boolean))];
-      const portfolioCryptoIds = [...new Set(assets.filter(a => a.type === "crypto" && a.coingeckoId).map(a => a.coingeckoId))];
+      const positionStubs = [...positions.map(p => p.assetStub || {}), ...targetStubs];
+      const stockSymbols = [...new Set([...assets, ...positionStubs].filter(a => a.type === "stock").map(a => a.symbol).filter(Boolean))];
+      const portfolioCryptoIds = [...new Set([...assets, ...positionStubs].filter(a => a.type === "crypto" && a.coingeckoId).map(a => a.coingeckoId))];
       
       const newPrices = {};
       const newFlashes = {};
@@ -315,7 +1608,7 @@ export default function PortfolioDashboard() {
                         };
                     }
                     if (portfolioCryptoIds.includes(item.id)) {
-                        const asset = assets.find(a => a.coingeckoId === item.id);
+                        const asset = assets.find(a => a.coingeckoId === item.id) || positionStubs.find(a => a.coingeckoId === item.id);
                         if (asset) {
                            newPrices[asset.symbol] = { price: item.current_price ?? 0, change: item.price_change_24h ?? 0, pctChange: item.price_change_percentage_24h ?? 0 };
                         }
@@ -328,6 +1621,11 @@ export default function PortfolioDashboard() {
         } catch (e) { console.error("Failed to fetch crypto prices", e); }
       }
       
+      const positionMarks = {};
+      positions.forEach(p => { const quote = newPrices[p.symbol]; if (quote) positionMarks[p.assetId] = (p.symbol.endsWith('.JK') && p.assetStub?.type === 'stock') ? quote.price / usdIdr : quote.price; });
+      targetStubs.forEach(a => { const quote = newPrices[a.symbol]; if (quote) positionMarks[a.id] = (a.symbol.endsWith('.JK') && a.type === 'stock') ? quote.price / usdIdr : quote.price; });
+      if (Object.keys(positionMarks).length > 0) setMarkPrices(prev => ({ ...prev, ...positionMarks }));
+
       if (Object.keys(newPrices).length > 0) {
         setAssets(prev => prev.map(a => {
             if (newPrices[a.symbol]) {
@@ -376,70 +1674,175 @@ export default function PortfolioDashboard() {
     // PERUBAHAN 3: Interval sudah 1 menit (60000ms) sesuai permintaan.
     const id = setInterval(pollPrices, 60000); // Polling every 1 minute
     return () => clearInterval(id);
-  }, [assets.length, usdIdr, watchedAssetIds]);
+  }, [assets.length, positions.length, targetStubs, usdIdr, watchedAssetIds]);
 
   const searchTimeoutRef = useRef(null);
   useEffect(() => {
     if (!query || query.trim().length < 2) { setSuggestions([]); return; }
     if (searchTimeoutRef.current) clearTimeout(searchTimeoutRef.current);
     searchTimeoutRef.current = setTimeout(async () => {
-      try {
-        const q = query.trim();
-        // Menggunakan API dari file HTML
-        // PERUBAHAN 3: Menambahkan cache-buster untuk pencarian crypto
-        const url = searchMode === 'crypto' 
-            ? PROXY_URL(`${COINGECKO_API}/search?query=${encodeURIComponent(q)}&_cb=${new Date().getTime()}`) 
-            : PROXIED_YAHOO_SEARCH(q); // PROXIED_YAHOO_SEARCH sudah memiliki cache-buster
-        const res = await fetch(url);
-        if (!res.ok) throw new Error('Search API failed');
-        const j = await res.json();
-        if (searchMode === 'crypto') {
-          setSuggestions((j.coins || []).slice(0, 10).map(c => ({ symbol: c.symbol.toUpperCase(), display: `${c.name} (${c.symbol.toUpperCase()})`, id: c.id, image: c.thumb, source: "coingecko", type: "crypto" })));
-        } else {
-          setSuggestions((j.quotes || []).filter(it => it.shortname || it.longname).map(it => ({ symbol: it.symbol.toUpperCase(), display: `${it.shortname || it.longname} (${it.symbol.toUpperCase()})`, exchange: it.exchange, source: "yahoo", type: "stock" })).slice(0, 10));
-        }
-      } catch (e) { console.error("Search failed:", e); setSuggestions([]); }
+      // Menggunakan API dari file HTML
+      try { setSuggestions(await searchAssetSuggestions(query.trim(), searchMode)); }
+      catch (e) { console.error("Search failed:", e); setSuggestions([]); }
     }, 400);
     return () => clearTimeout(searchTimeoutRef.current);
   }, [query, searchMode]);
 
-  const addTransaction = (tx) => setTransactions(prev => [...prev, tx]);
+  // Semua mutasi ledger lewat sini supaya bisa di-undo. Snapshot dicatat per portfolio; "All accounts" tidak
+  // punya ledger sendiri, jadi transaksi baru harus dicatat dari salah satu akun.
+  const UNDO_LIMIT = 50;
+  // changes = { [portfolioId]: txs }; transfer mengubah dua akun sekaligus dan di-undo sebagai satu langkah.
+  const snapshotOf = (changes) => Object.fromEntries(Object.keys(changes).map(pid => [pid, txsByPortfolio[pid] || []]));
+  // Lot transfer_in di akun tujuan ikut disinkronkan dan masuk snapshot undo yang sama.
+  const commitPortfolioChanges = (edits, label) => {
+    const changes = { ...edits, ...syncTransferLots(txsByPortfolio, edits, ledgerOpts) };
+    const portfolioId = Object.keys(edits)[0]; const name = portfolios.find(p => p.id === portfolioId)?.name;
+    if (portfolios.length > 1 && name) label = `${name}: ${label}`;
+    setUndoStack(stack => [...stack.slice(-(UNDO_LIMIT - 1)), { label, portfolioId, snapshot: snapshotOf(changes) }]);
+    setRedoStack([]);
+    setTxsByPortfolio(prev => ({ ...prev, ...changes }));
+    setToast({ id: Date.now(), message: label, actionLabel: 'Undo' });
+    return true;
+  };
+  const commitTransactions = (next, label, portfolioId = activePortfolioId) => {
+    if (portfolioId === ALL_PORTFOLIOS) { alert("Select an account to record transactions."); return false; }
+    return commitPortfolioChanges({ [portfolioId]: next }, label);
+  };
+  // Perubahan yang di-undo/redo harus terlihat: pindah ke akunnya kecuali sedang di akun itu atau "All accounts".
+  const focusHistoryEntry = (entry) => { if (!isAllAccounts && !(activePortfolioId in entry.snapshot)) setActivePortfolioId(entry.portfolioId); };
+  const handleUndo = () => {
+    const entry = undoStack[undoStack.length - 1]; if (!entry) return;
+    setUndoStack(stack => stack.slice(0, -1));
+    setRedoStack(stack => [...stack, { label: entry.label, portfolioId: entry.portfolioId, snapshot: snapshotOf(entry.snapshot) }]);
+    setTxsByPortfolio(prev => ({ ...prev, ...entry.snapshot })); focusHistoryEntry(entry);
+    setToast({ id: Date.now(), message: `Undone: ${entry.label}`, actionLabel: 'Redo' });
+  };
+  const handleRedo = () => {
+    const entry = redoStack[redoStack.length - 1]; if (!entry) return;
+    setRedoStack(stack => stack.slice(0, -1));
+    setUndoStack(stack => [...stack, { label: entry.label, portfolioId: entry.portfolioId, snapshot: snapshotOf(entry.snapshot) }]);
+    setTxsByPortfolio(prev => ({ ...prev, ...entry.snapshot })); focusHistoryEntry(entry);
+    setToast({ id: Date.now(), message: entry.label, actionLabel: 'Undo' });
+  };
+  historyActionsRef.current = { undo: handleUndo, redo: handleRedo };
+
+  // Ctrl/Cmd+Z = undo, Ctrl/Cmd+Shift+Z atau Ctrl+Y = redo. Di dalam input, biarkan undo bawaan browser.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); historyActionsRef.current.undo(); }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); historyActionsRef.current.redo(); }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+  useEffect(() => { if (!toast) return; const id = setTimeout(() => setToast(null), 6000); return () => clearTimeout(id); }, [toast]);
+
+  // Kurs saat booking ikut disimpan di setiap transaksi (kecuali caller sudah mengisinya); transaksi backdated
+  // memakai kurs pada tanggalnya. Ditolak bila membuat kas atau kepemilikan minus pada titik waktu mana pun.
+  const addTransaction = (tx) => {
+    if (isAllAccounts) { alert("Select an account to record transactions."); return false; }
+    const booked = { fxRate: Date.now() - tx.date > 86400000 ? fxRateAt(tx.date) : usdIdr, ...tx };
+    const issue = findNewLedgerIssue(transactions, [...transactions, booked], ledgerOpts);
+    if (issue) { alert(issue); return false; }
+    return commitTransactions([...transactions, booked], `${txTypeLabel(booked.type)}${booked.symbol ? ` ${booked.symbol}` : ''} recorded`);
+  };
+  const lookupHistoricalPriceUSD = (asset, t) => fetchHistoricalCloseUSD(asset, t, fxRateAt);
   
-  const handleBuy = (assetStub, qty, priceUSD) => {
+  const handleFeeProfileChange = (market, profileKey) => setFeeDefaults(prev => ({ ...prev, [market]: profileKey }));
+
+  // feeOpts = { broker, liquidity } dari ticket; tanpa feeOpts transaksi dicatat tanpa biaya.
+  // date = waktu transaksi (backdated entry); default sekarang. meta = field tambahan di transaksi (note, tautan jadwal).
+  const handleBuy = (assetStub, qty, priceUSD, feeOpts, date = Date.now(), meta = {}) => {
     qty = toNum(qty); priceUSD = toNum(priceUSD);
     if (qty <= 0 || priceUSD <= 0) { alert("Quantity and price must be greater than zero."); return false; }
     const costUSD = qty * priceUSD;
-    if (costUSD * usdIdr > financialSummaries.tradingBalance) { alert("Insufficient trading balance."); return false; }
+    const fees = computeTradeFees(feeOpts?.broker, 'buy', costUSD, feeOpts?.liquidity);
+    if (date > Date.now()) { alert("Trade date cannot be in the future."); return false; }
     const assetId = assetStub.id || `${assetStub.type}:${assetStub.symbol}`;
-    addTransaction({ id: `tx:${Date.now()}`, type: "buy", qty, pricePerUnit: priceUSD, cost: costUSD, date: Date.now(), symbol: assetStub.symbol, name: assetStub.name || assetStub.symbol, assetId, assetStub });
+    if (!addTransaction({ id: `tx:${Date.now()}`, type: "buy", qty, pricePerUnit: priceUSD, cost: costUSD, fee: fees.fee, tax: fees.tax, broker: feeOpts?.broker, cashCurrency: feeOpts?.cashCurrency || tradeCurrencyOf(assetStub), date, symbol: assetStub.symbol, name: assetStub.name || assetStub.symbol, assetId, assetStub, ...meta })) return false;
     if (isAssetDetailModalOpen) setAssetDetailModalOpen(false); return true;
   };
 
-  const handleSell = (asset, qty, priceUSD) => {
+  const handleSell = (asset, qty, priceUSD, lotId, feeOpts, date = Date.now()) => {
     qty = toNum(qty); priceUSD = toNum(priceUSD);
     if (!asset || qty <= 0) { alert("Quantity must be > 0"); return false; }
-    if (qty > asset.shares) { alert("Cannot sell more than you own."); return false; }
-    const proceedsUSD = qty * priceUSD; const costOfSold = qty * asset.avgPrice; const realized = proceedsUSD - costOfSold;
-    addTransaction({ id: `tx:${Date.now()}`, assetId: asset.id, type: "sell", qty, pricePerUnit: priceUSD, proceeds: proceedsUSD, costOfSold, realized, date: Date.now(), symbol: asset.symbol, name: asset.name });
+    if (date > Date.now()) { alert("Trade date cannot be in the future."); return false; }
+    // Kepemilikan & lot pada tanggal jual (replay sampai tanggal itu), bukan posisi hari ini, agar jual backdated benar.
+    const held = isAllAccounts ? asset : replayLedger(transactions.filter(tx => tx.date <= date), ledgerOpts).assets.find(a => a.id === asset.id);
+    if (!held || qty > held.shares + 0.000001) { alert(`Cannot sell more than the ${formatQty(held?.shares || 0)} ${asset.symbol} held on ${new Date(date).toLocaleString()}. Open a short position to sell short.`); return false; }
+    const proceedsUSD = qty * priceUSD; const fees = computeTradeFees(feeOpts?.broker, 'sell', proceedsUSD, feeOpts?.liquidity);
+    const { costOfSold } = previewLotSale(held, qty, costBasisMethod, lotId); const realized = proceedsUSD - fees.total - costOfSold;
+    if (!addTransaction({ id: `tx:${Date.now()}`, assetId: asset.id, type: "sell", qty, pricePerUnit: priceUSD, proceeds: proceedsUSD, fee: fees.fee, tax: fees.tax, broker: feeOpts?.broker, cashCurrency: feeOpts?.cashCurrency || tradeCurrencyOf(asset), costOfSold, realized, costBasis: costBasisMethod, lotId: lotId || undefined, date, symbol: asset.symbol, name: asset.name })) return false;
     if (isAssetDetailModalOpen) setAssetDetailModalOpen(false); return true;
   };
 
   const handleDeleteAsset = (asset) => {
     if (!asset || !confirm(`Delete and liquidate ${asset.symbol} at market price?`)) return;
-    const marketUSD = asset.shares * asset.lastPriceUSD; const realized = marketUSD - asset.investedUSD;
-    addTransaction({ id: `tx:${Date.now()}`, assetId: asset.id, type: "delete", qty: asset.shares, pricePerUnit: asset.lastPriceUSD, proceeds: marketUSD, costOfSold: asset.investedUSD, realized, date: Date.now(), symbol: asset.symbol, name: asset.name, note: "liquidated" });
+    const marketUSD = asset.shares * asset.lastPriceUSD; const broker = feeDefaults[feeMarketOf(asset)]; const fees = computeTradeFees(broker, 'sell', marketUSD);
+    const realized = marketUSD - fees.total - asset.investedUSD;
+    addTransaction({ id: `tx:${Date.now()}`, assetId: asset.id, type: "delete", qty: asset.shares, pricePerUnit: asset.lastPriceUSD, proceeds: marketUSD, fee: fees.fee, tax: fees.tax, broker, cashCurrency: tradeCurrencyOf(asset), costOfSold: asset.investedUSD, realized, costBasis: costBasisMethod, date: Date.now(), symbol: asset.symbol, name: asset.name, note: "liquidated" });
     setAssetDetailModalOpen(false);
   };
   
-  const handleDeleteTransaction = (txId) => { if (confirm("Delete this transaction permanently?")) setTransactions(prev => prev.filter(tx => tx.id !== txId)); };
-
-  const addAssetWithInitial = (qty, price) => {
-    qty = toNum(qty); price = toNum(price); let p = selectedSuggestion;
-    if (!p) { const t = query.split("(")[0].trim(); if (!t) return; p = { symbol: t.toUpperCase(), display: t.toUpperCase(), type: searchMode, image: null }; }
-    if (qty <= 0 || price <= 0) return;
-    const priceUSD = (displaySymbol === "Rp") ? price / usdIdr : price;
-    const newStub = { id: `${p.type}:${p.symbol||p.id}`, type: p.type, symbol: p.symbol, name: p.display, image: p.image, coingeckoId: p.type === 'crypto' ? p.id : undefined };
-    if (handleBuy(newStub, qty, priceUSD)) { setAddAssetModalOpen(false); setQuery(''); setSelectedSuggestion(null); setSuggestions([]); }
+  // Transaksi dari History selalu diubah di akun asalnya (penting di tampilan "All accounts").
+  const portfolioOfTx = (txId) => viewTransactions.find(tx => tx.id === txId)?.portfolioId || activePortfolioId;
+  // Pasangan transfer (transferId sama) di akun lawan ikut dihapus/diubah bersama.
+  const transferPeerOf = (txId) => {
+    const tx = viewTransactions.find(t => t.id === txId); if (!tx?.transferId) return null;
+    const pid = tx.peerPortfolioId; const peer = (txsByPortfolio[pid] || []).find(t => t.transferId === tx.transferId && t.id !== tx.id);
+    return peer ? { pid, peer } : null;
+  };
+  const handleDeleteTransaction = (txId) => {
+    const pid = portfolioOfTx(txId); const pair = transferPeerOf(txId);
+    const changes = { [pid]: (txsByPortfolio[pid] || []).filter(tx => tx.id !== txId) };
+    if (pair) changes[pair.pid] = (txsByPortfolio[pair.pid] || []).filter(tx => tx.id !== pair.peer.id);
+    // Hapus juga divalidasi: menghapus buy/deposit yang sudah terpakai membuat kepemilikan atau kas minus.
+    for (const [editedPid, txs] of Object.entries(changes)) {
+      const issue = findNewLedgerIssue(txsByPortfolio[editedPid] || [], txs, ledgerOpts);
+      if (issue) { alert(issue); return; }
+    }
+    commitPortfolioChanges(changes, pair ? "Transfer deleted" : "Transaction deleted");
+  };
+  // Edit divalidasi terhadap seluruh ledger sebelum disimpan; replay berjalan lewat effect transaksi.
+  const handleEditTransaction = (txId, changes) => {
+    const pid = portfolioOfTx(txId); const base = txsByPortfolio[pid] || [];
+    const fields = omitKey(changes, 'portfolioId');
+    const next = base.map(tx => tx.id === txId ? { ...tx, ...fields } : tx);
+    const pair = transferPeerOf(txId); const edits = { [pid]: next };
+    if (pair) {
+      const mirrored = Object.fromEntries(['date', 'amount', 'note'].filter(k => k in fields).map(k => [k, fields[k]]));
+      edits[pair.pid] = (txsByPortfolio[pair.pid] || []).map(tx => tx.id === pair.peer.id ? { ...tx, ...mirrored } : tx);
+    }
+    for (const [editedPid, txs] of Object.entries(edits)) {
+      const issue = findNewLedgerIssue(txsByPortfolio[editedPid] || [], txs, ledgerOpts);
+      if (issue) { alert(issue); return false; }
+    }
+    commitPortfolioChanges(edits, "Transaction edited");
+    setEditingTx(null);
+    return true;
+  };
+
+  // Stub aset dari hasil pencarian (atau teks query bila tidak memilih saran).
+  const searchAssetStub = () => {
+    let p = selectedSuggestion;
+    if (!p) { const t = query.split("(")[0].trim(); if (!t) return null; p = { symbol: t.toUpperCase(), display: t.toUpperCase(), type: searchMode, image: null }; }
+    return suggestionStub(p);
+  };
+  const closeAddAsset = () => { setAddAssetModalOpen(false); setQuery(''); setSelectedSuggestion(null); setSuggestions([]); };
+  const addAssetWithInitial = (qty, price, feeOpts, date) => {
+    qty = toNum(qty); price = toNum(price); const newStub = searchAssetStub();
+    if (!newStub || qty <= 0 || price <= 0) return;
+    const priceUSD = fromDisplay(price, displayAt(date));
+    if (handleBuy(newStub, qty, priceUSD, feeOpts, date)) closeAddAsset();
+  };
+  // Posisi short / leveraged tidak butuh holding: buka AssetDetailModal untuk aset hasil pencarian.
+  const openPositionFromSearch = () => {
+    const stub = searchAssetStub();
+    if (!stub) { alert("Search for an asset first."); return; }
+    const held = assets.find(a => a.id === stub.id);
+    closeAddAsset(); setSelectedAssetForDetail(held || { ...stub, shares: 0, lastPriceUSD: 0 }); setAssetDetailModalOpen(true);
   };
 
   const addNonLiquidAsset = () => {
@@ -450,15 +1853,206 @@ export default function PortfolioDashboard() {
     if (handleBuy(newAssetStub, qty, priceUSD)) { setAddAssetModalOpen(false); setNlName(''); setNlQty(''); setNlPrice(''); setNlPurchaseDate(''); setNlDesc(''); }
   };
   
-  const handleAddBalance = (amount) => { addTransaction({ id: `tx:${Date.now()}`, type: "deposit", amount: toNum(amount), date: Date.now() }); setBalanceModalOpen(false); };
-  const handleWithdraw = (amount) => {
-    const amountIDR = toNum(amount); if (amountIDR > financialSummaries.tradingBalance) { alert("Withdrawal amount exceeds balance."); return; }
-    addTransaction({ id: `tx:${Date.now()}`, type: "withdraw", amount: amountIDR, date: Date.now() }); setBalanceModalOpen(false);
+  // value = nominal kas (dalam mata uang tampilan) untuk income tunai, atau jumlah unit untuk stock dividend/staking.
+  const handleRecordIncome = (type, asset, value, price) => {
+    const def = INCOME_TYPES.find(t => t.key === type); value = toNum(value);
+    if (!def || value <= 0) { alert("Amount must be greater than zero."); return false; }
+    if (def.needsAsset && !asset) { alert("Select the asset that paid this income."); return false; }
+    const tx = { id: `tx:${Date.now()}`, type, date: Date.now() };
+    if (asset) Object.assign(tx, { assetId: asset.id, symbol: asset.symbol, name: asset.name, assetStub: { id: asset.id, type: asset.type, symbol: asset.symbol, name: asset.name, image: asset.image, coingeckoId: asset.coingeckoId } });
+    if (def.kind === 'cash') {
+      // Dividen/kupon masuk ke kas mata uang aset (mis. dividen saham US dalam USD); bunga deposito dalam IDR.
+      tx.cashCurrency = asset ? tradeCurrencyOf(asset) : 'IDR';
+      tx.amount = tx.cashCurrency === 'IDR' ? displayToIDR(value, display, usdIdr) : fromDisplay(value, display);
+    } else {
+      const priceUSD = type === 'staking' ? fromDisplay(toNum(price), display) : 0;
+      if (type === 'staking' && priceUSD <= 0) { alert("Enter the market price at the time the reward was received."); return false; }
+      Object.assign(tx, { qty: value, pricePerUnit: priceUSD, amount: value * priceUSD * usdIdr });
+    }
+    if (!addTransaction(tx)) return false;
+    setIncomeModalOpen(false); return true;
+  };
+
+  // Appraisal manual (nilai per unit dalam mata uang tampilan, pada kurs tanggal appraisal) meng-override model YoY mulai tanggalnya.
+  const handleRecordAppraisal = (asset, value, date, yoy) => {
+    const priceUSD = fromDisplay(toNum(value), displayAt(date));
+    if (!asset || priceUSD <= 0) { alert("Enter the appraised value per unit."); return false; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return false; }
+    const assetStub = { id: asset.id, type: asset.type, symbol: asset.symbol, name: asset.name, purchaseDate: asset.purchaseDate, nonLiquidYoy: asset.nonLiquidYoy, description: asset.description };
+    if (!addTransaction({ id: `tx:${Date.now()}`, type: 'appraisal', assetId: asset.id, symbol: asset.symbol, name: asset.name, assetStub, pricePerUnit: priceUSD, nonLiquidYoy: toNum(yoy), date })) return false;
+    setAssetDetailModalOpen(false); return true;
+  };
+
+  const handleCorporateAction = (asset, action, form) => {
+    if (!asset || asset.shares <= 0) return false;
+    const assetStub = { id: asset.id, type: asset.type, symbol: asset.symbol, name: asset.name, image: asset.image, coingeckoId: asset.coingeckoId };
+    const base = { id: `tx:${Date.now()}`, date: Date.now(), assetId: asset.id, symbol: asset.symbol, name: asset.name, assetStub };
+    if (action === 'split' || action === 'reverse_split') {
+      const ratioTo = toNum(form.ratioTo), ratioFrom = toNum(form.ratioFrom);
+      if (ratioTo <= 0 || ratioFrom <= 0) { alert("Enter a valid split ratio."); return false; }
+      if (action === 'split' ? ratioTo <= ratioFrom : ratioTo >= ratioFrom) { alert(action === 'split' ? "A split must increase the share count." : "A reverse split must decrease the share count."); return false; }
+      if (!addTransaction({ ...base, type: 'split', ratioTo, ratioFrom, note: `${ratioTo}:${ratioFrom}` })) return false;
+    } else if (action === 'rights') {
+      const perHeld = toNum(form.ratioFrom), newShares = toNum(form.ratioTo), priceUSD = fromDisplay(toNum(form.price), display);
+      if (perHeld <= 0 || newShares <= 0 || priceUSD <= 0) { alert("Enter the rights ratio and exercise price."); return false; }
+      const qty = toNum(form.qty) > 0 ? toNum(form.qty) : Math.floor(asset.shares / perHeld) * newShares;
+      if (qty <= 0) { alert("Not enough shares to exercise any rights."); return false; }
+      // Kecukupan kas divalidasi addTransaction lewat replay ledger pada tanggal transaksi.
+      const cashCurrency = tradeCurrencyOf(asset);
+      if (!addTransaction({ ...base, type: 'corporate_action', action, qty, pricePerUnit: priceUSD, cost: qty * priceUSD, cashCurrency, ratioTo: newShares, ratioFrom: perHeld, note: `${newShares}:${perHeld} rights` })) return false;
+    } else if (action === 'symbol_change' || action === 'merger') {
+      const newSymbol = String(form.newSymbol || '').trim().toUpperCase();
+      if (!newSymbol) { alert("Enter the new symbol."); return false; }
+      const ratio = action === 'merger' ? toNum(form.ratio) : 1;
+      if (ratio <= 0) { alert("Enter the conversion ratio."); return false; }
+      // Crypto: harga live & histori butuh coingeckoId; default id aset lama, bisa diganti untuk token hasil merger.
+      const coingeckoId = asset.type === 'crypto' ? String(form.newCoingeckoId ?? asset.coingeckoId ?? '').trim() || asset.coingeckoId : undefined;
+      const targetStub = { ...(action === 'symbol_change' ? assetStub : {}), id: `${asset.type}:${newSymbol}`, type: asset.type, symbol: newSymbol, name: String(form.newName || '').trim() || newSymbol, ...(coingeckoId ? { coingeckoId } : {}) };
+      if (targetStub.id === asset.id) { alert("The new symbol is the same as the current one."); return false; }
+      if (!addTransaction({ ...base, type: 'corporate_action', action, ratio, targetStub, note: `${asset.symbol} → ${newSymbol}` })) return false;
+    } else return false;
+    setAssetDetailModalOpen(false); return true;
+  };
+
+  // amount dalam mata uang kas `currency` (IDR, USD atau USDT).
+  const handleAddBalance = (amount, date = Date.now(), currency = 'IDR') => {
+    amount = toNum(amount); if (amount <= 0) { alert("Amount must be greater than zero."); return; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return; }
+    if (addTransaction({ id: `tx:${Date.now()}`, type: "deposit", amount, cashCurrency: currency, date })) setBalanceModalOpen(false);
+  };
+  // Saldo dicek pada tanggal penarikan (dan sesudahnya) oleh validasi ledger di addTransaction.
+  const handleWithdraw = (amount, date = Date.now(), currency = 'IDR') => {
+    amount = toNum(amount); if (amount <= 0) { alert("Amount must be greater than zero."); return; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return; }
+    if (addTransaction({ id: `tx:${Date.now()}`, type: "withdraw", amount, cashCurrency: currency, date })) setBalanceModalOpen(false);
+  };
+  // Konversi antar kas mata uang; kurs tersirat = toAmount / fromAmount (spread & biaya sudah termasuk).
+  const handleConvertCash = ({ fromCurrency, toCurrency, fromAmount, toAmount, date = Date.now(), note }) => {
+    fromAmount = toNum(fromAmount); toAmount = toNum(toAmount);
+    if (fromCurrency === toCurrency) { alert("Choose two different currencies."); return false; }
+    if (fromAmount <= 0 || toAmount <= 0) { alert("Amounts must be greater than zero."); return false; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return false; }
+    if (!addTransaction({ id: `tx:${Date.now()}`, type: 'fx_convert', fromCurrency, toCurrency, fromAmount, toAmount, date, note: String(note || '').trim() || undefined })) return false;
+    setFxModalOpen(false); return true;
+  };
+
+  // Kepemilikan sebuah akun pada waktu tertentu (untuk memilih aset & lot yang ditransfer).
+  const holdingsOf = useCallback((portfolioId, at = Date.now()) => replayLedger((txsByPortfolio[portfolioId] || []).filter(tx => tx.date <= at), { usdIdr, costBasisMethod, rateAt: fxRateAt, baseRateAt }).assets, [txsByPortfolio, usdIdr, costBasisMethod, fxRateAt, baseRateAt]);
+  // Tanpa assetId = transfer kas (amount dalam mata uang `currency`); dengan assetId = transfer unit beserta lotnya.
+  const handleTransfer = ({ fromId, toId, assetId, qty, amount, currency = 'IDR', date = Date.now(), note }) => {
+    if (!fromId || !toId || fromId === toId) { alert("Choose two different accounts."); return false; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return false; }
+    const stamp = Date.now(); const transferId = `tf:${stamp}`; const toName = portfolios.find(p => p.id === toId)?.name;
+    const common = { transferId, date, note: String(note || '').trim() || undefined };
+    let outTx, inTx, label;
+    if (assetId) {
+      qty = toNum(qty); const held = holdingsOf(fromId, date).find(a => a.id === assetId);
+      if (!held || qty <= 0) { alert("Select an asset and a quantity greater than zero."); return false; }
+      if (qty > held.shares + 0.000001) { alert(`Only ${formatQty(held.shares)} ${held.symbol} held in that account at that date.`); return false; }
+      const { consumed } = previewLotSale(held, qty, costBasisMethod);
+      const assetStub = { id: held.id, type: held.type, symbol: held.symbol, name: held.name, image: held.image, coingeckoId: held.coingeckoId, purchaseDate: held.purchaseDate, nonLiquidYoy: held.nonLiquidYoy, description: held.description, appraisals: held.appraisals };
+      const asset = { assetId, symbol: held.symbol, name: held.name, assetStub, qty };
+      outTx = { ...common, ...asset, id: `tx:${stamp}:out`, type: 'transfer_out', costBasis: costBasisMethod, peerPortfolioId: toId };
+      inTx = { ...common, ...asset, id: `tx:${stamp}:in`, type: 'transfer_in', lots: consumed.map(l => ({ lotId: l.lotId, qty: l.qty, unitCostUSD: l.unitCostUSD, baseRate: l.baseRate, date: l.date })), peerPortfolioId: fromId };
+      label = `Transfer ${formatQty(qty)} ${held.symbol} to ${toName}`;
+    } else {
+      amount = toNum(amount); if (amount <= 0) { alert("Amount must be greater than zero."); return false; }
+      outTx = { ...common, id: `tx:${stamp}:out`, type: 'transfer_out', amount, cashCurrency: currency, peerPortfolioId: toId };
+      inTx = { ...common, id: `tx:${stamp}:in`, type: 'transfer_in', amount, cashCurrency: currency, peerPortfolioId: fromId };
+      label = `Transfer ${formatCash(amount, currency)} to ${toName}`;
+    }
+    const source = txsByPortfolio[fromId] || [];
+    const issue = findNewLedgerIssue(source, [...source, outTx], ledgerOpts);
+    if (issue) { alert(issue); return false; }
+    commitPortfolioChanges({ [fromId]: [...source, outTx], [toId]: [...(txsByPortfolio[toId] || []), inTx] }, label);
+    setTransferModalOpen(false); return true;
+  };
+
+  // Harga, fee dan funding diisi dalam mata uang tampilan; margin = notional / leverage.
+  const handleOpenPosition = (asset, form) => {
+    const date = new Date(form.date).getTime() || Date.now(); const dd = displayAt(date);
+    const qty = toNum(form.qty), priceUSD = fromDisplay(toNum(form.price), dd), leverage = toNum(form.leverage), feeUSD = fromDisplay(toNum(form.fee), dd);
+    if (!asset || qty <= 0 || priceUSD <= 0) { alert("Quantity and entry price must be greater than zero."); return false; }
+    if (leverage < 1 || leverage > 125) { alert("Leverage must be between 1x and 125x."); return false; }
+    if (feeUSD < 0 || toNum(form.maintenanceMargin) < 0) { alert("Fees and maintenance margin cannot be negative."); return false; }
+    if (date > Date.now()) { alert("Trade date cannot be in the future."); return false; }
+    const assetStub = { id: asset.id, type: asset.type, symbol: asset.symbol, name: asset.name, image: asset.image, coingeckoId: asset.coingeckoId };
+    if (!addTransaction({ id: `tx:${Date.now()}`, type: 'position_open', positionId: `pos:${Date.now()}`, assetId: asset.id, symbol: asset.symbol, name: asset.name, assetStub, direction: form.direction === 'short' ? 'short' : 'long', leverage, qty, pricePerUnit: priceUSD, margin: qty * priceUSD / leverage, fee: feeUSD, maintenanceMargin: toNum(form.maintenanceMargin), cashCurrency: tradeCurrencyOf(asset), date })) return false;
+    setAssetDetailModalOpen(false); return true;
+  };
+  const handleClosePosition = (position, qty, price, fee, date = Date.now()) => {
+    qty = toNum(qty); const dd = displayAt(date); const priceUSD = fromDisplay(toNum(price), dd); const feeUSD = fromDisplay(toNum(fee), dd);
+    if (!position || qty <= 0 || priceUSD <= 0) { alert("Quantity and exit price must be greater than zero."); return false; }
+    if (qty > position.qty + 0.000000001) { alert(`Only ${formatQty(position.qty)} ${position.symbol} is open in this position.`); return false; }
+    if (date > Date.now()) { alert("Trade date cannot be in the future."); return false; }
+    return addTransaction({ id: `tx:${Date.now()}`, type: 'position_close', positionId: position.id, assetId: position.assetId, symbol: position.symbol, name: position.name, qty, pricePerUnit: priceUSD, fee: feeUSD, cashCurrency: position.cashCurrency, date });
+  };
+  const handleFundingPayment = (position, amount, date = Date.now()) => {
+    const fundingUSD = fromDisplay(toNum(amount), displayAt(date));
+    if (!position || !fundingUSD) { alert("Enter the funding amount (negative when paid)."); return false; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return false; }
+    return addTransaction({ id: `tx:${Date.now()}`, type: 'funding', positionId: position.id, assetId: position.assetId, symbol: position.symbol, name: position.name, fundingUSD, cashCurrency: position.cashCurrency, date });
   };
+
+  // form.principal & angsuran dalam IDR; interestRate dalam persen per tahun.
+  const handleAddLiability = (form) => {
+    const name = String(form.name || '').trim(); const principal = toNum(form.principal); const date = new Date(form.startDate).getTime() || Date.now();
+    if (!name || principal <= 0) { alert("Name and principal must be filled."); return false; }
+    if (toNum(form.interestRate) < 0 || toNum(form.termMonths) < 0) { alert("Interest rate and term cannot be negative."); return false; }
+    if (date > Date.now()) { alert("Start date cannot be in the future."); return false; }
+    return addTransaction({ id: `tx:${Date.now()}`, type: 'liability_open', liabilityId: `liab:${Date.now()}`, name, liabilityKind: form.liabilityKind, amount: principal, interestRate: toNum(form.interestRate), termMonths: toNum(form.termMonths), amortization: form.amortization, toCash: Boolean(form.toCash), date });
+  };
+  const handleLiabilityPayment = (liability, amount, date = Date.now(), fromCash = false) => {
+    amount = toNum(amount); if (!liability || amount <= 0) { alert("Amount must be greater than zero."); return false; }
+    if (date > Date.now()) { alert("Date cannot be in the future."); return false; }
+    return addTransaction({ id: `tx:${Date.now()}`, type: 'liability_payment', liabilityId: liability.id, name: liability.name, amount, fromCash: Boolean(fromCash), date });
+  };
+
+  // Jadwal milik portfolio aktif; di "All accounts" semua jadwal ditampilkan tapi tidak bisa dieksekusi.
+  const activeSchedules = useMemo(() => isAllAccounts ? schedules : schedules.filter(sc => sc.portfolioId === activePortfolioId), [isAllAccounts, schedules, activePortfolioId]);
+  const handleAddSchedule = (form) => {
+    if (isAllAccounts) { alert("Select an account to add a schedule."); return false; }
+    const amount = toNum(form.amount); const startDate = new Date(form.startDate).getTime();
+    const asset = form.kind === 'buy' ? derivedData.rows.find(r => r.id === form.assetId) : null;
+    if (amount <= 0) { alert("Amount must be greater than zero."); return false; }
+    if (form.kind === 'buy' && !asset) { alert("Select the asset to buy."); return false; }
+    if (!isFinite(startDate)) { alert("Invalid start date."); return false; }
+    const assetStub = asset ? { id: asset.id, type: asset.type, symbol: asset.symbol, name: asset.name, image: asset.image, coingeckoId: asset.coingeckoId } : undefined;
+    // Jatuh tempo sebelum hari ini tidak dianggap pending untuk jadwal baru.
+    setSchedules(prev => [...prev, { id: `sch:${Date.now()}`, portfolioId: activePortfolioId, kind: form.kind, assetStub, amount, frequency: form.frequency, day: toNum(form.day) || new Date(startDate).getDate(), startDate, lastHandled: Math.max(Date.now(), startDate - 1), paused: false }]);
+    return true;
+  };
+  const handleUpdateSchedule = (id, changes) => setSchedules(prev => prev.map(sc => sc.id === id ? { ...sc, ...changes } : sc));
+  const handleDeleteSchedule = (id) => { if (confirm("Delete this schedule? Past transactions are kept.")) setSchedules(prev => prev.filter(sc => sc.id !== id)); };
+  // Harga beli diambil dari quote terakhir aset; jumlah unit = nominal / harga, dibulatkan ke bawah ke unit yang bisa
+  // ditransaksikan (saham IDX per lot).
+  const scheduleQuote = (schedule) => {
+    if (schedule.kind !== 'buy') return null;
+    const priceUSD = derivedData.rows.find(r => r.id === schedule.assetStub?.id)?.lastPriceUSD || markPrices[schedule.assetStub?.id] || 0;
+    if (priceUSD <= 0) return { priceUSD: 0, qty: 0 };
+    const units = schedule.amount / (priceUSD * usdIdr);
+    return { priceUSD, qty: roundTradeQty(schedule.assetStub, units) };
+  };
+  const confirmedScheduled = useMemo(() => new Set(transactions.filter(tx => tx.scheduleId).map(tx => `${tx.scheduleId}:${tx.scheduledFor}`)), [transactions]);
+  const pendingScheduled = useMemo(() => isAllAccounts ? [] : activeSchedules.flatMap(sc => pendingOccurrences(sc, clock, confirmedScheduled).map(dueDate => ({ schedule: sc, dueDate }))).sort((a, b) => a.dueDate - b.dueDate), [isAllAccounts, activeSchedules, clock, confirmedScheduled]);
+  const handleConfirmScheduled = ({ schedule, dueDate }) => {
+    const meta = { note: `Scheduled for ${new Date(dueDate).toLocaleDateString()}`, scheduleId: schedule.id, scheduledFor: dueDate };
+    if (schedule.kind === 'buy') {
+      const quote = scheduleQuote(schedule);
+      if (!quote?.priceUSD) { alert(`No current quote for ${schedule.assetStub?.symbol}.`); return; }
+      // Nominal di bawah satu lot/unit tidak bisa dieksekusi: jatuh tempo ini dilewati, jadwal tetap berjalan.
+      if (quote.qty <= 0) { alert(`${formatMoney(schedule.amount, 'IDR')} is below one ${tradeUnitLabel(schedule.assetStub)} of ${schedule.assetStub.symbol}. This occurrence was skipped.`); handleSkipScheduled({ schedule, dueDate }); return; }
+      // Nominal jadwal dalam IDR, jadi DCA selalu dibayar dari kas IDR (termasuk aset yang defaultnya dibayar USD/USDT).
+      handleBuy(schedule.assetStub, quote.qty, quote.priceUSD, { broker: feeDefaults[feeMarketOf(schedule.assetStub)], cashCurrency: 'IDR' }, Date.now(), meta);
+    } else {
+      addTransaction({ id: `tx:${Date.now()}`, type: schedule.kind, amount: schedule.amount, date: dueDate, ...meta });
+    }
+  };
+  const handleSkipScheduled = ({ schedule, dueDate }) => handleUpdateSchedule(schedule.id, { lastHandled: Math.max(schedule.lastHandled ?? -Infinity, dueDate) });
   
   // Menggunakan Logika Export dari file HTML
   const handleExport = () => {
-    if (transactions.length === 0) { alert("No transactions to export."); return; }
+    if (viewTransactions.length === 0) { alert("No transactions to export."); return; }
     const formatCsvCell = (cellData) => { 
         const stringData = String(cellData ?? ''); 
         if (stringData.includes(',') || stringData.includes('"') || stringData.includes('\n')) { 
@@ -466,23 +2060,25 @@ export default function PortfolioDashboard() {
         } 
         return stringData; 
     };
-    const headers = ['id', 'date', 'type', 'symbol', 'name', 'qty', 'pricePerUnit', 'cost', 'proceeds', 'realized', 'amount', 'assetId', 'note', 'assetStub'];
+    // Kolom costOfSold/realized/lots diambil dari hasil replay agar sesuai metode cost basis.
+    const headers = [...(isAllAccounts ? ['portfolio'] : []), 'id', 'date', 'type', 'symbol', 'name', 'qty', 'pricePerUnit', 'cost', 'proceeds', 'fee', 'tax', 'broker', 'fxRate', 'costOfSold', 'realized', 'realizedBase', 'costBasis', 'lotId', 'lots', 'amount', 'cashCurrency', 'fromCurrency', 'fromAmount', 'toCurrency', 'toAmount', 'action', 'ratio', 'ratioTo', 'ratioFrom', 'assetId', 'transferId', 'peerPortfolioId', 'nonLiquidYoy', 'liabilityId', 'liabilityKind', 'interestRate', 'termMonths', 'amortization', 'toCash', 'fromCash', 'positionId', 'direction', 'leverage', 'margin', 'maintenanceMargin', 'fundingUSD', 'note', 'assetStub', 'targetStub'];
     const headerRow = headers.join(',') + '\n';
-    const rows = transactions.map(tx => { 
+    const rows = ledger.map(tx => { 
         const rowData = headers.map(header => { 
-            if (header === 'assetStub') {
-                return tx.assetStub ? JSON.stringify(tx.assetStub) : '';
+            if (header === 'assetStub' || header === 'targetStub' || header === 'lots') {
+                return tx[header] ? JSON.stringify(tx[header]) : '';
             }
+            if (header === 'portfolio') return portfolios.find(p => p.id === tx.portfolioId)?.name;
             return tx[header]; 
         }); 
         return rowData.map(formatCsvCell).join(','); 
     }).join('\n');
     const csvContent = headerRow + rows; const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }); const link = document.createElement("a");
-    if (link.download !== undefined) { const url = URL.createObjectURL(blob); link.setAttribute("href", url); link.setAttribute("download", `transactions_${new Date().toISOString().split('T')[0]}.csv`); link.style.visibility = 'hidden'; document.body.appendChild(link); link.click(); document.body.removeChild(link); }
+    if (link.download !== undefined) { const url = URL.createObjectURL(blob); link.setAttribute("href", url); link.setAttribute("download", `transactions_${(isAllAccounts ? 'all' : portfolios.find(p => p.id === activePortfolioId)?.name || 'portfolio').replace(/\W+/g, '_').toLowerCase()}_${new Date().toISOString().split('T')[0]}.csv`); link.style.visibility = 'hidden'; document.body.appendChild(link); link.click(); document.body.removeChild(link); }
     setManagePortfolioOpen(false);
   };
 
-  const handleImportClick = () => { importInputRef.current.click(); };
+  const handleImportClick = () => { if (isAllAccounts) { alert("Select an account to import into."); setManagePortfolioOpen(false); return; } importInputRef.current.click(); };
 
   // Menggunakan Logika Import dari file HTML
   const handleFileImport = (event) => {
@@ -500,11 +2096,11 @@ export default function PortfolioDashboard() {
                 const tx = {};
                 headers.forEach((header, index) => { 
                      if (values[index] !== undefined) {
-                        if (header === 'assetStub' && values[index]) {
+                        if ((header === 'assetStub' || header === 'targetStub' || header === 'lots') && values[index]) {
                             try {
                                 tx[header] = JSON.parse(values[index]);
                             } catch (e) {
-                                console.error("Failed to parse assetStub JSON:", values[index], e);
+                                console.error(`Failed to parse ${header} JSON:`, values[index], e);
                                 tx[header] = null;
                             }
                         } else {
@@ -512,47 +2108,104 @@ export default function PortfolioDashboard() {
                         }
                      }
                 });
-                const numericFields = ['date', 'qty', 'pricePerUnit', 'cost', 'proceeds', 'realized', 'amount'];
+                const numericFields = ['date', 'qty', 'pricePerUnit', 'cost', 'proceeds', 'fee', 'tax', 'fxRate', 'costOfSold', 'realized', 'realizedBase', 'amount', 'fromAmount', 'toAmount', 'ratio', 'ratioTo', 'ratioFrom', 'nonLiquidYoy', 'interestRate', 'termMonths', 'leverage', 'margin', 'maintenanceMargin', 'fundingUSD'];
                 numericFields.forEach(field => { if (tx[field]) tx[field] = toNum(tx[field]); });
+                ['toCash', 'fromCash'].forEach(field => { if (field in tx) tx[field] = tx[field] === 'true'; });
                 return tx;
             });
-            setTransactions(newTransactions); alert("Transaksi berhasil diimpor!");
+            commitTransactions(newTransactions, `Imported ${newTransactions.length} transactions`);
         } catch (error) { console.error("Gagal mengimpor CSV:", error); alert(`Terjadi kesalahan saat mengimpor file: ${error.message}`); } finally { event.target.value = null; }
     };
     reader.readAsText(file); setManagePortfolioOpen(false);
   };
 
   const handleSetWatchedAsset = (cryptoId) => {
-    setWatchedAssetIds(prev => {
-        if (prev.includes(cryptoId)) return prev.filter(id => id !== cryptoId);
-        if (prev.length >= 2) { const newWatched = [...prev]; newWatched.shift(); newWatched.push(cryptoId); return newWatched; }
-        return [...prev, cryptoId];
+    if (isAllAccounts) { alert("Select an account to edit its watchlist."); return; }
+    setWatchlists(all => {
+        const prev = all[activePortfolioId] || DEFAULT_WATCHLIST; let next;
+        if (prev.includes(cryptoId)) next = prev.filter(id => id !== cryptoId);
+        else if (prev.length >= 2) { next = [...prev]; next.shift(); next.push(cryptoId); }
+        else next = [...prev, cryptoId];
+        return { ...all, [activePortfolioId]: next };
     });
   };
 
-  const { tradingBalance, realizedUSD, totalDeposits, totalWithdrawals } = financialSummaries;
+  // Portfolio baru mulai kosong. Menghapus portfolio ikut menghapus transaksi & watchlist-nya (tidak bisa di-undo).
+  const handleSelectPortfolio = (value) => {
+    if (value !== '__new') { setActivePortfolioId(value); return; }
+    const name = (prompt("New portfolio name (e.g. broker account):") || '').trim(); if (!name) return;
+    const id = `p${Date.now().toString(36)}`;
+    setPortfolios(prev => [...prev, { id, name }]);
+    setTxsByPortfolio(prev => ({ ...prev, [id]: [] }));
+    setWatchlists(prev => ({ ...prev, [id]: DEFAULT_WATCHLIST }));
+    setActivePortfolioId(id);
+  };
+  const handleRenamePortfolio = () => {
+    setManagePortfolioOpen(false);
+    const current = portfolios.find(p => p.id === activePortfolioId); if (!current) return;
+    const name = (prompt("Rename portfolio:", current.name) || '').trim(); if (!name) return;
+    setPortfolios(prev => prev.map(p => p.id === current.id ? { ...p, name } : p));
+  };
+  const handleDeletePortfolio = () => {
+    setManagePortfolioOpen(false);
+    const current = portfolios.find(p => p.id === activePortfolioId); if (!current) return;
+    if (portfolios.length === 1) { alert("You need at least one portfolio."); return; }
+    if (!confirm(`Delete portfolio "${current.name}" and all of its transactions?`)) return;
+    if (isBrowser) { localStorage.removeItem(portfolioKey('transactions', current.id)); localStorage.removeItem(portfolioKey('watched_assets', current.id)); localStorage.removeItem(portfolioKey('snapshots', current.id)); }
+    setPortfolios(prev => prev.filter(p => p.id !== current.id));
+    setTxsByPortfolio(prev => omitKey(prev, current.id));
+    setWatchlists(prev => omitKey(prev, current.id));
+    setSnapshotsByPortfolio(prev => omitKey(prev, current.id));
+    setAllocationTargets(prev => omitKey(prev, current.id));
+    setSchedules(prev => prev.filter(sc => sc.portfolioId !== current.id));
+    setUndoStack(stack => stack.filter(e => !(current.id in e.snapshot))); setRedoStack(stack => stack.filter(e => !(current.id in e.snapshot)));
+    setActivePortfolioId(portfolios.find(p => p.id !== current.id).id);
+  };
+
+  const { tradingBalance, realizedUSD, realizedBase, totalDeposits, totalWithdrawals, totalIncome } = financialSummaries;
   const derivedData = useMemo(() => {
     const rows = assets.map(a => {
-        const currentPrice = a.lastPriceUSD > 0 ? a.lastPriceUSD : a.avgPrice;
+        const currentPrice = a.type === 'nonliquid' ? nonLiquidPriceUSD(a) : a.lastPriceUSD > 0 ? a.lastPriceUSD : a.avgPrice;
         const marketValueUSD = a.shares * currentPrice;
         const pnlUSD = marketValueUSD - a.investedUSD;
         const pnlPct = a.investedUSD > 0 ? (pnlUSD / a.investedUSD) * 100 : 0;
-        return { ...a, marketValueUSD, pnlUSD, pnlPct, lastPriceUSD: currentPrice };
+        const pnlBase = marketValueUSD * baseRate - a.investedBase;
+        const pnlPctBase = a.investedBase > 0 ? (pnlBase / a.investedBase) * 100 : 0;
+        const avgPriceBase = a.shares > 0 ? a.investedBase / a.shares : 0;
+        return { ...a, marketValueUSD, pnlUSD, pnlPct, pnlBase, pnlPctBase, avgPriceBase, lastPriceUSD: currentPrice };
     });
     const investedUSD = rows.reduce((s, r) => s + r.investedUSD, 0);
+    const investedBase = rows.reduce((s, r) => s + r.investedBase, 0);
     const marketValueUSD = rows.reduce((s, r) => s + r.marketValueUSD, 0);
     const unrealizedPnlUSD = marketValueUSD - investedUSD;
     const unrealizedPnlPct = investedUSD > 0 ? (unrealizedPnlUSD / investedUSD) * 100 : 0;
-    const totalEquity = (marketValueUSD * usdIdr) + tradingBalance;
-    const sells = transactions.filter(tx => tx.type === 'sell' || tx.type === 'delete');
-    const wins = sells.filter(tx => tx.realized > 0); const losses = sells.filter(tx => tx.realized <= 0);
-    const tradeStats = { trades: sells.length, wins: wins.length, losses: losses.length, winRate: sells.length > 0 ? (wins.length / sells.length) * 100 : 0, maxProfit: wins.length ? Math.max(0, ...wins.map(tx => tx.realized)) : 0, maxLoss: losses.length ? Math.min(0, ...losses.map(tx => tx.realized)) : 0, avgProfit: wins.length ? wins.reduce((s, tx) => s + tx.realized, 0) / wins.length : 0, avgLoss: losses.length ? losses.reduce((s, tx) => s + tx.realized, 0) / losses.length : 0, totalRealizedGain: realizedUSD };
-    const netDeposit = totalDeposits - totalWithdrawals; const totalPnlUSD = unrealizedPnlUSD + realizedUSD;
-    const totalValueForBreakdown = tradingBalance + (marketValueUSD * usdIdr);
+    const unrealizedPnlBase = marketValueUSD * baseRate - investedBase;
+    const unrealizedPnlPctBase = investedBase > 0 ? (unrealizedPnlBase / investedBase) * 100 : 0;
+    // Nilai posisi = margin + unrealized P&L pada harga pasar (tidak bisa di bawah nol pada isolated margin).
+    const positionRows = positions.map(p => {
+        const markPriceUSD = markPrices[p.assetId] || assets.find(a => a.id === p.assetId)?.lastPriceUSD || p.entryPriceUSD;
+        const pnlUSD = Math.max(-p.marginUSD, positionPnlUSD(p, markPriceUSD));
+        const liquidationPriceUSD = liquidationPrice(p);
+        return { ...p, markPriceUSD, notionalUSD: p.qty * markPriceUSD, pnlUSD, roePct: p.marginUSD > 0 ? (pnlUSD / p.marginUSD) * 100 : 0, liquidationPriceUSD, liquidated: p.direction === 'short' ? markPriceUSD >= liquidationPriceUSD : markPriceUSD <= liquidationPriceUSD };
+    });
+    const positionTotals = { marginUSD: positionRows.reduce((s, p) => s + p.marginUSD, 0), unrealizedPnlUSD: positionRows.reduce((s, p) => s + p.pnlUSD, 0) };
+    positionTotals.valueUSD = positionTotals.marginUSD + positionTotals.unrealizedPnlUSD;
+    const totalEquity = ((marketValueUSD + positionTotals.valueUSD) * usdIdr) + tradingBalance;
+    const sells = ledger.filter(tx => CLOSING_TX_TYPES.includes(tx.type));
+    // Statistik trade dalam base currency historis bila tampilan = base, selain itu dalam USD.
+    const realizedOf = (tx) => showsBaseValues(display) ? tx.realizedBase : tx.realized;
+    const wins = sells.filter(tx => realizedOf(tx) > 0); const losses = sells.filter(tx => realizedOf(tx) <= 0);
+    const tradeStats = { trades: sells.length, wins: wins.length, losses: losses.length, winRate: sells.length > 0 ? (wins.length / sells.length) * 100 : 0, maxProfit: wins.length ? Math.max(0, ...wins.map(realizedOf)) : 0, maxLoss: losses.length ? Math.min(0, ...losses.map(realizedOf)) : 0, avgProfit: wins.length ? wins.reduce((s, tx) => s + realizedOf(tx), 0) / wins.length : 0, avgLoss: losses.length ? losses.reduce((s, tx) => s + realizedOf(tx), 0) / losses.length : 0, totalRealizedGain: showsBaseValues(display) ? realizedBase : realizedUSD };
+    const netDeposit = totalDeposits - totalWithdrawals; const totalPnlUSD = unrealizedPnlUSD + positionTotals.unrealizedPnlUSD + realizedUSD + (totalIncome / usdIdr);
+    const totalPnlBase = unrealizedPnlBase + positionTotals.unrealizedPnlUSD * baseRate + realizedBase + (totalIncome / usdIdr) * baseRate;
+    const totalValueForBreakdown = tradingBalance + ((marketValueUSD + positionTotals.valueUSD) * usdIdr);
     const cashPct = totalValueForBreakdown > 0 ? (tradingBalance / totalValueForBreakdown) * 100 : 0;
-    const investedPct = totalValueForBreakdown > 0 ? ((marketValueUSD * usdIdr) / totalValueForBreakdown) * 100 : 0;
-    return { rows, totals: { investedUSD, marketValueUSD, unrealizedPnlUSD, unrealizedPnlPct }, totalEquity, tradeStats, netDeposit, totalPnlUSD, cashPct, investedPct };
-  }, [assets, tradingBalance, realizedUSD, totalDeposits, totalWithdrawals, transactions, usdIdr]);
+    const investedPct = totalValueForBreakdown > 0 ? (((marketValueUSD + positionTotals.valueUSD) * usdIdr) / totalValueForBreakdown) * 100 : 0;
+    const liabilityRows = liabilities.map(l => ({ ...l, balanceIDR: liabilityBalanceAt(l) })).filter(l => l.balanceIDR > 0.5);
+    const totalLiabilities = liabilityRows.reduce((s, l) => s + l.balanceIDR, 0);
+    const netWorth = totalEquity - totalLiabilities;
+    return { rows, positionRows, positionTotals, liabilityRows, totalLiabilities, netWorth, totals: { investedUSD, investedBase, marketValueUSD, unrealizedPnlUSD, unrealizedPnlPct, unrealizedPnlBase, unrealizedPnlPctBase }, totalEquity, tradeStats, netDeposit, totalPnlUSD, totalPnlBase, cashPct, investedPct };
+  }, [assets, positions, markPrices, liabilities, tradingBalance, realizedUSD, realizedBase, totalDeposits, totalWithdrawals, totalIncome, ledger, usdIdr, baseRate, display]);
 
   const sortedAssets = useMemo(() => {
     const assetsToSort = [...derivedData.rows];
@@ -566,37 +2219,52 @@ export default function PortfolioDashboard() {
   }, [derivedData.rows, assetSortBy]);
 
 
-  const equitySeries = useMemo(() => {
-    const sortedTx = [...transactions].sort((a, b) => a.date - b.date);
-    if (sortedTx.length === 0) return [{ t: Date.now() - 86400000, v: 0 }, { t: Date.now(), v: 0 }];
-    const points = []; let currentCash = 0; let currentHoldings = {};
-    for (const tx of sortedTx) {
-        if (tx.type === 'deposit') currentCash += tx.amount;
-        else if (tx.type === 'withdraw') currentCash -= tx.amount;
-        else if (tx.type === 'buy') {
-            currentCash -= tx.cost * usdIdr;
-            const asset = currentHoldings[tx.assetId] || { shares: 0, avgPrice: 0, invested: 0 };
-            const newInvested = asset.invested + tx.cost; const newShares = asset.shares + tx.qty;
-            asset.invested = newInvested; asset.shares = newShares; asset.avgPrice = newShares > 0 ? newInvested / newShares : 0;
-            currentHoldings[tx.assetId] = asset;
-        } else if (tx.type === 'sell' || tx.type === 'delete') {
-            currentCash += tx.proceeds * usdIdr;
-            if (currentHoldings[tx.assetId]) {
-                const asset = currentHoldings[tx.assetId];
-                asset.invested -= asset.avgPrice * tx.qty; asset.shares -= tx.qty;
-            }
-        }
-        let holdingsValueUSD = 0;
-        for (const assetId in currentHoldings) {
-            const holding = currentHoldings[assetId];
-            const liveAsset = assets.find(a => a.id === assetId);
-            holdingsValueUSD += holding.shares * (liveAsset ? liveAsset.lastPriceUSD : holding.avgPrice);
-        }
-        points.push({ t: tx.date, v: currentCash + (holdingsValueUSD * usdIdr) });
-    }
-    if (points.length === 0) return [{ t: Date.now() - 86400000, v: 0 }, { t: Date.now(), v: derivedData.totalEquity }];
-    return [{ t: points[0].t - 86400000, v: 0 }, ...points, {t: Date.now(), v: derivedData.totalEquity}];
-  }, [transactions, assets, usdIdr, derivedData.totalEquity]);
+  // Replay harian memakai harga live sebagai fallback (aset tanpa histori, titik transaksi hari ini), jadi ikut dihitung
+  // ulang saat harga berubah; `clock` membuat hari berganti tepat lewat tengah malam. Titik akhir "sekarang" diganti
+  // dengan total equity live dari derivedData.
+  const historicalEquitySeries = useMemo(() => buildEquitySeries(viewTransactions, { assets, markPrices, dailyCloses, rateAt: fxRateAt, now: clock }), [viewTransactions, assets, markPrices, dailyCloses, fxRateAt, clock]);
+  const liveEquitySeries = useMemo(() => [...historicalEquitySeries.slice(0, -1), { t: Date.now(), v: derivedData.totalEquity }], [historicalEquitySeries, derivedData.totalEquity]);
+  const viewSnapshots = useMemo(() => isAllAccounts ? mergeSnapshots(portfolios.map(p => snapshotsByPortfolio[p.id] || [])) : (snapshotsByPortfolio[activePortfolioId] || []), [isAllAccounts, portfolios, snapshotsByPortfolio, activePortfolioId]);
+  const equitySeries = useMemo(() => snapshotSeries(viewSnapshots, liveEquitySeries), [viewSnapshots, liveEquitySeries]);
+
+  // Tulis snapshot akhir hari: saat load pertama tiap hari (backfill hari yang terlewat) dan setelah ledger berubah.
+  // Menunggu histori close & kurs agar snapshot tidak terkunci dengan harga live. Perubahan harga live ikut memicu
+  // rekonsiliasi, tapi snapshot yang sig-nya masih cocok tidak ditulis ulang.
+  // Histori kurs dianggap siap bila mencakup transaksi paling awal (rentang yang diminta, atau tanggal pertama di cache).
+  const fxFrom = useMemo(() => Object.keys(fxRates.USDIDR?.history || {}).sort()[0] || null, [fxRates]);
+  const fxCoveredFrom = [fxRates.USDIDR?.since, fxFrom].filter(Boolean).sort()[0];
+  const fxHistoryReady = Boolean(fxCoveredFrom) && (!fxWantStart || fxCoveredFrom <= fxWantStart);
+  useEffect(() => {
+    if (!closesReady || !fxHistoryReady) return;
+    setSnapshotsByPortfolio(prev => {
+      let changed = false; const next = { ...prev };
+      portfolios.forEach(p => {
+        const updated = reconcileSnapshots(prev[p.id] || [], txsByPortfolio[p.id] || [], { assets, markPrices, dailyCloses, rateAt: fxRateAt, fxFrom });
+        if (updated !== (prev[p.id] || [])) { next[p.id] = updated; changed = true; }
+      });
+      return changed ? next : prev;
+    });
+  }, [closesReady, fxHistoryReady, txsByPortfolio, portfolios, clockDay, assets, markPrices, dailyCloses, fxRateAt, fxFrom]);
+  const handleRebuildSnapshots = () => {
+    if (!confirm("Recalculate all daily snapshots from transactions and historical prices?")) return;
+    const ids = isAllAccounts ? portfolios.map(p => p.id) : [activePortfolioId];
+    setSnapshotsByPortfolio(prev => ({ ...prev, ...Object.fromEntries(ids.map(id => [id, buildDailySnapshots(txsByPortfolio[id] || [], { assets, markPrices, dailyCloses, rateAt: fxRateAt, fxFrom })])) }));
+  };
+
+  // Target alokasi per akun (tampilan All accounts tidak bisa dieksekusi, jadi tidak dihitung).
+  const allocationConfig = useMemo(() => ({ ...DEFAULT_ALLOCATION, ...(allocationTargets[activePortfolioId] || {}) }), [allocationTargets, activePortfolioId]);
+  const allocationState = useMemo(() => isAllAccounts ? null : allocationDrift(derivedData.rows, financialSummaries.tradingBalance, usdIdr, allocationConfig, markPrices), [isAllAccounts, derivedData.rows, financialSummaries.tradingBalance, usdIdr, allocationConfig, markPrices]);
+  const rebalanceProposal = useMemo(() => allocationState ? rebalanceOrders(allocationState, allocationConfig, { cashBalances: financialSummaries.cashBalances, usdIdr, brokerOf: (a) => feeDefaults[feeMarketOf(a)] }) : { orders: [], notes: [] }, [allocationState, allocationConfig, financialSummaries.cashBalances, usdIdr, feeDefaults]);
+  const handleAllocationConfig = (config) => setAllocationTargets(prev => ({ ...prev, [activePortfolioId]: config }));
+  const handleExecuteRebalance = (order) => {
+    const { asset, qty, priceUSD, cashCurrency } = order; const broker = feeDefaults[feeMarketOf(asset)];
+    if (!confirm(`${order.side === 'buy' ? 'Buy' : 'Sell'} ${formatQty(qty)} ${asset.symbol} at ${formatMoney(priceUSD * usdIdr, 'IDR')}?`)) return;
+    if (order.side === 'buy') handleBuy({ id: asset.id, type: asset.type, symbol: asset.symbol, name: asset.name, image: asset.image, coingeckoId: asset.coingeckoId }, qty, priceUSD, { broker, cashCurrency });
+    else handleSell(asset, qty, priceUSD, undefined, { broker, cashCurrency });
+  };
+  const equityDrawdown = useMemo(() => currentDrawdown(equitySeries), [equitySeries]);
+  const riskHoldings = useMemo(() => derivedData.rows.filter(r => r.marketValueUSD > 0).map(r => ({ id: r.id, symbol: r.symbol, value: r.marketValueUSD * usdIdr })), [derivedData.rows, usdIdr]);
+  const assetReturns = useMemo(() => derivedData.rows.filter(r => r.type !== 'nonliquid').map(r => ({ id: r.id, symbol: r.symbol, ...assetReturnStats(viewTransactions, r.id, r.lastPriceUSD, usdIdr) })).filter(r => r.since), [derivedData.rows, viewTransactions, usdIdr]);
 
   const handleWatchedAssetClick = (data) => {
     const assetStub = {
@@ -621,44 +2289,47 @@ export default function PortfolioDashboard() {
         <div className="max-w-4xl mx-auto">
           <header className="p-4 flex justify-between items-center sticky top-0 bg-black/50 backdrop-blur-sm z-10">
               {/* PERUBAHAN 1: Logo profil (UserAvatar) dihapus */}
-              <div className="flex items-center gap-3">{/* Logo dihapus sesuai permintaan */}</div>
+              <div className="flex items-center gap-3"><select value={activePortfolioId} onChange={e => handleSelectPortfolio(e.target.value)} title="Portfolio" className="bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-xs font-semibold text-gray-200 max-w-[10rem]">{portfolios.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}{portfolios.length > 1 && <option value={ALL_PORTFOLIOS}>All accounts</option>}<option value="__new">＋ New portfolio…</option></select></div>
               <div className="flex items-center gap-3">
                   <button onClick={() => setAddAssetModalOpen(true)} className="text-gray-400 hover:text-white"><SearchIcon /></button>
-                  <div className="flex items-center gap-2"><span className="text-xs font-semibold text-gray-400">IDR</span><div role="switch" aria-checked={displaySymbol === "$"} onClick={() => setDisplaySymbol(prev => prev === "Rp" ? "$" : "Rp")} className={`relative w-12 h-6 rounded-full p-1 cursor-pointer transition ${displaySymbol === "$" ? 'bg-emerald-600' : 'bg-zinc-700'}`}><div className={`absolute top-1 left-1 w-4 h-4 rounded-full bg-white transition-transform ${displaySymbol === "$" ? 'translate-x-6' : 'translate-x-0'}`}></div></div><span className="text-xs font-semibold text-gray-400">USD</span></div>
+                  <select value={displayCcy} onChange={e => setDisplayCcy(e.target.value)} title="Display currency" className="bg-zinc-800 border border-zinc-700 rounded px-2 py-1 text-xs font-semibold text-gray-200"><optgroup label="Common">{COMMON_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}</optgroup><optgroup label="All currencies">{ALL_CURRENCIES.map(c => <option key={c} value={c}>{c} · {currencyName(c)}</option>)}</optgroup></select>
                   <button onClick={() => setManagePortfolioOpen(true)} className="text-gray-400 hover:text-white"><MoreVerticalIcon /></button>
               </div>
           </header>
           <main>
+            {allocationState?.complete && allocationState.buckets.some(b => b.outOfBand) && <DriftPanel drift={allocationState} onReview={() => setRebalanceOpen(true)} />}
+            {pendingScheduled.length > 0 && <PendingSchedulePanel pending={pendingScheduled} quoteOf={scheduleQuote} display={display} usdIdr={usdIdr} onConfirm={handleConfirmScheduled} onSkip={handleSkipScheduled} />}
             <section className="p-4">
               <div className="grid grid-cols-2 gap-3 sm:gap-4">
                   <div onClick={() => setIsEquityModalOpen(true)} className="glass-card p-3 sm:p-4 shadow-lg flex flex-col justify-between cursor-pointer hover:border-white/20 transition-all overflow-hidden">
                       <div>
                           <p className="text-gray-400 text-[10px] sm:text-xs">Total Equity</p>
-                          <p className="text-xl sm:text-3xl font-bold text-white">{formatCurrency(derivedData.totalEquity, false, displaySymbol, usdIdr)}</p>
-                          <p className="text-xs text-gray-400 mt-1">{displaySymbol === 'Rp' ? formatCurrency(derivedData.totalEquity, false, '$', usdIdr) : formatCurrency(derivedData.totalEquity, false, 'Rp', usdIdr)}</p>
+                          <p className="text-xl sm:text-3xl font-bold text-white">{formatCurrency(derivedData.totalEquity, false, display, usdIdr)}</p>
+                          {equityDrawdown.depth < -0.001 && <p className="text-[10px] sm:text-xs text-red-400 mt-0.5" title={`Below the running peak of ${new Date(equityDrawdown.peakAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })} (time-weighted)`}>{(equityDrawdown.depth * 100).toFixed(2)}% from peak</p>}
+                          <p className="text-xs text-gray-400 mt-1">{display.code === 'USD' ? formatMoney(derivedData.totalEquity, 'IDR') : formatMoney(derivedData.totalEquity / usdIdr, 'USD')}<span className="ml-2 text-gray-500" title={fxRates[`USD${display.code}`]?.asOf ? `As of ${new Date(fxRates[`USD${display.code}`].asOf).toLocaleString()}` : 'Rate as of last refresh'}>USD/{display.code === 'USD' ? 'IDR' : display.code} {(display.code === 'USD' ? usdIdr : display.rate).toLocaleString('en-US', { maximumFractionDigits: 4 })}</span></p>
                       </div>
                        <div className="text-[10px] sm:text-xs mt-2 space-y-1 text-gray-400 border-t border-white/10 pt-2">
                           <div className="flex justify-between">
                               <span>Unrealized P&L</span>
                               <span className={`font-semibold ${derivedData.totals.unrealizedPnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
-                                  {formatCurrency(derivedData.totals.unrealizedPnlUSD, true, displaySymbol, usdIdr)}
+                                  {formatCurrencyDual(derivedData.totals.unrealizedPnlUSD, derivedData.totals.unrealizedPnlBase, display, usdIdr)}
                               </span>
                           </div>
                           <div className="flex justify-between">
                               <span>&nbsp;</span>
                               <span className={`font-semibold text-right block ${derivedData.totals.unrealizedPnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
-                                  {derivedData.totals.unrealizedPnlUSD >= 0 ? '+' : ''}{derivedData.totals.unrealizedPnlPct.toFixed(2)}%
+                                  {derivedData.totals.unrealizedPnlUSD >= 0 ? '+' : ''}{(showsBaseValues(display) ? derivedData.totals.unrealizedPnlPctBase : derivedData.totals.unrealizedPnlPct).toFixed(2)}%
                               </span>
                           </div>
                       </div>
-                      <div className="h-16 -mb-4 -mx-4 mt-auto pt-2"><AreaChart data={equitySeries} simplified={true}/></div>
+                      <div className="h-16 -mb-4 -mx-4 mt-auto pt-2"><AreaChart data={equitySeries.map(p => ({ ...p, v: toDisplay(p.v, false, display, usdIdr) }))} simplified={true} display={display}/></div>
                   </div>
                   <div onClick={() => setIsAllocationModalOpen(true)} className="glass-card p-3 sm:p-4 shadow-lg flex flex-col justify-center cursor-pointer hover:border-white/20 transition-all">
                       <div className="grid grid-cols-2 text-center gap-1">
                           <p className="text-gray-400 text-[11px] sm:text-xs">Cash</p>
                           <p className="text-gray-400 text-[11px] sm:text-xs">Invested</p>
-                          <p className="font-semibold text-sm sm:text-base -mt-1">{formatCurrencyShort(tradingBalance, false, displaySymbol, usdIdr)}</p>
-                          <p className="font-semibold text-sm sm:text-base -mt-1">{formatCurrencyShort(derivedData.totals.marketValueUSD, true, displaySymbol, usdIdr)}</p>
+                          <p className="font-semibold text-sm sm:text-base -mt-1" title={CASH_CURRENCIES.filter(c => toNum(financialSummaries.cashBalances[c])).map(c => formatCash(financialSummaries.cashBalances[c], c)).join(' · ')}>{formatCurrencyShort(tradingBalance, false, display, usdIdr)}</p>
+                          <p className="font-semibold text-sm sm:text-base -mt-1">{formatCurrencyShort(derivedData.totals.marketValueUSD + derivedData.positionTotals.valueUSD, true, display, usdIdr)}</p>
                       </div>
                       <div className="relative w-full h-4 bg-black/20 rounded-full my-2 flex text-[10px] font-bold text-white items-center">
                           <div className="bg-sky-500 h-full flex items-center justify-center rounded-l-full" style={{ width: `${derivedData.cashPct}%` }}>
@@ -671,22 +2342,34 @@ export default function PortfolioDashboard() {
                       <div className="text-[10px] sm:text-xs mt-2 space-y-1 text-gray-400 border-t border-white/10 pt-2">
                           <div className="flex justify-between">
                               <span>Net Deposit</span>
-                              <span className="font-medium text-gray-300">{formatCurrency(derivedData.netDeposit, false, displaySymbol, usdIdr)}</span>
+                              <span className="font-medium text-gray-300">{formatCurrency(derivedData.netDeposit, false, display, usdIdr)}</span>
                           </div>
                           <div className="flex justify-between">
                               <span>Total G/L</span>
                               <span className={`font-semibold ${derivedData.totalPnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
-                                  {formatCurrency(derivedData.totalPnlUSD, true, displaySymbol, usdIdr)}
+                                  {formatCurrencyDual(derivedData.totalPnlUSD, derivedData.totalPnlBase, display, usdIdr)}
                               </span>
                           </div>
                       </div>
                   </div>
+                  {/* Net worth selalu tampil; tanpa liabilitas nilainya sama dengan equity. */}
+                  <div onClick={() => setLiabilityModalOpen(true)} className="col-span-2 glass-card p-3 sm:p-4 shadow-lg cursor-pointer hover:border-white/20 transition-all flex justify-between items-center">
+                      <div>
+                          <p className="text-gray-400 text-[10px] sm:text-xs">Net Worth</p>
+                          <p className={`text-lg sm:text-2xl font-bold ${derivedData.netWorth >= 0 ? 'text-white' : 'text-red-400'}`}>{formatCurrency(derivedData.netWorth, false, display, usdIdr)}</p>
+                      </div>
+                      <div className="text-[10px] sm:text-xs text-right space-y-1 text-gray-400">
+                          <div>Assets <span className="font-medium text-gray-200">{formatCurrency(derivedData.totalEquity, false, display, usdIdr)}</span></div>
+                          {derivedData.liabilityRows.length > 0 ? <div>Liabilities <span className="font-medium text-red-400">−{formatCurrency(derivedData.totalLiabilities, false, display, usdIdr)}</span></div> : <div>No liabilities · <span className="text-gray-200">Add loan</span></div>}
+                      </div>
+                  </div>
                   <div onClick={() => setIsHistoryModalOpen(true)} className="glass-card p-3 sm:p-4 shadow-lg cursor-pointer hover:border-white/20 transition-all">
                        <p className="text-gray-400 text-[10px] sm:text-xs mb-2">Summary</p>
                       <div className="text-[11px] sm:text-xs space-y-2">
-                          <div className="flex justify-between items-center"><span className="text-gray-400">Deposit</span><span className="font-medium">{formatCurrency(totalDeposits, false, displaySymbol, usdIdr)}</span></div>
-                          <div className="flex justify-between items-center"><span className="text-gray-400">Withdraw</span><span className="font-medium">{formatCurrency(totalWithdrawals, false, displaySymbol, usdIdr)}</span></div>
-                          <div className="flex justify-between items-center border-t border-white/10 pt-2 mt-2"><span className="text-gray-400">Realized P&L</span><span className={`font-semibold ${realizedUSD >= 0 ? 'text-[#20c997]' : 'text-red-400'}`}>{realizedUSD >= 0 ? '+' : ''}{formatCurrency(realizedUSD, true, displaySymbol, usdIdr)}</span></div>
+                          <div className="flex justify-between items-center"><span className="text-gray-400">Deposit</span><span className="font-medium">{formatCurrency(totalDeposits, false, display, usdIdr)}</span></div>
+                          <div className="flex justify-between items-center"><span className="text-gray-400">Withdraw</span><span className="font-medium">{formatCurrency(totalWithdrawals, false, display, usdIdr)}</span></div>
+                          <div className="flex justify-between items-center"><span className="text-gray-400">Income</span><span className="font-medium text-[#20c997]">{formatCurrency(totalIncome, false, display, usdIdr)}</span></div>
+                          <div className="flex justify-between items-center border-t border-white/10 pt-2 mt-2"><span className="text-gray-400">Realized P&L</span><span className={`font-semibold ${derivedData.tradeStats.totalRealizedGain >= 0 ? 'text-[#20c997]' : 'text-red-400'}`}>{derivedData.tradeStats.totalRealizedGain >= 0 ? '+' : ''}{formatCurrencyDual(realizedUSD, realizedBase, display, usdIdr)}</span></div>
                       </div>
                   </div>
                   <div className="flex flex-col gap-2">
@@ -701,7 +2384,7 @@ export default function PortfolioDashboard() {
                                       <div><p className="text-xs font-semibold text-white">{data.symbol}</p><p className="text-[10px] text-gray-400">{data.name}</p></div>
                                   </div>
                                   <div className="text-right">
-                                      <p className="text-xs font-semibold text-white tabular-nums">{formatCurrency(data.price_usd, true, displaySymbol, usdIdr)}</p>
+                                      <p className="text-xs font-semibold text-white tabular-nums">{formatCurrency(data.price_usd, true, display, usdIdr)}</p>
                                       <p className={`text-xs font-semibold tabular-nums ${change >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{change.toFixed(2)}%</p>
                                   </div>
                               </div>
@@ -719,10 +2402,11 @@ export default function PortfolioDashboard() {
               </div>
             </section>
             
+            {derivedData.positionRows.length > 0 && <PositionsPanel positions={derivedData.positionRows} totals={derivedData.positionTotals} display={display} usdIdr={usdIdr} onClose={handleClosePosition} onFunding={handleFundingPayment} />}
             <div className="p-2 space-y-2">
                {assetDisplayAs === 'card' ? (
                   sortedAssets.map(r => {
-                      const pnlColor = r.pnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400';
+                      const pnlColor = (showsBaseValues(display) ? r.pnlBase : r.pnlUSD) >= 0 ? 'text-emerald-400' : 'text-red-400';
                       const changeColor = r.change24hPct >= 0 ? 'text-emerald-400' : 'text-red-400';
                       const flashClass = priceFlashes[r.id] === 'up' ? 'flash-up' : priceFlashes[r.id] === 'down' ? 'flash-down' : '';
 
@@ -738,10 +2422,10 @@ export default function PortfolioDashboard() {
                                           <Sparkline data={priceHistory[r.id] || []} color={r.change24hPct >= 0 ? '#10B981' : '#EF4444'} />
                                       </div>
                                       <div className={`text-right p-1 rounded-md ${flashClass}`}>
-                                          <p className="text-base font-semibold text-white tabular-nums">{formatCurrency(r.lastPriceUSD, true, displaySymbol, usdIdr)}</p>
+                                          <p className="text-base font-semibold text-white tabular-nums">{formatCurrency(r.lastPriceUSD, true, display, usdIdr)}</p>
                                           {/* Menggunakan Logika change 24h dari file HTML */}
                                           <p className={`text-xs font-semibold tabular-nums ${changeColor}`}>
-                                              {r.change24hUSD >= 0 ? '+' : ''}{formatCurrency((r.symbol.endsWith('.JK') ? r.change24hUSD * usdIdr : r.change24hUSD), false, displaySymbol, usdIdr)} ({r.change24hPct?.toFixed(2) ?? '0.00'}%)
+                                              {r.change24hUSD >= 0 ? '+' : ''}{formatCurrency((r.symbol.endsWith('.JK') ? r.change24hUSD * usdIdr : r.change24hUSD), false, display, usdIdr)} ({r.change24hPct?.toFixed(2) ?? '0.00'}%)
                                           </p>
                                       </div>
                                   </div>
@@ -750,20 +2434,20 @@ export default function PortfolioDashboard() {
                               <div className="grid grid-cols-2 gap-4 text-xs pt-3 border-t border-white/10">
                                   <div className="space-y-1">
                                       <div className="flex justify-between items-center"><span className="text-gray-400">Qty</span><span className="font-medium text-gray-200">{formatQty(r.shares)}</span></div>
-                                      <div className="flex justify-between items-center"><span className="text-gray-400">Invested</span><span className="font-medium text-gray-200">{formatCurrency(r.investedUSD, true, displaySymbol, usdIdr)}</span></div>
-                                      <div className="flex justify-between items-center"><span className="text-gray-400">Avg Price</span><span className="font-medium text-gray-200">{formatCurrency(r.avgPrice, true, displaySymbol, usdIdr)}</span></div>
+                                      <div className="flex justify-between items-center"><span className="text-gray-400">Invested</span><span className="font-medium text-gray-200">{formatCurrencyDual(r.investedUSD, r.investedBase, display, usdIdr)}</span></div>
+                                      <div className="flex justify-between items-center"><span className="text-gray-400">Avg Price</span><span className="font-medium text-gray-200">{formatCurrencyDual(r.avgPrice, r.avgPriceBase, display, usdIdr)}</span></div>
                                   </div>
                                   <div className="space-y-1 text-right">
-                                      <div className="flex justify-between items-center"><span className="text-gray-400">Gain P&L</span><span className={`font-semibold ${pnlColor}`}>{r.pnlUSD >= 0 ? '+' : ''}{formatCurrency(r.pnlUSD, true, displaySymbol, usdIdr)} ({r.pnlPct.toFixed(1)}%)</span></div>
-                                      <div className="flex justify-between items-center"><span className="text-gray-400">Market</span><span className="font-semibold text-gray-200">{formatCurrency(r.marketValueUSD, true, displaySymbol, usdIdr)}</span></div>
-                                      <div className="flex justify-between items-center"><span className="text-gray-400">Current Price</span><span className="font-semibold text-gray-200">{formatCurrency(r.lastPriceUSD, true, displaySymbol, usdIdr)}</span></div>
+                                      <div className="flex justify-between items-center"><span className="text-gray-400">Gain P&L</span><span className={`font-semibold ${pnlColor}`}>{(showsBaseValues(display) ? r.pnlBase : r.pnlUSD) >= 0 ? '+' : ''}{formatCurrencyDual(r.pnlUSD, r.pnlBase, display, usdIdr)} ({(showsBaseValues(display) ? r.pnlPctBase : r.pnlPct).toFixed(1)}%)</span></div>
+                                      <div className="flex justify-between items-center"><span className="text-gray-400">Market</span><span className="font-semibold text-gray-200">{formatCurrency(r.marketValueUSD, true, display, usdIdr)}</span></div>
+                                      <div className="flex justify-between items-center"><span className="text-gray-400">Current Price</span><span className="font-semibold text-gray-200">{formatCurrency(r.lastPriceUSD, true, display, usdIdr)}</span></div>
                                   </div>
                               </div>
                           </div>
                       );
                   })
               ) : (
-                  <AssetTableView rows={sortedAssets} displaySymbol={displaySymbol} usdIdr={usdIdr} onRowClick={(r) => { setSelectedAssetForDetail(r); setAssetDetailModalOpen(true); }} />
+                  <AssetTableView rows={sortedAssets} display={display} usdIdr={usdIdr} onRowClick={(r) => { setSelectedAssetForDetail(r); setAssetDetailModalOpen(true); }} />
               )}
               {sortedAssets.length === 0 && <p className="text-center py-8 text-gray-500">No assets in portfolio.</p>}
               <div className="p-4 text-center"><button onClick={() => setAddAssetModalOpen(true)} className="text-emerald-400 font-semibold text-sm">+ Add new asset</button></div>
@@ -771,18 +2455,27 @@ export default function PortfolioDashboard() {
 
           </main>
           {/* Menggunakan Modal Detail Aset dari file HTML (yang menyertakan TradeForm) */}
-          <AssetDetailModal isOpen={isAssetDetailModalOpen} onClose={() => setAssetDetailModalOpen(false)} asset={selectedAssetForDetail} onBuy={handleBuy} onSell={handleSell} onDelete={handleDeleteAsset} usdIdr={usdIdr} displaySymbol={displaySymbol} />
-          <Modal title="Add New Asset" isOpen={isAddAssetModalOpen} onClose={() => setAddAssetModalOpen(false)} size="lg"><AddAssetForm {...{searchMode, setSearchMode, query, setQuery, suggestions, setSelectedSuggestion, addAssetWithInitial, addNonLiquidAsset, nlName, setNlName, nlQty, setNlQty, nlPrice, setNlPrice, nlPriceCcy, setNlPriceCcy, nlPurchaseDate, setNlPurchaseDate, nlYoy, setNlYoy, nlDesc, setNlDesc, displaySymbol, handleSetWatchedAsset, watchedAssetIds}} /></Modal>
-          <Modal title={`${balanceModalMode} Balance`} isOpen={isBalanceModalOpen} onClose={() => setBalanceModalOpen(false)} size="lg"><BalanceManager onConfirm={balanceModalMode === 'Add' ? handleAddBalance : handleWithdraw} /></Modal>
-          <Modal title="Portfolio Growth" isOpen={isEquityModalOpen} onClose={() => setIsEquityModalOpen(false)}><EquityGrowthView equitySeries={equitySeries} displaySymbol={displaySymbol} usdIdr={usdIdr} totalEquity={derivedData.totalEquity} /></Modal>
+          <AssetDetailModal isOpen={isAssetDetailModalOpen} onClose={() => setAssetDetailModalOpen(false)} asset={selectedAssetForDetail} onBuy={handleBuy} onSell={handleSell} onDelete={handleDeleteAsset} costBasisMethod={costBasisMethod} feeDefaults={feeDefaults} onFeeProfileChange={handleFeeProfileChange} onCorporateAction={handleCorporateAction} onAppraisal={handleRecordAppraisal} onOpenPosition={handleOpenPosition} onLookupPrice={lookupHistoricalPriceUSD} usdIdr={usdIdr} display={display} displayAt={displayAt} />
+          <Modal title="Add New Asset" isOpen={isAddAssetModalOpen} onClose={() => setAddAssetModalOpen(false)} size="lg"><AddAssetForm {...{searchMode, setSearchMode, query, setQuery, suggestions, setSelectedSuggestion, selectedSuggestion, addAssetWithInitial, addNonLiquidAsset, nlName, setNlName, nlQty, setNlQty, nlPrice, setNlPrice, nlPriceCcy, setNlPriceCcy, nlPurchaseDate, setNlPurchaseDate, nlYoy, setNlYoy, nlDesc, setNlDesc, display, displayAt, usdIdr, feeDefaults, handleFeeProfileChange, handleSetWatchedAsset, watchedAssetIds, onLookupPrice: lookupHistoricalPriceUSD, openPositionFromSearch}} /></Modal>
+          <Modal title="Transfer Between Accounts" isOpen={isTransferModalOpen} onClose={() => setTransferModalOpen(false)} size="lg"><TransferForm portfolios={portfolios} defaultFromId={isAllAccounts ? portfolios[0].id : activePortfolioId} holdingsOf={holdingsOf} onConfirm={handleTransfer} /></Modal>
+          <Modal title={`${balanceModalMode} Balance`} isOpen={isBalanceModalOpen} onClose={() => setBalanceModalOpen(false)} size="lg"><BalanceManager cashBalances={financialSummaries.cashBalances} onConfirm={balanceModalMode === 'Add' ? handleAddBalance : handleWithdraw} /></Modal>
+          <Modal title="Convert Currency" isOpen={isFxModalOpen} onClose={() => setFxModalOpen(false)} size="lg"><FxConvertForm cashBalances={financialSummaries.cashBalances} usdIdr={usdIdr} onConfirm={handleConvertCash} /></Modal>
+          <Modal title="Record Income" isOpen={isIncomeModalOpen} onClose={() => setIncomeModalOpen(false)} size="lg"><IncomeForm assets={assets} display={display} onConfirm={handleRecordIncome} /></Modal>
+          <Modal title="Tax Report" isOpen={isTaxReportOpen} onClose={() => setTaxReportOpen(false)} size="2xl"><TaxReportView ledger={ledger} baseCcy={baseCcy} costBasisMethod={costBasisMethod} portfolioName={isAllAccounts ? 'All accounts' : portfolios.find(p => p.id === activePortfolioId)?.name} baseRateOf={taxBaseRateOf} idrRateOf={taxIdrRateOf} /></Modal>
+          <Modal title="Portfolio Growth" isOpen={isEquityModalOpen} onClose={() => setIsEquityModalOpen(false)}><EquityGrowthView equitySeries={equitySeries} snapshots={viewSnapshots} onRebuildSnapshots={handleRebuildSnapshots} assetReturns={assetReturns} benchmarks={benchmarks} setBenchmarks={setBenchmarks} rateAt={fxRateAt} fxReady={fxHistoryReady} display={display} usdIdr={usdIdr} totalEquity={derivedData.totalEquity} /></Modal>
           {/* Menggunakan Komponen Alokasi dari file HTML (dengan ikon berwarna) */}
-          <Modal title="Portfolio Allocation" isOpen={isAllocationModalOpen} onClose={() => setIsAllocationModalOpen(false)}><PortfolioAllocation data={derivedData.rows} tradingBalance={financialSummaries.tradingBalance} displaySymbol={displaySymbol} usdIdr={usdIdr}/></Modal>
-          <Modal title="Transaction History" isOpen={isHistoryModalOpen} onClose={() => setIsHistoryModalOpen(false)}><HistoryView transactions={transactions} usdIdr={usdIdr} displaySymbol={displaySymbol} onDeleteTransaction={handleDeleteTransaction} /></Modal>
+          <Modal title="Portfolio Allocation" isOpen={isAllocationModalOpen} onClose={() => setIsAllocationModalOpen(false)}><PortfolioAllocation data={derivedData.rows} tradingBalance={financialSummaries.tradingBalance} cashBalances={financialSummaries.cashBalances} liabilities={derivedData.liabilityRows} dailyCloses={dailyCloses} rateAt={fxRateAt} display={display} usdIdr={usdIdr}/></Modal>
+          <Modal title="Target Allocation" isOpen={isRebalanceOpen} onClose={() => setRebalanceOpen(false)} size="2xl">{allocationState ? <RebalanceView config={allocationConfig} onChange={handleAllocationConfig} drift={allocationState} proposal={rebalanceProposal} assets={derivedData.rows} display={display} usdIdr={usdIdr} onExecute={handleExecuteRebalance} /> : <p className="p-4 text-sm text-gray-400">Select an account to set targets and rebalance.</p>}</Modal>
+          <Modal title="Recurring Transactions" isOpen={isScheduleModalOpen} onClose={() => setScheduleModalOpen(false)}><ScheduleManager schedules={activeSchedules} assets={derivedData.rows} portfolios={portfolios} showPortfolio={isAllAccounts} display={display} usdIdr={usdIdr} onAdd={handleAddSchedule} onUpdate={handleUpdateSchedule} onDelete={handleDeleteSchedule} /></Modal>
+          <Modal title="Liabilities" isOpen={isLiabilityModalOpen} onClose={() => setLiabilityModalOpen(false)}><LiabilityManager liabilities={liabilities} display={display} usdIdr={usdIdr} onAdd={handleAddLiability} onPayment={handleLiabilityPayment} /></Modal>
+          <Modal title="Transaction History" isOpen={isHistoryModalOpen} onClose={() => setIsHistoryModalOpen(false)}><HistoryView transactions={viewTransactions} portfolios={portfolios} showPortfolio={isAllAccounts} usdIdr={usdIdr} display={display} onDeleteTransaction={handleDeleteTransaction} onEditTransaction={setEditingTx} /></Modal>
+          <Modal title={`Edit ${editingTx ? txTypeLabel(editingTx.type) : ''} Transaction`} isOpen={!!editingTx} onClose={() => setEditingTx(null)} size="lg">{editingTx && <TransactionEditForm key={editingTx.id} tx={editingTx} display={display} displayAt={displayAt} usdIdr={usdIdr} rateAt={fxRateAt} onSave={handleEditTransaction} />}</Modal>
           
           {/* PERUBAHAN 2: Mengubah max-h-[80vh] menjadi max-h-[70vh] */}
           <Modal title="Trade Performance" isOpen={isPerformanceModalOpen} onClose={() => setIsPerformanceModalOpen(false)} size="2xl">
               <div className="max-h-[70vh] overflow-y-auto">
-                  <TradeStatsView stats={derivedData.tradeStats} transactions={transactions} displaySymbol={displaySymbol} usdIdr={usdIdr} />
+                  <TradeStatsView stats={derivedData.tradeStats} transactions={ledger} costBasisMethod={costBasisMethod} display={display} usdIdr={usdIdr} />
+                  <RiskPanel equitySeries={equitySeries} holdings={riskHoldings} dailyCloses={dailyCloses} rateAt={fxRateAt} riskFreeRate={riskFreeRate} setRiskFreeRate={setRiskFreeRate} benchmarkKey={riskBenchmark} setBenchmarkKey={setRiskBenchmark} />
               </div>
           </Modal>
 
@@ -792,10 +2485,15 @@ export default function PortfolioDashboard() {
                   setSortBy={setAssetSortBy}
                   displayAs={assetDisplayAs}
                   setDisplayAs={setAssetDisplayAs}
+                  costBasisMethod={costBasisMethod}
+                  setCostBasisMethod={handleCostBasisMethodChange}
+                  baseCcy={baseCcy}
+                  setBaseCcy={setBaseCcy}
                   onClose={() => setIsAssetOptionsOpen(false)}
               />
           </Modal>
-          <BottomSheet isOpen={isManagePortfolioOpen} onClose={() => setManagePortfolioOpen(false)}><ManagePortfolioSheet onAddBalance={() => { setManagePortfolioOpen(false); setBalanceModalMode('Add'); setBalanceModalOpen(true); }} onWithdraw={() => { setManagePortfolioOpen(false); setBalanceModalMode('Withdraw'); setBalanceModalOpen(true); }} onClearAll={() => { if(confirm("Erase all portfolio data? This cannot be undone.")) { setTransactions([]); } setManagePortfolioOpen(false); }} onExport={handleExport} onImport={handleImportClick} /></BottomSheet>
+          <BottomSheet isOpen={isManagePortfolioOpen} onClose={() => setManagePortfolioOpen(false)}><ManagePortfolioSheet onAddBalance={() => { setManagePortfolioOpen(false); setBalanceModalMode('Add'); setBalanceModalOpen(true); }} onWithdraw={() => { setManagePortfolioOpen(false); setBalanceModalMode('Withdraw'); setBalanceModalOpen(true); }} onRecordIncome={() => { setManagePortfolioOpen(false); setIncomeModalOpen(true); }} onConvertCash={() => { setManagePortfolioOpen(false); setFxModalOpen(true); }} onTaxReport={() => { setManagePortfolioOpen(false); setTaxReportOpen(true); }} onTransfer={portfolios.length > 1 ? () => { setManagePortfolioOpen(false); setTransferModalOpen(true); } : null} onLiabilities={() => { setManagePortfolioOpen(false); setLiabilityModalOpen(true); }} schedules={activeSchedules} onSchedules={() => { setManagePortfolioOpen(false); setScheduleModalOpen(true); }} onRebalance={() => { setManagePortfolioOpen(false); setRebalanceOpen(true); }} onClearAll={() => { if (isAllAccounts) alert("Select an account to erase."); else if (confirm(`Erase all data in "${portfolios.find(p => p.id === activePortfolioId)?.name}"?`)) { commitTransactions([], "All data erased"); } setManagePortfolioOpen(false); }} portfolioName={isAllAccounts ? null : portfolios.find(p => p.id === activePortfolioId)?.name} onRenamePortfolio={handleRenamePortfolio} onDeletePortfolio={handleDeletePortfolio} onUndo={() => { setManagePortfolioOpen(false); handleUndo(); }} onRedo={() => { setManagePortfolioOpen(false); handleRedo(); }} undoLabel={undoStack[undoStack.length - 1]?.label} redoLabel={redoStack[redoStack.length - 1]?.label} onExport={handleExport} onImport={handleImportClick} /></BottomSheet>
+          <Toast key={toast?.id} toast={toast} onAction={() => toast.actionLabel === 'Redo' ? handleRedo() : handleUndo()} onClose={() => setToast(null)} />
           <input type="file" ref={importInputRef} onChange={handleFileImport} className="hidden" accept=".csv" />
         </div>
       </div>
@@ -836,19 +2534,24 @@ const Sparkline = ({ data = [], color = '#10B981' }) => {
   );
 };
 
-const AreaChart = ({ data: chartData, simplified = false, displaySymbol, range, setRange, showTimeframes = true }) => {
+// Awal rentang timeframe chart (dipakai juga untuk statistik benchmark).
+const chartRangeStart = (range, chartData, now = new Date()) => {
+  switch (range) {
+    case '1W': return new Date(now.getTime() - 7 * 24 * 3600 * 1000);
+    case '1M': return new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+    case '3M': return new Date(now.getFullYear(), now.getMonth() - 3, now.getDate());
+    case '1Y': return new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
+    case 'All': return chartData.length > 1 ? new Date(chartData[0].t) : new Date(0);
+    case 'YTD': default: return new Date(now.getFullYear(), 0, 1);
+  }
+};
+// Data chart sudah dalam mata uang tampilan.
+// overlays = [{ key, label, color, data }] digambar sebagai garis. percent: semua seri di-rebase ke 0% di awal rentang.
+const AreaChart = ({ data: chartData, simplified = false, display = { code: 'IDR' }, range, setRange, showTimeframes = true, overlays = [], percent = false }) => {
   const [hoverData, setHoverData] = useState(null);
   const svgRef = useRef(null);
   const now = new Date();
-  let startTime;
-  switch (range) {
-    case '1W': startTime = new Date(now.getTime() - 7 * 24 * 3600 * 1000); break;
-    case '1M': startTime = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate()); break;
-    case '3M': startTime = new Date(now.getFullYear(), now.getMonth() - 3, now.getDate()); break;
-    case '1Y': startTime = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate()); break;
-    case 'All': startTime = chartData.length > 1 ? new Date(chartData[0].t) : new Date(0); break;
-    case 'YTD': default: startTime = new Date(now.getFullYear(), 0, 1); break;
-  }
+  const startTime = chartRangeStart(range, chartData, now);
   
   const filteredData = chartData.filter(d => d.t >= startTime.getTime());
   const data = useMemo(() => {
@@ -863,9 +2566,13 @@ const AreaChart = ({ data: chartData, simplified = false, displaySymbol, range,
   const height = simplified ? 80 : 220;
   const width = 700;
   const padding = { top: simplified ? 5 : 20, bottom: simplified ? 5 : 40, left: 0, right: simplified ? 0 : 80 };
-  
-  const yValues = data.map(d => d.v); const minVal = Math.min(...yValues); const maxVal = Math.max(...yValues);
-  const valRange = maxVal - minVal || 1; const timeStart = data[0].t; const timeEnd = data[data.length - 1].t;
+  const rebase = (points) => { const base = points.find(d => d.v > 0)?.v; return points.map(d => ({ ...d, v: base ? (d.v / base - 1) * 100 : 0 })); };
+  const series = percent ? rebase(data) : data;
+  const lines = overlays.map(o => { const pts = o.data.filter(d => d.t >= series[0].t && d.t <= series[series.length - 1].t); return { ...o, data: percent ? rebase(pts) : pts }; });
+  const formatAxis = (v) => percent ? `${v.toFixed(0)}%` : `${currencySymbol(display.code)}${Math.round(v/1000)}k`;
+
+  const yValues = [...series, ...lines.flatMap(o => o.data)].map(d => d.v); const minVal = Math.min(...yValues); const maxVal = Math.max(...yValues);
+  const valRange = maxVal - minVal || 1; const timeStart = series[0].t; const timeEnd = series[series.length - 1].t;
   const xScale = (t) => padding.left + ((t - timeStart) / (timeEnd - timeStart || 1)) * (width - padding.left - padding.right);
   const yScale = (v) => padding.top + (1 - (v - minVal) / valRange) * (height - padding.top - padding.bottom);
 
@@ -878,14 +2585,14 @@ const AreaChart = ({ data: chartData, simplified = false, displaySymbol, range,
         path += ` Q ${cp_x2},${y(points[i + 1].v)},${x(points[i + 1].t)},${y(points[i + 1].v)}`;
     } return path;
   };
-  const path = createSmoothPath(data, xScale, yScale);
+  const path = createSmoothPath(series, xScale, yScale);
   const areaPath = `${path} L ${xScale(timeEnd)},${height - padding.bottom} L ${xScale(timeStart)},${height - padding.bottom} Z`;
   
   const handleMouseMove = (event) => {
-    if (simplified || !svgRef.current || data.length < 2) return;
+    if (simplified || !svgRef.current || series.length < 2) return;
     const svg = svgRef.current; const rect = svg.getBoundingClientRect(); const x = event.clientX - rect.left;
     const time = timeStart + ((x - padding.left) / (width - padding.left - padding.right)) * (timeEnd - timeStart);
-    let closestPoint = data.reduce((prev, curr) => Math.abs(curr.t - time) < Math.abs(prev.t - time) ? curr : prev);
+    let closestPoint = series.reduce((prev, curr) => Math.abs(curr.t - time) < Math.abs(prev.t - time) ? curr : prev);
     if (closestPoint) setHoverData({ point: closestPoint, x: xScale(closestPoint.t), y: yScale(closestPoint.v) });
   };
 
@@ -895,25 +2602,92 @@ const AreaChart = ({ data: chartData, simplified = false, displaySymbol, range,
         <svg ref={svgRef} width="100%" height={height} viewBox={`0 0 ${width} ${height}`} onMouseMove={handleMouseMove} onMouseLeave={() => setHoverData(null)}>
           <defs><linearGradient id="areaGradient2" x1="0" x2="0" y1="0" y2="1"><stop offset="0%" stopColor="#10B981" stopOpacity={0.3} /><stop offset="100%" stopColor="#10B981" stopOpacity={0.05} /></linearGradient></defs>
           <path d={areaPath} fill="url(#areaGradient2)" /><path d={path} fill="none" stroke="#10B981" strokeWidth="2" />
+          {lines.map(o => <path key={o.key} d={createSmoothPath(o.data, xScale, yScale)} fill="none" stroke={o.color} strokeWidth="1.5" strokeOpacity="0.9" />)}
           {!simplified && (
             <React.Fragment>
-              {Array.from({length: 5}, (_, i) => minVal + (valRange / 4) * i).map((v, idx) => (<g key={idx}><line x1={padding.left} x2={width - padding.right} y1={yScale(v)} y2={yScale(v)} stroke="rgba(255,255,255,0.08)" strokeDasharray="2,2" /><text x={width - padding.right + 6} y={yScale(v) + 4} fontSize="11" fill="#6B7280">{`${displaySymbol === 'Rp' ? 'Rp' : '$'}${Math.round(v/1000)}k`}</text></g>))}
+              {Array.from({length: 5}, (_, i) => minVal + (valRange / 4) * i).map((v, idx) => (<g key={idx}><line x1={padding.left} x2={width - padding.right} y1={yScale(v)} y2={yScale(v)} stroke="rgba(255,255,255,0.08)" strokeDasharray="2,2" /><text x={width - padding.right + 6} y={yScale(v) + 4} fontSize="11" fill="#6B7280">{formatAxis(v)}</text></g>))}
               {Array.from({length: 5}, (_, i) => {const t = timeStart + (i / 4) * (timeEnd - timeStart); return {t, label: new Date(t).toLocaleDateString('id-ID', {day: 'numeric', month: 'short'})}}).map((item, idx) => (<text key={idx} x={xScale(item.t)} y={height - padding.bottom + 15} textAnchor="middle" fontSize="11" fill="#6B7280">{item.label}</text>))}
               {hoverData && (<g><line y1={padding.top} y2={height - padding.bottom} x1={hoverData.x} x2={hoverData.x} stroke="#9CA3AF" strokeWidth="1" strokeDasharray="3,3" /><circle cx={hoverData.x} cy={hoverData.y} r="4" fill="#10B981" stroke="white" strokeWidth="2" /></g>)}
             </React.Fragment>
           )}
         </svg>
-        {hoverData && (<div className="absolute p-2 rounded-lg bg-zinc-800 text-white text-xs pointer-events-none" style={{ left: `${hoverData.x / width * 100}%`, top: `${padding.top-10}px`, transform: `translateX(-50%)` }}><div>{new Date(hoverData.point.t).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}</div><div className="font-bold">{formatCurrency(hoverData.point.v, false, displaySymbol, 1)}</div></div>)}
+        {hoverData && (<div className="absolute p-2 rounded-lg bg-zinc-800 text-white text-xs pointer-events-none" style={{ left: `${hoverData.x / width * 100}%`, top: `${padding.top-10}px`, transform: `translateX(-50%)` }}><div>{new Date(hoverData.point.t).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}</div><div className="font-bold">{percent ? `${hoverData.point.v >= 0 ? '+' : ''}${hoverData.point.v.toFixed(2)}%` : formatMoney(hoverData.point.v, display.code)}</div>{lines.map(o => { const v = seriesValueAt(o.data, hoverData.point.t); return <div key={o.key} style={{ color: o.color }}>{o.label} {percent ? `${v >= 0 ? '+' : ''}${v.toFixed(2)}%` : formatMoney(v, display.code)}</div>; })}</div>)}
       </div>
       {showTimeframes && <div className="flex justify-center gap-2 mt-2">{['1W', '1M', '3M', 'YTD', '1Y', 'All'].map(r => (<button key={r} onClick={() => setRange(r)} className={`px-3 py-1 text-xs rounded-full ${range === r ? 'bg-zinc-700 text-white' : 'text-gray-400'}`}>{r}</button>))}</div>}
     </div>
   );
 };
 
+// Chart underwater: % di bawah puncak berjalan (data dari underwaterSeries, selalu <= 0).
+const UnderwaterChart = ({ data: allData, range, setRange }) => {
+  const [hover, setHover] = useState(null);
+  const svgRef = useRef(null);
+  const start = chartRangeStart(range, allData).getTime();
+  const data = allData.filter(d => d.t >= start);
+  const height = 180, width = 700; const padding = { top: 10, bottom: 30, right: 60 };
+  if (data.length < 2) return <div className="h-[180px] flex items-center justify-center text-sm text-gray-500">Not enough history yet.</div>;
+  const minVal = Math.min(-1, ...data.map(d => d.v)); const timeStart = data[0].t; const timeEnd = data[data.length - 1].t;
+  const x = (t) => ((t - timeStart) / (timeEnd - timeStart || 1)) * (width - padding.right);
+  const y = (v) => padding.top + (v / minVal) * (height - padding.top - padding.bottom);
+  const line = data.map((d, i) => `${i ? 'L' : 'M'} ${x(d.t)},${y(d.v)}`).join(' ');
+  const handleMouseMove = (event) => {
+    const rect = svgRef.current.getBoundingClientRect(); const t = timeStart + ((event.clientX - rect.left) / rect.width * width / (width - padding.right)) * (timeEnd - timeStart);
+    setHover(data.reduce((prev, curr) => Math.abs(curr.t - t) < Math.abs(prev.t - t) ? curr : prev));
+  };
+  return (
+    <div>
+      <div className="relative">
+        <svg ref={svgRef} width="100%" height={height} viewBox={`0 0 ${width} ${height}`} onMouseMove={handleMouseMove} onMouseLeave={() => setHover(null)}>
+          {[0, minVal / 2, minVal].map((v, i) => <g key={i}><line x1={0} x2={width - padding.right} y1={y(v)} y2={y(v)} stroke="rgba(255,255,255,0.08)" strokeDasharray="2,2" /><text x={width - padding.right + 6} y={y(v) + 4} fontSize="11" fill="#6B7280">{v.toFixed(1)}%</text></g>)}
+          <path d={`${line} L ${x(timeEnd)},${y(0)} L ${x(timeStart)},${y(0)} Z`} fill="rgba(239,68,68,0.25)" /><path d={line} fill="none" stroke="#EF4444" strokeWidth="1.5" />
+          {[0, 0.5, 1].map(f => { const t = timeStart + f * (timeEnd - timeStart); return <text key={f} x={x(t)} y={height - 10} textAnchor={f === 0 ? 'start' : f === 1 ? 'end' : 'middle'} fontSize="11" fill="#6B7280">{new Date(t).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: '2-digit' })}</text>; })}
+          {hover && <line x1={x(hover.t)} x2={x(hover.t)} y1={padding.top} y2={height - padding.bottom} stroke="#9CA3AF" strokeDasharray="3,3" />}
+        </svg>
+        {hover && <div className="absolute p-2 rounded-lg bg-zinc-800 text-white text-xs pointer-events-none" style={{ left: `${x(hover.t) / width * 100}%`, top: 0, transform: 'translateX(-50%)' }}><div>{new Date(hover.t).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}</div><div className="font-bold text-red-400">{hover.v.toFixed(2)}%</div></div>}
+      </div>
+      <div className="flex justify-center gap-2 mt-2">{['1W', '1M', '3M', 'YTD', '1Y', 'All'].map(r => (<button key={r} onClick={() => setRange(r)} className={`px-3 py-1 text-xs rounded-full ${range === r ? 'bg-zinc-700 text-white' : 'text-gray-400'}`}>{r}</button>))}</div>
+    </div>
+  );
+};
+
 /* ===================== Sub-Components & Pages ===================== */
 // Menggunakan Logika EquityGrowthView dari file HTML
-const EquityGrowthView = ({ equitySeries, displaySymbol, usdIdr, totalEquity }) => {
+const EquityGrowthView = ({ equitySeries, snapshots = [], onRebuildSnapshots, assetReturns = [], benchmarks = [], setBenchmarks, rateAt, fxReady, display, usdIdr, totalEquity }) => {
     const [chartRange, setChartRange] = useState("All");
+    const chartSeries = useMemo(() => equitySeries.map(p => ({ ...p, v: toDisplay(p.v, false, display, usdIdr) })), [equitySeries, display, usdIdr]);
+    // Dengan benchmark aktif chart beralih ke return kumulatif (TWR) agar deposit/withdraw tidak terbaca sebagai kenaikan.
+    const twrIndex = useMemo(() => twrIndexSeries(equitySeries), [equitySeries]);
+    // Cache per benchmark + tanggal mulai + kesiapan histori kurs: transaksi backdated yang memundurkan inception, atau
+    // histori kurs yang baru termuat (benchmark non-IDR dikonversi per tanggal), memicu fetch ulang.
+    const [benchCache, setBenchCache] = useState({});
+    const inceptionT = equitySeries[0]?.t;
+    const cacheSuffix = `${inceptionT != null ? toDateKey(inceptionT) : ''}|${fxReady ? 'fx' : ''}`;
+    const cacheKey = useCallback((key) => `${key}@${cacheSuffix}`, [cacheSuffix]);
+    const benchData = useMemo(() => Object.fromEntries(benchmarks.map(key => [key, benchCache[cacheKey(key)]])), [benchmarks, benchCache, cacheKey]);
+    useEffect(() => {
+        benchmarks.forEach(key => {
+            const entry = cacheKey(key); if (benchCache[entry]) return;
+            const benchmark = BENCHMARKS.find(b => b.key === key); if (!benchmark) return;
+            setBenchCache(prev => ({ ...prev, [entry]: 'loading' }));
+            fetchBenchmarkSeries(benchmark, inceptionT, rateAt)
+                .then(series => setBenchCache(prev => ({ ...prev, [entry]: series })))
+                .catch(e => { console.error(`Failed to fetch ${benchmark.label} history`, e); setBenchCache(prev => ({ ...prev, [entry]: 'error' })); });
+        });
+    }, [benchmarks, benchCache, cacheKey, inceptionT, rateAt]);
+    const activeBenchmarks = useMemo(() => BENCHMARKS.filter(b => benchmarks.includes(b.key) && Array.isArray(benchData[b.key]) && benchData[b.key].length > 0), [benchmarks, benchData]);
+    const benchmarkRows = useMemo(() => {
+        const from = chartRangeStart(chartRange, equitySeries).getTime(); const to = Date.now();
+        return activeBenchmarks.map(b => ({ ...b, stats: benchmarkStats(twrIndex, benchData[b.key], from, to) }));
+    }, [activeBenchmarks, benchData, twrIndex, chartRange, equitySeries]);
+    const [chartView, setChartView] = useState('Growth');
+    const dailyReturns = useMemo(() => dailyReturnSeries(equitySeries), [equitySeries]);
+    const underwater = useMemo(() => underwaterSeries(dailyReturns), [dailyReturns]);
+    const topDrawdowns = useMemo(() => drawdownEpisodes(dailyReturns).sort((a, b) => a.depth - b.depth).slice(0, 5), [dailyReturns]);
+    // Mematikan benchmark yang gagal dimuat menghapus status error-nya, jadi menyalakannya lagi mencoba ulang.
+    const toggleBenchmark = (key) => {
+        if (benchCache[cacheKey(key)] === 'error') setBenchCache(prev => omitKey(prev, cacheKey(key)));
+        setBenchmarks(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+    };
     const [returnPeriod, setReturnPeriod] = useState('Monthly');
     const [selectedDate, setSelectedDate] = useState(() => {
         const now = new Date();
@@ -936,21 +2710,10 @@ const EquityGrowthView = ({ equitySeries, displaySymbol, usdIdr, totalEquity })
         return Array.from(months).sort().reverse();
     }, [equitySeries]);
 
+    // P&L periode = perubahan equity dikurangi arus kas eksternal; persentase memakai TWR (deposit/withdraw dinetralkan).
     const equityReturnData = useMemo(() => {
         if (equitySeries.length < 2) return [];
 
-        const getEquityAt = (timestamp) => {
-            let lastKnownEquity = 0;
-            for (const point of equitySeries) {
-                if (point.t <= timestamp) {
-                    lastKnownEquity = point.v;
-                } else {
-                    break;
-                }
-            }
-            return lastKnownEquity;
-        };
-
         let results = [];
         const [year, month] = selectedDate.split('-').map(Number);
 
@@ -964,15 +2727,10 @@ const EquityGrowthView = ({ equitySeries, displaySymbol, usdIdr, totalEquity })
                 const startOfDay = new Date(currentDate);
                 startOfDay.setHours(0, 0, 0, 0);
 
-                const endEquity = getEquityAt(currentDate.getTime());
-                const startEquity = getEquityAt(startOfDay.getTime() - 1);
-
-                const pnl = endEquity - startEquity;
-                const pnlPct = startEquity > 0 ? (pnl / startEquity) * 100 : 0;
-
+                const r = periodReturn(equitySeries, startOfDay.getTime() - 1, Math.min(currentDate.getTime(), Date.now()));
                 results.push({
                     date: currentDate.toLocaleDateString('default', { month: 'short', day: 'numeric' }),
-                    equity: endEquity, pnl, pnlPct, rawDate: currentDate
+                    equity: r.endEquity, ...r, rawDate: currentDate
                 });
             }
         } else if (returnPeriod === 'Monthly') {
@@ -984,15 +2742,10 @@ const EquityGrowthView = ({ equitySeries, displaySymbol, usdIdr, totalEquity })
                 if (endOfMonth.getTime() < equitySeries[0].t) continue;
                 if (date.getTime() > Date.now()) continue;
 
-                const endEquity = getEquityAt(endOfMonth.getTime());
-                const startEquity = getEquityAt(date.getTime() - 1);
-
-                const pnl = endEquity - startEquity;
-                const pnlPct = startEquity > 0 ? (pnl / startEquity) * 100 : 0;
-                
+                const r = periodReturn(equitySeries, date.getTime() - 1, Math.min(endOfMonth.getTime(), Date.now()));
                 results.push({
                     date: date.toLocaleString('default', { month: 'short', year: 'numeric' }),
-                    equity: endEquity, pnl, pnlPct, rawDate: endOfMonth
+                    equity: r.endEquity, ...r, rawDate: endOfMonth
                 });
             }
         } else if (returnPeriod === 'Yearly') {
@@ -1002,28 +2755,84 @@ const EquityGrowthView = ({ equitySeries, displaySymbol, usdIdr, totalEquity })
 
                 if (startOfYear.getTime() > Date.now()) return;
 
-                const endEquity = getEquityAt(Math.min(endOfYear.getTime(), Date.now()));
-                const startEquity = getEquityAt(startOfYear.getTime() - 1);
-
-                const pnl = endEquity - startEquity;
-                const pnlPct = startEquity > 0 ? (pnl / startEquity) * 100 : 0;
-
+                const r = periodReturn(equitySeries, startOfYear.getTime() - 1, Math.min(endOfYear.getTime(), Date.now()));
                 results.push({
                     date: year.toString(),
-                    equity: endEquity, pnl, pnlPct, rawDate: endOfYear
+                    equity: r.endEquity, ...r, rawDate: endOfYear
                 });
              });
         }
         return results.sort((a, b) => b.rawDate - a.rawDate);
     }, [equitySeries, returnPeriod, selectedDate, availableYears]);
+    const sinceInception = useMemo(() => {
+        if (equitySeries.length < 2) return null;
+        const from = equitySeries[0].t; const to = equitySeries[equitySeries.length - 1].t;
+        const r = periodReturn(equitySeries, from, to);
+        const firstFunded = equitySeries.find(p => p.v > 0)?.t ?? to;
+        return { ...r, twrAnnualized: annualize(r.twr, (to - firstFunded) / 86400000) };
+    }, [equitySeries]);
+    const pct = (v) => v == null || !isFinite(v) ? '-' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%`;
+    const tone = (v) => v == null ? 'text-gray-400' : v >= 0 ? 'text-emerald-400' : 'text-red-400';
+    const lastSnapshot = snapshots[snapshots.length - 1];
 
     return (
         <div className="p-1">
             <div className="mb-4">
                 <p className="text-xs text-gray-400">Total Equity</p>
-                <p className="text-2xl font-bold text-white">{formatCurrency(totalEquity, false, displaySymbol, usdIdr)}</p>
+                <p className="text-2xl font-bold text-white">{formatCurrency(totalEquity, false, display, usdIdr)}</p>
+                {lastSnapshot && <p className="text-xs text-gray-500 mt-1">
+                    Close {new Date(lastSnapshot.t).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}: {formatCurrency(lastSnapshot.equity, false, display, usdIdr)} · cash {formatCurrency(lastSnapshot.cash, false, display, usdIdr)} · invested {formatCurrency(lastSnapshot.invested, false, display, usdIdr)}
+                    <span className="ml-2">({snapshots.length} daily snapshots{onRebuildSnapshots && <React.Fragment> · <button onClick={onRebuildSnapshots} className="underline hover:text-gray-300">Rebuild</button></React.Fragment>})</span>
+                </p>}
             </div>
-            <div className="mt-6"><AreaChart data={equitySeries} displaySymbol={displaySymbol} range={chartRange} setRange={setChartRange} /></div>
+            <div className="mt-6 flex gap-1">{['Growth', 'Drawdown'].map(v => <button key={v} onClick={() => setChartView(v)} className={`px-3 py-1 text-xs rounded-full ${chartView === v ? 'bg-zinc-700 text-white' : 'text-gray-400'}`}>{v}</button>)}</div>
+            {chartView === 'Drawdown' ? <div className="mt-2">
+                <UnderwaterChart data={underwater} range={chartRange} setRange={setChartRange} />
+                <h4 className="text-sm font-semibold text-white mt-4 mb-1">Largest drawdowns</h4>
+                {topDrawdowns.length === 0 ? <p className="text-xs text-gray-500">No drawdowns yet.</p> : <div className="overflow-x-auto"><table className="w-full text-xs">
+                    <thead className="text-left text-gray-500"><tr><th className="p-2 font-normal">Depth</th><th className="p-2 font-normal">Peak</th><th className="p-2 font-normal">Trough</th><th className="p-2 font-normal">Recovered</th><th className="p-2 font-normal text-right">Duration</th></tr></thead>
+                    <tbody>{topDrawdowns.map(d => { const day = (t) => new Date(t).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }); const days = Math.round(((d.recoveredAt || Date.now()) - d.peakAt) / 86400000); return (
+                        <tr key={d.peakAt} className="border-t border-white/10">
+                            <td className="p-2 font-semibold text-red-400">{pct(d.depth)}</td>
+                            <td className="p-2 text-gray-300">{day(d.peakAt)}</td>
+                            <td className="p-2 text-gray-300">{day(d.troughAt)}</td>
+                            <td className="p-2 text-gray-300">{d.recoveredAt ? day(d.recoveredAt) : <span className="text-amber-400">Ongoing</span>}</td>
+                            <td className="p-2 text-right text-white">{days} days</td>
+                        </tr>); })}</tbody>
+                </table></div>}
+            </div> : <div className="mt-2">{activeBenchmarks.length > 0
+                ? <AreaChart data={twrIndex} percent overlays={activeBenchmarks.map(b => ({ key: b.key, label: b.label, color: b.color, data: benchData[b.key] }))} display={display} range={chartRange} setRange={setChartRange} />
+                : <AreaChart data={chartSeries} display={display} range={chartRange} setRange={setChartRange} />}</div>}
+            {chartView === 'Growth' && <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+                <span className="text-gray-400">Compare with</span>
+                {BENCHMARKS.map(b => { const on = benchmarks.includes(b.key); const state = benchData[b.key]; return (
+                    <button key={b.key} onClick={() => toggleBenchmark(b.key)} className={`px-3 py-1 rounded-full border ${on ? 'text-white' : 'text-gray-400 border-zinc-700'}`} style={on ? { borderColor: b.color, backgroundColor: `${b.color}33` } : undefined}>
+                        {b.label}{on && state === 'loading' ? ' …' : on && state === 'error' ? ' (unavailable)' : ''}
+                    </button>); })}
+            </div>}
+            {chartView === 'Growth' && benchmarkRows.length > 0 && <div className="mt-4 overflow-x-auto">
+                <table className="w-full text-xs">
+                    <thead className="text-left text-gray-500"><tr><th className="p-2 font-normal">vs. benchmark ({chartRange})</th><th className="p-2 font-normal text-right">Portfolio</th><th className="p-2 font-normal text-right">Benchmark</th><th className="p-2 font-normal text-right" title="Portfolio return minus benchmark return">Tracking diff.</th><th className="p-2 font-normal text-right">Beta</th><th className="p-2 font-normal text-right" title="Annualized Jensen's alpha">Alpha / yr</th><th className="p-2 font-normal text-right">Tracking error</th></tr></thead>
+                    <tbody>{benchmarkRows.map(({ key, label, color, stats }) => <tr key={key} className="border-t border-white/10">
+                        <td className="p-2 font-semibold" style={{ color }}>{label}</td>
+                        {stats ? <React.Fragment>
+                            <td className={`p-2 text-right ${tone(stats.portfolioReturn)}`}>{pct(stats.portfolioReturn)}</td>
+                            <td className={`p-2 text-right ${tone(stats.benchmarkReturn)}`}>{pct(stats.benchmarkReturn)}</td>
+                            <td className={`p-2 text-right font-semibold ${tone(stats.trackingDifference)}`}>{pct(stats.trackingDifference)}</td>
+                            <td className="p-2 text-right text-white">{stats.beta == null ? '-' : stats.beta.toFixed(2)}</td>
+                            <td className={`p-2 text-right ${tone(stats.alpha)}`}>{pct(stats.alpha)}</td>
+                            <td className="p-2 text-right text-gray-300">{pct(stats.trackingError).replace('+', '')}</td>
+                        </React.Fragment> : <td colSpan={6} className="p-2 text-right text-gray-500">Not enough overlapping history in this range</td>}
+                    </tr>)}</tbody>
+                </table>
+                <p className="text-[11px] text-gray-500 mt-2">Returns are time-weighted and measured in IDR; USD benchmarks are converted at daily exchange rates.</p>
+            </div>}
+            {sinceInception && <div className="mt-6 grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
+                <div className="glass-card p-2"><div className="text-gray-400">Net contributions</div><div className="font-semibold text-white">{formatCurrency(sinceInception.netFlow, false, display, usdIdr)}</div></div>
+                <div className="glass-card p-2"><div className="text-gray-400">Investment gain</div><div className={`font-semibold ${tone(sinceInception.pnl)}`}>{formatCurrency(sinceInception.pnl, false, display, usdIdr)}</div></div>
+                <div className="glass-card p-2" title="Time-weighted return: deposits and withdrawals removed"><div className="text-gray-400">TWR since inception</div><div className={`font-semibold ${tone(sinceInception.twr)}`}>{pct(sinceInception.twr)}</div><div className="text-gray-500">{pct(sinceInception.twrAnnualized)} / yr</div></div>
+                <div className="glass-card p-2" title="Money-weighted return (XIRR) of your deposits and withdrawals"><div className="text-gray-400">XIRR (money-weighted)</div><div className={`font-semibold ${tone(sinceInception.xirr)}`}>{pct(sinceInception.xirr)} / yr</div><div className="text-gray-500">{pct(sinceInception.mwr)} total</div></div>
+            </div>}
             <div className="mt-8 max-h-64 overflow-y-auto">
                 <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 sticky top-0 bg-zinc-900/80 backdrop-blur-sm py-2">
                     <h3 className="text-sm sm:text-base font-semibold text-white mb-2 sm:mb-0">Total Equity Return</h3>
@@ -1045,48 +2854,124 @@ const EquityGrowthView = ({ equitySeries, displaySymbol, usdIdr, totalEquity })
                 </div>
                 <table className="w-full text-sm">
                     <thead className="text-left text-gray-500 text-xs">
-                        <tr><th className="p-2 font-normal">Date</th><th className="p-2 font-normal text-right">Equity</th><th className="p-2 font-normal text-right">P&L</th></tr>
+                        <tr><th className="p-2 font-normal">Date</th><th className="p-2 font-normal text-right">Equity</th><th className="p-2 font-normal text-right">Net flows</th><th className="p-2 font-normal text-right">P&L</th><th className="p-2 font-normal text-right" title="Time-weighted return">TWR</th><th className="p-2 font-normal text-right" title="Money-weighted return">MWR</th></tr>
                     </thead>
                     <tbody>
                         {equityReturnData.map((item, index) => (
                         <tr key={index} className="border-t border-white/10">
                             <td className="p-2 text-white">{item.date}</td>
-                            <td className="p-2 text-white text-right">{formatCurrency(item.equity, false, displaySymbol, usdIdr)}</td>
-                            <td className={`p-2 text-right ${item.pnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{item.pnl >= 0 ? '+' : ''}{formatCurrency(item.pnl, false, displaySymbol, usdIdr)} ({item.pnlPct.toFixed(2)}%)</td>
+                            <td className="p-2 text-white text-right">{formatCurrency(item.equity, false, display, usdIdr)}</td>
+                            <td className="p-2 text-gray-400 text-right">{item.netFlow ? `${item.netFlow > 0 ? '+' : ''}${formatCurrency(item.netFlow, false, display, usdIdr)}` : '-'}</td>
+                            <td className={`p-2 text-right ${item.pnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{item.pnl >= 0 ? '+' : ''}{formatCurrency(item.pnl, false, display, usdIdr)}</td>
+                            <td className={`p-2 text-right ${tone(item.twr)}`}>{pct(item.twr)}</td>
+                            <td className={`p-2 text-right ${tone(item.mwr)}`}>{pct(item.mwr)}</td>
                         </tr>
                         ))}
                     </tbody>
                 </table>
             </div>
+            {assetReturns.length > 0 && <div className="mt-6">
+                <h3 className="text-sm sm:text-base font-semibold text-white mb-2">Returns by Asset</h3>
+                <table className="w-full text-xs">
+                    <thead className="text-left text-gray-500"><tr><th className="p-2 font-normal">Asset</th><th className="p-2 font-normal">Since</th><th className="p-2 font-normal text-right">TWR</th><th className="p-2 font-normal text-right">TWR / yr</th><th className="p-2 font-normal text-right">XIRR / yr</th></tr></thead>
+                    <tbody>{assetReturns.map(a => <tr key={a.id} className="border-t border-white/10"><td className="p-2 text-white font-semibold">{a.symbol}</td><td className="p-2 text-gray-400">{new Date(a.since).toLocaleDateString()}</td><td className={`p-2 text-right ${tone(a.twr)}`}>{pct(a.twr)}</td><td className={`p-2 text-right ${tone(a.twrAnnualized)}`}>{pct(a.twrAnnualized)}</td><td className={`p-2 text-right ${tone(a.xirr)}`}>{pct(a.xirr)}</td></tr>)}</tbody>
+                </table>
+                <p className="text-[11px] text-gray-500 mt-2">Per-asset returns are in USD, valued at each trade price and today&apos;s quote; cash dividends count as money returned.</p>
+            </div>}
+        </div>
+    );
+};
+// Laporan pajak tahunan (realized per aset, holding period, income, fee, PPh final IDX) + export CSV & versi cetak.
+const TaxReportView = ({ ledger, baseCcy, costBasisMethod, portfolioName, baseRateOf, idrRateOf }) => {
+    const years = useMemo(() => taxYearsOf(ledger), [ledger]);
+    const [year, setYear] = useState(() => years[0] || new Date().getFullYear());
+    const report = useMemo(() => buildTaxReport(ledger, year, { baseRateOf, idrRateOf }), [ledger, year, baseRateOf, idrRateOf]);
+    const fmt = (v) => formatMoney(v, baseCcy);
+    const days = (d) => d == null ? '-' : `${Math.round(d)}d`;
+    const title = `Tax report ${year}${portfolioName ? ` · ${portfolioName}` : ''}`;
+    const handleExportCsv = () => {
+        const cell = (v) => { const str = String(v ?? ''); return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str; };
+        const headers = ['section', 'date', 'symbol', 'type', 'qty', 'proceeds', 'costBasis', 'fees', 'realized', 'shortTerm', 'longTerm', 'holdingDays', 'term', 'idxFinalTax', 'income', 'currency'];
+        const round = (v) => v == null ? '' : +v.toFixed(2);
+        const lines = [
+            ...report.disposals.map(d => ['disposal', new Date(d.date).toISOString().slice(0, 10), d.symbol, d.type, d.qty, round(d.proceeds), round(d.cost), round(d.fees), round(d.realized), '', '', d.heldDays == null ? '' : Math.round(d.heldDays), d.term, round(d.finalTax), '', baseCcy]),
+            ...report.income.map(i => ['income', new Date(i.date).toISOString().slice(0, 10), i.symbol, i.type, i.qty ?? '', '', '', '', '', '', '', '', '', '', round(i.amount), baseCcy]),
+            ...report.assets.map(a => ['asset_total', year, a.symbol, a.finalTaxed ? 'idx_final' : 'capital_gain', a.qty, round(a.proceeds), round(a.cost), round(a.fees), round(a.realized), round(a.shortTerm), round(a.longTerm), a.avgHoldingDays == null ? '' : Math.round(a.avgHoldingDays), '', round(a.finalTax), round(a.income), baseCcy]),
+        ];
+        const blob = new Blob([[headers, ...lines].map(r => r.map(cell).join(',')).join('\n')], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a'); link.href = URL.createObjectURL(blob); link.download = `tax_report_${year}_${(portfolioName || 'portfolio').replace(/\W+/g, '_').toLowerCase()}.csv`;
+        document.body.appendChild(link); link.click(); document.body.removeChild(link);
+    };
+    // Versi cetak dibuka di jendela baru (tabel polos tanpa tema gelap) lalu langsung memanggil dialog print.
+    const handlePrint = () => {
+        const esc = (v) => String(v ?? '').replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+        const table = (head, rows) => `<table><thead><tr>${head.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead><tbody>${rows.map(r => `<tr>${r.map(c => `<td>${esc(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+        const t = report.totals;
+        const html = `<!doctype html><html><head><title>${esc(title)}</title><style>body{font-family:system-ui,sans-serif;font-size:12px;margin:24px}h1{font-size:18px}h2{font-size:14px;margin-top:20px}table{border-collapse:collapse;width:100%}th,td{border:1px solid #ccc;padding:4px 6px;text-align:right}th:first-child,td:first-child{text-align:left}p{color:#555}</style></head><body>
+            <h1>${esc(title)}</h1><p>Values in ${baseCcy} at transaction-date rates · cost basis ${esc(costBasisLabel(costBasisMethod))} · generated ${new Date().toLocaleString()}</p>
+            ${table(['Summary', 'Amount'], [['Realized gain (capital gains)', fmt(t.shortTerm + t.longTerm)], ['  held < 1 year', fmt(t.shortTerm)], ['  held ≥ 1 year', fmt(t.longTerm)], ['Realized gain on IDX shares (final tax)', fmt(t.finalTaxedGain)], ['IDX final tax withheld (0.1%)', fmt(t.finalTax)], ['Dividends, coupons & interest', fmt(t.income)], ['Trading fees & tax paid', fmt(t.fees)]])}
+            <h2>Realized per asset</h2>${table(['Asset', 'Qty sold', 'Proceeds', 'Cost basis', 'Fees & tax', 'Realized', 'Avg held', 'IDX final tax', 'Income'], report.assets.map(a => [a.symbol, formatQty(a.qty), fmt(a.proceeds), fmt(a.cost), fmt(a.fees), fmt(a.realized), days(a.avgHoldingDays), a.finalTaxed ? fmt(a.finalTax) : '-', fmt(a.income)]))}
+            <h2>Disposals</h2>${table(['Date', 'Asset', 'Qty', 'Proceeds', 'Cost basis', 'Fees & tax', 'Realized', 'Held', 'Term'], report.disposals.map(d => [new Date(d.date).toLocaleDateString(), d.symbol, formatQty(d.qty), fmt(d.proceeds), fmt(d.cost), fmt(d.fees), fmt(d.realized), days(d.heldDays), d.term]))}
+            <h2>Income</h2>${table(['Date', 'Type', 'Asset', 'Amount'], report.income.map(i => [new Date(i.date).toLocaleDateString(), txTypeLabel(i.type), i.symbol || '-', fmt(i.amount)]))}
+        </body></html>`;
+        const win = window.open('', '_blank'); if (!win) { alert("Allow pop-ups to print the report."); return; }
+        win.document.write(html); win.document.close(); win.focus(); win.print();
+    };
+    const t = report.totals;
+    const cards = [['Capital gains', t.shortTerm + t.longTerm], ['IDX gains (final tax)', t.finalTaxedGain], ['Dividends & interest', t.income], ['Fees & tax paid', t.fees], ['IDX final tax withheld', t.finalTax]];
+    return (
+        <div className="p-1 max-h-[70vh] overflow-y-auto space-y-4 text-sm">
+            <div className="flex flex-wrap gap-2 items-center justify-between">
+                <select value={year} onChange={e => setYear(Number(e.target.value))} className="bg-zinc-800 px-3 py-1.5 rounded border border-zinc-700 text-white">{(years.length ? years : [year]).map(y => <option key={y} value={y}>{y}</option>)}</select>
+                <div className="flex gap-2"><button onClick={handleExportCsv} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-gray-300">Export CSV</button><button onClick={handlePrint} className="px-3 py-1.5 rounded bg-zinc-800 hover:bg-zinc-700 text-gray-300">Print</button></div>
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">{cards.map(([label, value]) => <div key={label} className="glass-card p-2"><div className="text-[11px] text-gray-400">{label}</div><div className={`font-semibold ${value < 0 ? 'text-red-400' : 'text-white'}`}>{fmt(value)}</div></div>)}</div>
+            <p className="text-xs text-gray-500">Values in {baseCcy} at transaction-date rates, cost basis {costBasisLabel(costBasisMethod)}. Capital gains held &lt; 1 year: {fmt(t.shortTerm)}, ≥ 1 year: {fmt(t.longTerm)}. IDX share sales are already taxed at the 0.1% final rate and listed separately.</p>
+            <table className="w-full text-xs">
+                <thead className="text-gray-500"><tr><th className="text-left p-1">Asset</th><th className="text-right p-1">Proceeds</th><th className="text-right p-1">Cost basis</th><th className="text-right p-1">Fees &amp; tax</th><th className="text-right p-1">Realized</th><th className="text-right p-1">Avg held</th><th className="text-right p-1">Income</th></tr></thead>
+                <tbody>
+                    {report.assets.map(a => <tr key={a.symbol} className="border-t border-white/5 text-gray-300"><td className="p-1"><span className="font-semibold text-white">{a.symbol}</span>{a.finalTaxed && <span className="ml-1 text-[10px] text-sky-400">final</span>}</td><td className="p-1 text-right">{fmt(a.proceeds)}</td><td className="p-1 text-right">{fmt(a.cost)}</td><td className="p-1 text-right">{fmt(a.fees)}</td><td className={`p-1 text-right ${a.realized >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{fmt(a.realized)}</td><td className="p-1 text-right">{days(a.avgHoldingDays)}</td><td className="p-1 text-right">{fmt(a.income)}</td></tr>)}
+                    {report.assets.length === 0 && <tr><td colSpan={7} className="p-4 text-center text-gray-500">No realized gains or income in {year}.</td></tr>}
+                </tbody>
+            </table>
+            {report.income.length > 0 && <div>
+                <p className="font-semibold text-white mb-1">Income received</p>
+                {report.income.map((i, idx) => <div key={idx} className="flex justify-between text-xs text-gray-400 py-0.5"><span>{new Date(i.date).toLocaleDateString()} · {txTypeLabel(i.type)}{i.symbol ? ` · ${i.symbol}` : ''}</span><span className="text-gray-200">{fmt(i.amount)}</span></div>)}
+            </div>}
         </div>
     );
 };
 // Menggunakan Logika TradeStatsView dari file HTML
-const TradeStatsView = ({ stats, transactions, displaySymbol, usdIdr }) => {
+const TradeStatsView = ({ stats, transactions, costBasisMethod, display, usdIdr }) => {
     const [chartRange, setChartRange] = useState("All");
+    // Tampilan = base currency: realized/cost pada kurs transaksi. Selain itu nilai USD dikonversi kurs hari ini.
+    const usesBase = showsBaseValues(display);
+    const realizedOf = (tx) => (usesBase ? tx.realizedBase : tx.realized) || 0;
+    const costOf = (tx) => (usesBase ? tx.costOfSoldBase : tx.costOfSold) || 0;
+    const fmt = (v) => usesBase ? formatMoney(v, display.code) : formatCurrency(v, true, display, usdIdr);
     const { maxProfitPct, maxLossPct } = useMemo(() => {
         let profitPct = 0;
         if (stats.maxProfit > 0) {
-            const maxProfitTx = transactions.find(tx => tx.realized === stats.maxProfit);
-            if (maxProfitTx && maxProfitTx.costOfSold > 0) {
-                profitPct = (maxProfitTx.realized / maxProfitTx.costOfSold) * 100;
+            const maxProfitTx = transactions.find(tx => realizedOf(tx) === stats.maxProfit);
+            if (maxProfitTx && costOf(maxProfitTx) > 0) {
+                profitPct = (realizedOf(maxProfitTx) / costOf(maxProfitTx)) * 100;
             }
         }
         
         let lossPct = 0;
         if (stats.maxLoss < 0) {
-            const maxLossTx = transactions.find(tx => tx.realized === stats.maxLoss);
-            if (maxLossTx && maxLossTx.costOfSold > 0) {
-                lossPct = (maxLossTx.realized / maxLossTx.costOfSold) * 100;
+            const maxLossTx = transactions.find(tx => realizedOf(tx) === stats.maxLoss);
+            if (maxLossTx && costOf(maxLossTx) > 0) {
+                lossPct = (realizedOf(maxLossTx) / costOf(maxLossTx)) * 100;
             }
         }
 
         return { maxProfitPct: profitPct, maxLossPct: lossPct };
-    }, [transactions, stats.maxProfit, stats.maxLoss]);
+    }, [transactions, stats.maxProfit, stats.maxLoss, usesBase]);
 
-    const realizedGainSeries = useMemo(() => { const sorted = [...transactions.filter(t => t.type === 'sell' || t.type === 'delete')].sort((a, b) => a.date - b.date); let cumulativeGain = 0; const points = sorted.map(tx => { cumulativeGain += tx.realized || 0; return { t: tx.date, v: displaySymbol === '$' ? cumulativeGain : cumulativeGain * usdIdr }; }); if (points.length > 0) points.unshift({ t: points[0].t - 86400000, v: 0 }); return points.length ? points : [{ t: Date.now() - 1000, v: 0 }, {t: Date.now(), v:0}]; }, [transactions, displaySymbol, usdIdr]);
-    const sells = useMemo(() => transactions.filter(tx => tx.type === 'sell' || tx.type === 'delete'), [transactions]); const realizedGainOnly = useMemo(() => sells.filter(tx => tx.realized > 0).reduce((sum, tx) => sum + tx.realized, 0), [sells]); const realizedLossOnly = useMemo(() => sells.filter(tx => tx.realized < 0).reduce((sum, tx) => sum + tx.realized, 0), [sells]);
-    const topGainers = useMemo(() => { const gainers = {}; sells.forEach(tx => { if (!gainers[tx.symbol]) gainers[tx.symbol] = { trades: 0, pnl: 0, cost: 0 }; gainers[tx.symbol].trades++; gainers[tx.symbol].pnl += tx.realized; gainers[tx.symbol].cost += tx.costOfSold || 0; }); return Object.entries(gainers).map(([symbol, data]) => ({ symbol, ...data, pnlPct: data.cost > 0 ? (data.pnl / data.cost) * 100 : 0 })).sort((a, b) => b.pnl - a.pnl).slice(0, 5); }, [sells]);
+    const realizedGainSeries = useMemo(() => { const sorted = [...transactions.filter(t => CLOSING_TX_TYPES.includes(t.type))].sort((a, b) => a.date - b.date); let cumulativeGain = 0; const points = sorted.map(tx => { cumulativeGain += realizedOf(tx); return { t: tx.date, v: usesBase ? cumulativeGain : cumulativeGain * display.rate }; }); if (points.length > 0) points.unshift({ t: points[0].t - 86400000, v: 0 }); return points.length ? points : [{ t: Date.now() - 1000, v: 0 }, {t: Date.now(), v:0}]; }, [transactions, usesBase, display]);
+    const sells = useMemo(() => transactions.filter(tx => CLOSING_TX_TYPES.includes(tx.type)), [transactions]); const realizedGainOnly = useMemo(() => sells.filter(tx => realizedOf(tx) > 0).reduce((sum, tx) => sum + realizedOf(tx), 0), [sells, usesBase]); const realizedLossOnly = useMemo(() => sells.filter(tx => realizedOf(tx) < 0).reduce((sum, tx) => sum + realizedOf(tx), 0), [sells, usesBase]);
+    const topGainers = useMemo(() => { const gainers = {}; sells.forEach(tx => { if (!gainers[tx.symbol]) gainers[tx.symbol] = { trades: 0, pnl: 0, cost: 0 }; gainers[tx.symbol].trades++; gainers[tx.symbol].pnl += realizedOf(tx); gainers[tx.symbol].cost += costOf(tx); }); return Object.entries(gainers).map(([symbol, data]) => ({ symbol, ...data, pnlPct: data.cost > 0 ? (data.pnl / data.cost) * 100 : 0 })).sort((a, b) => b.pnl - a.pnl).slice(0, 5); }, [sells, usesBase]);
     
     if (!stats) return <div className="p-4 text-center text-gray-500">No trade data available.</div>;
     
@@ -1117,37 +3002,38 @@ const TradeStatsView = ({ stats, transactions, displaySymbol, usdIdr }) => {
             <div className="grid grid-cols-2 gap-4"> 
                 <div className="glass-card p-3">
                     <p className="text-sm text-gray-400 flex items-center gap-1"><ArrowUpIcon className="text-emerald-400"/>Max Profit</p>
-                    <p className="text-base font-semibold text-white mt-1">{formatCurrency(stats.maxProfit, true, displaySymbol, usdIdr)}</p>
+                    <p className="text-base font-semibold text-white mt-1">{fmt(stats.maxProfit)}</p>
                     <p className="text-sm text-emerald-400">+{maxProfitPct.toFixed(2)}%</p>
                 </div> 
                 <div className="glass-card p-3">
                     <p className="text-sm text-gray-400 flex items-center gap-1"><ArrowDownIcon className="text-red-400"/>Max Loss</p>
-                    <p className="text-base font-semibold text-white mt-1">{formatCurrency(stats.maxLoss, true, displaySymbol, usdIdr)}</p>
+                    <p className="text-base font-semibold text-white mt-1">{fmt(stats.maxLoss)}</p>
                     <p className="text-sm text-red-400">{maxLossPct.toFixed(2)}%</p>
                 </div> 
                 <div className="glass-card p-3">
                     <p className="text-sm text-gray-400 flex items-center gap-1"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 20V10"/><path d="M18 20V4"/><path d="M6 20V16"/></svg>Avg. Profit</p>
-                    <p className="text-base font-semibold text-white mt-1">{formatCurrency(stats.avgProfit, true, displaySymbol, usdIdr)}</p>
+                    <p className="text-base font-semibold text-white mt-1">{fmt(stats.avgProfit)}</p>
                 </div> 
                 <div className="glass-card p-3">
                     <p className="text-sm text-gray-400 flex items-center gap-1"><svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 4v10"/><path d="M18 4v16"/><path d="M6 4v8"/></svg>Avg. Loss</p>
-                    <p className="text-base font-semibold text-white mt-1">{formatCurrency(stats.avgLoss, true, displaySymbol, usdIdr)}</p>
+                    <p className="text-base font-semibold text-white mt-1">{fmt(stats.avgLoss)}</p>
                 </div> 
             </div> 
             <div className="glass-card p-4"> 
                 <h3 className="font-semibold text-white flex items-center gap-1">Total Realized Gain <InfoIcon className="text-gray-400 w-3 h-3" /></h3> 
-                <p className={`text-2xl font-bold mt-1 ${stats.totalRealizedGain >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{stats.totalRealizedGain >= 0 ? '+' : ''}{formatCurrency(stats.totalRealizedGain, true, displaySymbol, usdIdr)}</p> 
-                <div className="h-48 mt-2"><AreaChart data={realizedGainSeries} displaySymbol={displaySymbol} range={chartRange} setRange={setChartRange} showTimeframes={false}/></div> 
+                <p className="text-xs text-gray-500">Cost basis: {costBasisLabel(costBasisMethod)}</p> 
+                <p className={`text-2xl font-bold mt-1 ${stats.totalRealizedGain >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{stats.totalRealizedGain >= 0 ? '+' : ''}{fmt(stats.totalRealizedGain)}</p> 
+                <div className="h-48 mt-2"><AreaChart data={realizedGainSeries} display={display} range={chartRange} setRange={setChartRange} showTimeframes={false}/></div> 
                 <div className="mt-2 text-xs text-gray-400 border-t border-white/10 pt-2 space-y-1"> 
-                    <div className="flex justify-between"><span>Realized Gain</span> <span className="text-emerald-400 font-semibold">{formatCurrency(realizedGainOnly, true, displaySymbol, usdIdr)}</span></div> 
-                    <div className="flex justify-between"><span>Realized Loss</span> <span className="text-red-400 font-semibold">{formatCurrency(realizedLossOnly, true, displaySymbol, usdIdr)}</span></div> 
+                    <div className="flex justify-between"><span>Realized Gain</span> <span className="text-emerald-400 font-semibold">{fmt(realizedGainOnly)}</span></div> 
+                    <div className="flex justify-between"><span>Realized Loss</span> <span className="text-red-400 font-semibold">{fmt(realizedLossOnly)}</span></div> 
                 </div> 
             </div> 
             <div className="glass-card p-4"> 
-                <h3 className="font-semibold text-white mb-2">Top Gainer ({displaySymbol})</h3> 
+                <h3 className="font-semibold text-white mb-2">Top Gainer ({display.code})</h3> 
                 <table className="w-full text-sm"> 
                     <thead className="text-gray-400 text-xs font-light"><tr><th className="text-left font-normal py-1">Code</th><th className="text-center font-normal py-1">Trades</th><th className="text-right font-normal py-1">P&L</th></tr></thead> 
-                    <tbody>{topGainers.map(g => (<tr key={g.symbol} className="border-t border-white/10"><td className="py-2 flex items-center gap-2"><div className="w-6 h-6 rounded-full bg-zinc-700 flex items-center justify-center font-bold text-white text-xs">{g.symbol.charAt(0)}</div>{g.symbol}</td><td className="text-center py-2">{g.trades}</td><td className={`text-right py-2 font-semibold ${g.pnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{g.pnl >= 0 ? '+' : ''}{formatCurrency(g.pnl, true, displaySymbol, usdIdr)} ({g.pnlPct.toFixed(2)}%)</td></tr>))}</tbody> 
+                    <tbody>{topGainers.map(g => (<tr key={g.symbol} className="border-t border-white/10"><td className="py-2 flex items-center gap-2"><div className="w-6 h-6 rounded-full bg-zinc-700 flex items-center justify-center font-bold text-white text-xs">{g.symbol.charAt(0)}</div>{g.symbol}</td><td className="text-center py-2">{g.trades}</td><td className={`text-right py-2 font-semibold ${g.pnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{g.pnl >= 0 ? '+' : ''}{fmt(g.pnl)} ({g.pnlPct.toFixed(2)}%)</td></tr>))}</tbody> 
                 </table> 
             </div>
             <div className="glass-card p-4">
@@ -1166,10 +3052,10 @@ const TradeStatsView = ({ stats, transactions, displaySymbol, usdIdr }) => {
                             {[...sells].sort((a,b) => b.date - a.date).map(tx => (
                                 <tr key={tx.id} className="border-t border-white/10">
                                     <td className="py-2 px-2 text-xs text-gray-400">{new Date(tx.date).toLocaleDateString()}</td>
-                                    <td className="py-2 px-2 font-semibold">{tx.symbol}</td>
+                                    <td className="py-2 px-2 font-semibold">{tx.symbol}<div className="text-[10px] font-normal text-gray-500">{tx.costBasis ? costBasisLabel(tx.costBasis) : ''}{tx.lots?.length ? ` · ${tx.lots.length} lot${tx.lots.length > 1 ? 's' : ''}` : ''}</div></td>
                                     <td className="py-2 px-2 text-right">{formatQty(tx.qty)}</td>
-                                    <td className={`py-2 px-2 text-right font-semibold ${tx.realized >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
-                                        {formatCurrency(tx.realized, true, displaySymbol, usdIdr)}
+                                    <td className={`py-2 px-2 text-right font-semibold ${realizedOf(tx) >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                                        {fmt(realizedOf(tx))}
                                     </td>
                                 </tr>
                             ))}
@@ -1185,7 +3071,66 @@ const TradeStatsView = ({ stats, transactions, displaySymbol, usdIdr }) => {
         </div> 
     );
 };
-const HistoryView = ({ transactions, usdIdr, displaySymbol, onDeleteTransaction }) => (
+
+// Panel risiko dari equity series harian (TWR, arus kas dinetralkan). Beta memakai benchmark yang sama dengan chart growth.
+const RiskPanel = ({ equitySeries, holdings, dailyCloses, rateAt, riskFreeRate, setRiskFreeRate, benchmarkKey, setBenchmarkKey }) => {
+    const [range, setRange] = useState('1Y');
+    const [bench, setBench] = useState(null);
+    const benchmark = BENCHMARKS.find(b => b.key === benchmarkKey) || BENCHMARKS[0];
+    const inceptionT = equitySeries[0]?.t;
+    useEffect(() => {
+        let cancelled = false; setBench(null);
+        fetchBenchmarkSeries(benchmark, inceptionT, rateAt).then(series => { if (!cancelled) setBench(series); }).catch(e => { console.error(`Failed to fetch ${benchmark.label} history`, e); if (!cancelled) setBench('error'); });
+        return () => { cancelled = true; };
+    }, [benchmark, inceptionT, rateAt]);
+    // Akhir jendela = saat memo dihitung ulang (series live ikut berubah tiap polling harga).
+    const from = chartRangeStart(range, equitySeries).getTime();
+    const stats = useMemo(() => riskStats(dailyReturnSeries(equitySeries, from, Date.now()), (toNum(riskFreeRate) || 0) / 100), [equitySeries, from, riskFreeRate]);
+    const beta = useMemo(() => Array.isArray(bench) ? benchmarkStats(twrIndexSeries(equitySeries), bench, from, Date.now())?.beta ?? null : null, [bench, equitySeries, from]);
+    const contributions = useMemo(() => { const to = Date.now(); return riskContributions(holdings, dailyCloses, rateAt, Math.max(from, to - 365 * 86400000), to); }, [holdings, dailyCloses, rateAt, from]);
+    const pct = (v) => v == null || !isFinite(v) ? '-' : `${(v * 100).toFixed(2)}%`;
+    const ratio = (v) => v == null || !isFinite(v) ? '-' : v.toFixed(2);
+    const day = (t) => t ? new Date(t).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+    const dd = stats?.drawdown;
+    return (
+        <div className="px-4 pb-4">
+            <div className="glass-card p-4">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                    <h3 className="font-semibold text-white">Portfolio Risk</h3>
+                    <div className="flex items-center gap-1">{['3M', '1Y', 'All'].map(r => <button key={r} onClick={() => setRange(r)} className={`px-3 py-1 text-xs rounded-full ${range === r ? 'bg-zinc-700 text-white' : 'text-gray-400'}`}>{r}</button>)}</div>
+                </div>
+                <div className="flex flex-wrap gap-3 text-xs text-gray-400 mb-3">
+                    <label className="flex items-center gap-2">Risk-free rate <input type="number" step="0.25" value={riskFreeRate} onChange={e => setRiskFreeRate(e.target.value)} className="w-16 bg-zinc-800 rounded px-2 py-1 text-white outline-none" />% / yr</label>
+                    <label className="flex items-center gap-2">Beta vs <select value={benchmark.key} onChange={e => setBenchmarkKey(e.target.value)} className="bg-zinc-800 rounded px-2 py-1 text-white outline-none">{BENCHMARKS.map(b => <option key={b.key} value={b.key}>{b.label}</option>)}</select></label>
+                </div>
+                {!stats ? <p className="text-sm text-gray-500">Not enough daily history in this range.</p> : <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
+                    <div className="bg-zinc-800/60 rounded p-2"><div className="text-gray-400">Return / yr</div><div className={`font-semibold ${stats.annualReturn >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{pct(stats.annualReturn)}</div></div>
+                    <div className="bg-zinc-800/60 rounded p-2" title="Annualized standard deviation of daily returns"><div className="text-gray-400">Volatility</div><div className="font-semibold text-white">{pct(stats.volatility)}</div></div>
+                    <div className="bg-zinc-800/60 rounded p-2"><div className="text-gray-400">Sharpe</div><div className="font-semibold text-white">{ratio(stats.sharpe)}</div></div>
+                    <div className="bg-zinc-800/60 rounded p-2" title="Like Sharpe, but only downside volatility counts"><div className="text-gray-400">Sortino</div><div className="font-semibold text-white">{ratio(stats.sortino)}</div></div>
+                    <div className="bg-zinc-800/60 rounded p-2 col-span-2"><div className="text-gray-400">Max drawdown</div><div className="font-semibold text-red-400">{pct(stats.maxDrawdown)}</div>{dd && <div className="text-gray-500">{day(dd.peakAt)} → {day(dd.troughAt)} · {dd.recoveredAt ? `recovered ${day(dd.recoveredAt)}` : 'not yet recovered'}</div>}</div>
+                    <div className="bg-zinc-800/60 rounded p-2" title="Annual return divided by max drawdown"><div className="text-gray-400">Calmar</div><div className="font-semibold text-white">{ratio(stats.calmar)}</div></div>
+                    <div className="bg-zinc-800/60 rounded p-2"><div className="text-gray-400">Beta ({benchmark.label})</div><div className="font-semibold text-white">{bench === 'error' ? 'n/a' : bench ? ratio(beta) : '…'}</div></div>
+                </div>}
+                {contributions.length > 0 && <div className="mt-4">
+                    <h4 className="text-sm font-semibold text-white mb-1">Contribution to risk</h4>
+                    <p className="text-[11px] text-gray-500 mb-2">Share of portfolio variance from each holding at current weights, using up to one year of daily prices.</p>
+                    <table className="w-full text-xs">
+                        <thead className="text-gray-500"><tr><th className="text-left font-normal py-1">Asset</th><th className="text-right font-normal py-1">Weight</th><th className="text-right font-normal py-1">Volatility</th><th className="text-right font-normal py-1">Risk share</th></tr></thead>
+                        <tbody>{contributions.map(c => <tr key={c.id} className="border-t border-white/10">
+                            <td className="py-1.5 text-white">{c.symbol}{!c.hasHistory && <span className="ml-1 text-gray-500">(no price history)</span>}</td>
+                            <td className="py-1.5 text-right text-gray-300">{pct(c.weight)}</td>
+                            <td className="py-1.5 text-right text-gray-300">{pct(c.volatility)}</td>
+                            <td className="py-1.5 text-right"><div className="flex items-center justify-end gap-2"><div className="h-1.5 bg-zinc-700 rounded w-16 overflow-hidden"><div className="h-full bg-amber-400" style={{ width: `${Math.max(0, Math.min(100, c.contribution * 100))}%` }} /></div><span className="font-semibold text-white w-14">{pct(c.contribution)}</span></div></td>
+                        </tr>)}</tbody>
+                    </table>
+                </div>}
+            </div>
+        </div>
+    );
+};
+// showPortfolio aktif di tampilan "All accounts" untuk menampilkan akun asal tiap transaksi.
+const HistoryView = ({ transactions, portfolios, showPortfolio, usdIdr, display, onDeleteTransaction, onEditTransaction }) => (
     <div className="p-1 max-h-[70vh] overflow-y-auto">
         <table className="w-full text-sm">
             <thead className="text-left text-gray-500 text-xs sticky top-0 bg-zinc-900/80 backdrop-blur-sm">
@@ -1195,10 +3140,10 @@ const HistoryView = ({ transactions, usdIdr, displaySymbol, onDeleteTransaction
                 {[...transactions].sort((a,b) => b.date - a.date).map(tx => (
                 <tr key={tx.id} className="border-t border-white/10">
                     <td className="p-3 text-gray-400 text-xs">{new Date(tx.date).toLocaleString()}</td>
-                    <td className="p-3 capitalize font-semibold">{tx.type}</td>
-                    <td className="p-3 text-xs">{tx.type === 'buy' || tx.type === 'sell' || tx.type === 'delete' ? (<React.Fragment><div><strong>{tx.symbol}</strong></div><div>{formatQty(tx.qty)} @ {formatCurrency(tx.pricePerUnit, true, displaySymbol, usdIdr)}</div></React.Fragment>) : (<span>-</span>)}</td>
-                    <td className="p-3 text-right">{formatCurrency(tx.type === 'deposit' || tx.type === 'withdraw' ? tx.amount : (tx.cost || tx.proceeds || 0) * usdIdr, false, 'Rp', usdIdr)}</td>
-                    <td className="p-3 text-right"><button onClick={() => onDeleteTransaction(tx.id)} className="text-red-500 hover:text-red-400"><TrashIcon className="w-4 h-4" /></button></td>
+                    <td className="p-3 capitalize font-semibold">{txTypeLabel(tx.type)}</td>
+                    <td className="p-3 text-xs">{tx.type === 'position_open' || tx.type === 'position_close' ? (<React.Fragment><div><strong>{tx.symbol}</strong>{tx.direction && <span className={tx.direction === 'long' ? 'text-emerald-400' : 'text-red-400'}> · {tx.direction} {tx.leverage}x</span>}</div><div>{formatQty(tx.qty)} @ {formatCurrency(tx.pricePerUnit, true, display, usdIdr)}</div>{toNum(tx.fee) > 0 && <div className="text-gray-500">Fee {formatCurrency(tx.fee, true, display, usdIdr)}</div>}</React.Fragment>) : tx.type === 'funding' ? (<React.Fragment><div><strong>{tx.symbol}</strong></div><div className={toNum(tx.fundingUSD) >= 0 ? 'text-emerald-400' : 'text-red-400'}>{formatCurrency(tx.fundingUSD, true, display, usdIdr)}</div></React.Fragment>) : tx.type === 'buy' || tx.type === 'sell' || tx.type === 'delete' || tx.type === 'staking' ? (<React.Fragment><div><strong>{tx.symbol}</strong></div><div>{formatQty(tx.qty)} @ {formatCurrency(tx.pricePerUnit, true, display, usdIdr)}</div>{(toNum(tx.fee) + toNum(tx.tax)) > 0 && <div className="text-gray-500">Fee {formatCurrency(tx.fee, true, display, usdIdr)}{toNum(tx.tax) > 0 ? ` · Tax ${formatCurrency(tx.tax, true, display, usdIdr)}` : ''}</div>}</React.Fragment>) : tx.type === 'stock_dividend' ? (<React.Fragment><div><strong>{tx.symbol}</strong></div><div>+{formatQty(tx.qty)} units</div></React.Fragment>) : tx.type === 'split' ? (<React.Fragment><div><strong>{tx.symbol}</strong></div><div>{splitRatio(tx) >= 1 ? 'Split' : 'Reverse split'} {tx.ratioTo}:{tx.ratioFrom}</div></React.Fragment>) : tx.type === 'corporate_action' ? (<React.Fragment><div><strong>{tx.symbol}</strong> · {CORPORATE_ACTIONS.find(a => a.key === tx.action)?.label}</div><div>{tx.action === 'rights' ? `+${formatQty(tx.qty)} @ ${formatCurrency(tx.pricePerUnit, true, display, usdIdr)}` : `→ ${tx.targetStub?.symbol}${tx.action === 'merger' ? ` (${tx.ratio}x)` : ''}`}</div></React.Fragment>) : tx.type === 'liability_open' ? (<React.Fragment><div><strong>{tx.name}</strong></div><div>{toNum(tx.interestRate)}%/yr{toNum(tx.termMonths) > 0 ? ` · ${tx.termMonths} months` : ''}{tx.toCash ? ' · to cash' : ''}</div></React.Fragment>) : tx.type === 'liability_payment' ? (<React.Fragment><div><strong>{tx.name}</strong></div>{tx.fromCash && <div>from cash</div>}</React.Fragment>) : tx.type === 'appraisal' ? (<React.Fragment><div><strong>{tx.symbol}</strong></div><div>{formatCurrency(tx.pricePerUnit, true, display, usdIdr)} / unit{tx.nonLiquidYoy !== undefined ? ` · ${tx.nonLiquidYoy}%/yr` : ''}</div></React.Fragment>) : TRANSFER_TYPES.includes(tx.type) ? (<React.Fragment>{tx.assetId && <div><strong>{tx.symbol}</strong> · {formatQty(tx.qty)} units</div>}<div>{tx.type === 'transfer_in' ? 'from' : 'to'} {portfolios.find(p => p.id === tx.peerPortfolioId)?.name || 'deleted account'}</div></React.Fragment>) : tx.type === 'fx_convert' ? (<div>{tx.fromCurrency} → {tx.toCurrency} @ {+(toNum(tx.toAmount) / toNum(tx.fromAmount)).toFixed(tx.toCurrency === 'IDR' ? 2 : 8)}</div>) : tx.symbol ? (<strong>{tx.symbol}</strong>) : (<span>-</span>)}{tx.note && <div className="text-gray-500 italic">{tx.note}</div>}{showPortfolio && <div className="text-gray-500">{portfolios.find(p => p.id === tx.portfolioId)?.name}</div>}</td>
+                    <td className="p-3 text-right whitespace-nowrap">{txCashNominal(tx, usdIdr)}</td>
+                    <td className="p-3 text-right whitespace-nowrap"><button onClick={() => onEditTransaction(tx)} title="Edit" className="text-gray-400 hover:text-white mr-3"><PencilIcon className="w-4 h-4 inline" /></button><button onClick={() => onDeleteTransaction(tx.id)} className="text-red-500 hover:text-red-400"><TrashIcon className="w-4 h-4" /></button></td>
                 </tr>
                 ))}
                 {transactions.length === 0 && <tr><td colSpan={5} className="p-6 text-center text-gray-500">No history</td></tr>}
@@ -1206,44 +3151,558 @@ const HistoryView = ({ transactions, usdIdr, displaySymbol, onDeleteTransaction
         </table>
     </div>
 );
-const BalanceManager = ({ onConfirm }) => { const [amount, setAmount] = useState(''); return ( <form onSubmit={(e) => { e.preventDefault(); onConfirm(amount); }} className="space-y-4"> <div><label className="block text-sm font-medium mb-1 text-gray-400">Amount (dalam Rupiah)</label><input type="number" step="any" value={amount} onChange={e => setAmount(e.target.value)} autoFocus className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white" placeholder="e.g. 1000000" /></div> <button type="submit" className="w-full py-2.5 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Confirm</button> </form> ); };
-const ManagePortfolioSheet = ({ onAddBalance, onWithdraw, onClearAll, onExport, onImport }) => ( <div className="p-4 text-white text-sm"> <h3 className="text-base font-semibold mb-4 px-2">Manage Portfolio</h3> <div className="space-y-1"> <button onClick={onAddBalance} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Add Balance</button> <button onClick={onWithdraw} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Withdraw</button> <div className="border-t border-zinc-700 my-2"></div> <button onClick={onExport} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Export as CSV</button> <button onClick={onImport} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Import from CSV</button> <div className="border-t border-zinc-700 my-2"></div> <button onClick={onClearAll} className="w-full text-left p-2 rounded hover:bg-red-700/20 text-red-400">Erase all data</button> </div> </div> );
-const AddAssetForm = ({ searchMode, setSearchMode, query, setQuery, suggestions, setSelectedSuggestion, addAssetWithInitial, addNonLiquidAsset, nlName, setNlName, nlQty, setNlQty, nlPrice, setNlPrice, nlPriceCcy, setNlPriceCcy, nlPurchaseDate, setNlPurchaseDate, nlYoy, setNlYoy, nlDesc, setNlDesc, displaySymbol, handleSetWatchedAsset, watchedAssetIds }) => {
-    const [shares, setShares] = useState(''); const [price, setPrice] = useState(''); const [total, setTotal] = useState('');
+// Field yang bisa diedit tergantung tipe transaksi. Harga & fee diisi dalam mata uang tampilan pada kurs tanggal
+// transaksi (tanggal baru bila diubah), nominal kas dalam mata uang kasnya.
+const TransactionEditForm = ({ tx, display, displayAt, usdIdr, rateAt, onSave }) => {
+    const isRights = tx.type === 'corporate_action' && tx.action === 'rights';
+    const hasQty = ['buy', 'sell', 'delete', 'stock_dividend', 'staking', 'position_open', 'position_close'].includes(tx.type) || isRights;
+    const hasPrice = ['buy', 'sell', 'delete', 'staking', 'appraisal', 'position_open', 'position_close'].includes(tx.type) || isRights;
+    const hasFees = ['buy', 'sell', 'delete', 'position_open', 'position_close'].includes(tx.type);
+    const hasAmount = tx.type === 'deposit' || tx.type === 'withdraw' || CASH_INCOME_TYPES.includes(tx.type) || (TRANSFER_TYPES.includes(tx.type) && !tx.assetId) || tx.type === 'liability_open' || tx.type === 'liability_payment';
+    const txDisplay = displayAt(tx.date);
+    const initial = {
+        date: toLocalInputValue(tx.date), qty: hasQty ? String(tx.qty) : '', amount: hasAmount ? String(tx.amount) : '',
+        price: hasPrice ? String(+toDisplay(toNum(tx.pricePerUnit), true, txDisplay, usdIdr).toFixed(8)) : '',
+        fee: hasFees ? String(+toDisplay(toNum(tx.fee), true, txDisplay, usdIdr).toFixed(8)) : '', tax: hasFees ? String(+toDisplay(toNum(tx.tax), true, txDisplay, usdIdr).toFixed(8)) : '',
+        ratioTo: String(tx.ratioTo ?? ''), ratioFrom: String(tx.ratioFrom ?? ''), ratio: String(tx.ratio ?? ''), note: tx.note || '',
+        fromAmount: String(tx.fromAmount ?? ''), toAmount: String(tx.toAmount ?? ''),
+    };
+    const [form, setForm] = useState(initial);
+    const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+    const changed = (field) => form[field] !== initial[field];
+    const submit = (e) => {
+        e.preventDefault();
+        const date = new Date(form.date).getTime();
+        if (!isFinite(date)) { alert("Invalid date."); return; }
+        if (date > Date.now()) { alert("Date cannot be in the future."); return; }
+        const changes = { note: form.note.trim() || undefined };
+        if (changed('date')) { changes.date = date; if (tx.fxRate) changes.fxRate = rateAt(date); }
+        const fxRate = changes.fxRate || toNum(tx.fxRate) || usdIdr; const dateDisplay = displayAt(date);
+        if (hasQty) { changes.qty = toNum(form.qty); if (changes.qty <= 0) { alert("Quantity must be greater than zero."); return; } }
+        if (hasAmount) { changes.amount = toNum(form.amount); if (changes.amount <= 0) { alert("Amount must be greater than zero."); return; } }
+        if (hasPrice) {
+            const priceUSD = changed('price') ? fromDisplay(toNum(form.price), dateDisplay) : toNum(tx.pricePerUnit);
+            if (priceUSD <= 0) { alert("Price must be greater than zero."); return; }
+            changes.pricePerUnit = priceUSD;
+            if (tx.type === 'buy' || isRights) changes.cost = changes.qty * priceUSD;
+            if (tx.type === 'sell' || tx.type === 'delete') changes.proceeds = changes.qty * priceUSD;
+            if (tx.type === 'staking') changes.amount = changes.qty * priceUSD * fxRate;
+            if (tx.type === 'position_open') changes.margin = changes.qty * priceUSD / (toNum(tx.leverage) || 1);
+        }
+        if (hasFees) {
+            changes.fee = changed('fee') ? fromDisplay(toNum(form.fee), dateDisplay) : toNum(tx.fee);
+            changes.tax = changed('tax') ? fromDisplay(toNum(form.tax), dateDisplay) : toNum(tx.tax);
+            if (changes.fee < 0 || changes.tax < 0) { alert("Fees cannot be negative."); return; }
+        }
+        if (tx.type === 'split') {
+            changes.ratioTo = toNum(form.ratioTo); changes.ratioFrom = toNum(form.ratioFrom);
+            if (changes.ratioTo <= 0 || changes.ratioFrom <= 0) { alert("Split ratio must be positive."); return; }
+        }
+        if (tx.action === 'merger') { changes.ratio = toNum(form.ratio); if (changes.ratio <= 0) { alert("Merger ratio must be positive."); return; } }
+        if (tx.type === 'fx_convert') {
+            changes.fromAmount = toNum(form.fromAmount); changes.toAmount = toNum(form.toAmount);
+            if (changes.fromAmount <= 0 || changes.toAmount <= 0) { alert("Amounts must be greater than zero."); return; }
+        }
+        onSave(tx.id, changes);
+    };
+    const input = "w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white";
+    const label = "block text-sm font-medium mb-1 text-gray-400";
+    return (
+        <form onSubmit={submit} className="space-y-4">
+            {tx.symbol && <div className="text-sm text-gray-300"><strong className="text-white">{tx.symbol}</strong>{tx.name && tx.name !== tx.symbol ? ` · ${tx.name}` : ''}</div>}
+            <div><label className={label}>Date &amp; time</label><input type="datetime-local" value={form.date} max={toLocalInputValue(Date.now())} onChange={set('date')} className={input} /></div>
+            {(hasQty || hasPrice) && <div className="grid grid-cols-2 gap-3">
+                {hasQty && <div><label className={label}>Quantity</label><input type="number" step="any" value={form.qty} onChange={set('qty')} className={input} /></div>}
+                {hasPrice && <div><label className={label}>Price ({display.code})</label><input type="number" step="any" value={form.price} onChange={set('price')} className={input} /></div>}
+            </div>}
+            {hasFees && <div className="grid grid-cols-2 gap-3">
+                <div><label className={label}>Fee ({display.code})</label><input type="number" step="any" value={form.fee} onChange={set('fee')} className={input} /></div>
+                <div><label className={label}>Tax ({display.code})</label><input type="number" step="any" value={form.tax} onChange={set('tax')} className={input} /></div>
+            </div>}
+            {tx.type === 'fx_convert' && <div className="grid grid-cols-2 gap-3">
+                <div><label className={label}>Amount ({tx.fromCurrency})</label><input type="number" step="any" value={form.fromAmount} onChange={set('fromAmount')} className={input} /></div>
+                <div><label className={label}>Received ({tx.toCurrency})</label><input type="number" step="any" value={form.toAmount} onChange={set('toAmount')} className={input} /></div>
+            </div>}
+            {hasAmount && <div><label className={label}>Amount ({cashCurrencyOf(tx)})</label><input type="number" step="any" value={form.amount} onChange={set('amount')} className={input} /></div>}
+            {tx.type === 'split' && <div className="grid grid-cols-2 gap-3">
+                <div><label className={label}>New shares</label><input type="number" step="any" value={form.ratioTo} onChange={set('ratioTo')} className={input} /></div>
+                <div><label className={label}>Per shares held</label><input type="number" step="any" value={form.ratioFrom} onChange={set('ratioFrom')} className={input} /></div>
+            </div>}
+            {tx.action === 'merger' && <div><label className={label}>New shares per share held</label><input type="number" step="any" value={form.ratio} onChange={set('ratio')} className={input} /></div>}
+            <div><label className={label}>Notes</label><input type="text" value={form.note} onChange={set('note')} placeholder="Optional" className={input} /></div>
+            <button type="submit" className="w-full py-2.5 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Save Changes</button>
+        </form>
+    );
+};
+const BalanceManager = ({ cashBalances = {}, onConfirm }) => { const [amount, setAmount] = useState(''); const [currency, setCurrency] = useState('IDR'); const [date, setDate] = useState(() => toLocalInputValue(Date.now())); return ( <form onSubmit={(e) => { e.preventDefault(); onConfirm(amount, new Date(date).getTime() || Date.now(), currency); }} className="space-y-4"> <div className="flex gap-2">{CASH_CURRENCIES.map(c => <button type="button" key={c} onClick={() => setCurrency(c)} className={`flex-1 py-2 rounded text-sm font-semibold ${currency === c ? 'bg-zinc-600 text-white' : 'bg-zinc-800 text-gray-400'}`}>{c}</button>)}</div> <div><label className="block text-sm font-medium mb-1 text-gray-400">Amount ({currency}) <span className="text-gray-500 font-normal">· balance {formatCash(toNum(cashBalances[currency]), currency)}</span></label><input type="number" step="any" value={amount} onChange={e => setAmount(e.target.value)} autoFocus className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white" placeholder={currency === 'IDR' ? 'e.g. 1000000' : 'e.g. 100'} /></div> <div><label className="block text-sm font-medium mb-1 text-gray-400">Date &amp; time</label><input type="datetime-local" value={date} max={toLocalInputValue(Date.now())} onChange={e => setDate(e.target.value)} className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white" /></div> <button type="submit" className="w-full py-2.5 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Confirm</button> </form> ); };
+// Konversi kas antar mata uang. Jumlah diterima terisi otomatis dengan kurs pasar, bisa diubah sesuai kurs broker/exchange.
+const FxConvertForm = ({ cashBalances = {}, usdIdr, onConfirm }) => {
+    const [fromCurrency, setFromCurrency] = useState('IDR'); const [toCurrency, setToCurrency] = useState('USD');
+    const [fromAmount, setFromAmount] = useState(''); const [toAmount, setToAmount] = useState(''); const [note, setNote] = useState('');
+    const [date, setDate] = useState(() => toLocalInputValue(Date.now()));
+    const quote = (amount, from, to) => { const v = toNum(amount) * cashRate(from, to, usdIdr); return v > 0 ? String(+v.toFixed(to === 'IDR' ? 0 : 6)) : ''; };
+    const changeFrom = (c) => { const to = c === toCurrency ? fromCurrency : toCurrency; setFromCurrency(c); setToCurrency(to); setToAmount(quote(fromAmount, c, to)); };
+    const changeTo = (c) => { const from = c === fromCurrency ? toCurrency : fromCurrency; setToCurrency(c); setFromCurrency(from); setToAmount(quote(fromAmount, from, c)); };
+    const implied = toNum(fromAmount) > 0 && toNum(toAmount) > 0 ? toNum(toAmount) / toNum(fromAmount) : 0;
+    const inputClass = "w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white";
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); if (onConfirm({ fromCurrency, toCurrency, fromAmount, toAmount, date: new Date(date).getTime() || Date.now(), note })) { setFromAmount(''); setToAmount(''); setNote(''); } }} className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                <div><label className="block text-sm font-medium mb-1 text-gray-400">From</label><select value={fromCurrency} onChange={e => changeFrom(e.target.value)} className={inputClass}>{CASH_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}</select><p className="text-xs text-gray-500 mt-1">Balance {formatCash(toNum(cashBalances[fromCurrency]), fromCurrency)}</p></div>
+                <div><label className="block text-sm font-medium mb-1 text-gray-400">To</label><select value={toCurrency} onChange={e => changeTo(e.target.value)} className={inputClass}>{CASH_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+                <div><label className="block text-sm font-medium mb-1 text-gray-400">Amount ({fromCurrency})</label><input type="number" step="any" value={fromAmount} onChange={e => { setFromAmount(e.target.value); setToAmount(quote(e.target.value, fromCurrency, toCurrency)); }} className={inputClass} /></div>
+                <div><label className="block text-sm font-medium mb-1 text-gray-400">Received ({toCurrency})</label><input type="number" step="any" value={toAmount} onChange={e => setToAmount(e.target.value)} className={inputClass} /></div>
+            </div>
+            {implied > 0 && <p className="text-xs text-gray-500">Rate 1 {fromCurrency} = {+implied.toFixed(toCurrency === 'IDR' ? 2 : 8)} {toCurrency} (market {+cashRate(fromCurrency, toCurrency, usdIdr).toFixed(toCurrency === 'IDR' ? 2 : 8)})</p>}
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">Date &amp; time</label><input type="datetime-local" value={date} max={toLocalInputValue(Date.now())} onChange={e => setDate(e.target.value)} className={inputClass} /></div>
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">Note</label><input type="text" value={note} onChange={e => setNote(e.target.value)} className={inputClass} placeholder="e.g. bank FX, P2P on exchange" /></div>
+            <button type="submit" className="w-full py-2.5 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Convert</button>
+        </form>
+    );
+};
+// Transfer kas atau unit aset antar akun. Daftar aset diambil dari kepemilikan akun asal pada tanggal transfer.
+const TransferForm = ({ portfolios, defaultFromId, holdingsOf, onConfirm }) => {
+    const [fromId, setFromId] = useState(defaultFromId); const [toId, setToId] = useState(() => portfolios.find(p => p.id !== defaultFromId)?.id || '');
+    const [kind, setKind] = useState('cash'); const [assetId, setAssetId] = useState(''); const [value, setValue] = useState(''); const [note, setNote] = useState(''); const [currency, setCurrency] = useState('IDR');
+    const [date, setDate] = useState(() => toLocalInputValue(Date.now()));
+    const timestamp = new Date(date).getTime() || Date.now();
+    const holdings = useMemo(() => kind === 'asset' ? holdingsOf(fromId, timestamp) : [], [kind, fromId, timestamp, holdingsOf]);
+    const asset = holdings.find(a => a.id === assetId);
+    const inputClass = "w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white";
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); if (onConfirm({ fromId, toId, assetId: kind === 'asset' ? assetId : undefined, qty: value, amount: value, currency, date: timestamp, note })) { setValue(''); setNote(''); } }} className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+                <div><label className="block text-sm font-medium mb-1 text-gray-400">From</label><select value={fromId} onChange={e => { setFromId(e.target.value); setAssetId(''); }} className={inputClass}>{portfolios.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}</select></div>
+                <div><label className="block text-sm font-medium mb-1 text-gray-400">To</label><select value={toId} onChange={e => setToId(e.target.value)} className={inputClass}>{portfolios.filter(p => p.id !== fromId).map(p => <option key={p.id} value={p.id}>{p.name}</option>)}</select></div>
+            </div>
+            <div className="flex gap-2">{[['cash', 'Cash'], ['asset', 'Asset units']].map(([key, label]) => <button type="button" key={key} onClick={() => { setKind(key); setValue(''); }} className={`flex-1 py-2 rounded text-sm font-semibold ${kind === key ? 'bg-zinc-600 text-white' : 'bg-zinc-800 text-gray-400'}`}>{label}</button>)}</div>
+            {kind === 'cash' && <div className="flex gap-2">{CASH_CURRENCIES.map(c => <button type="button" key={c} onClick={() => setCurrency(c)} className={`flex-1 py-1.5 rounded text-xs font-semibold ${currency === c ? 'bg-zinc-600 text-white' : 'bg-zinc-800 text-gray-400'}`}>{c}</button>)}</div>}
+            {kind === 'asset' && <div><label className="block text-sm font-medium mb-1 text-gray-400">Asset</label><select value={assetId} onChange={e => setAssetId(e.target.value)} className={inputClass}><option value="">Select asset...</option>{holdings.map(a => <option key={a.id} value={a.id}>{a.symbol} · {formatQty(a.shares)} held</option>)}</select></div>}
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">{kind === 'cash' ? `Amount (${currency})` : `Units${asset ? ` (max ${formatQty(asset.shares)})` : ''}`}</label><input type="number" step="any" value={value} onChange={e => setValue(e.target.value)} className={inputClass} /></div>
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">Date &amp; time</label><input type="datetime-local" value={date} max={toLocalInputValue(Date.now())} onChange={e => setDate(e.target.value)} className={inputClass} /></div>
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">Note</label><input type="text" value={note} onChange={e => setNote(e.target.value)} className={inputClass} placeholder="e.g. bank → broker, exchange → cold wallet" /></div>
+            <p className="text-xs text-gray-500">Transfers keep the original cost basis and purchase dates and are not counted as deposits or withdrawals.</p>
+            <button type="submit" className="w-full py-2.5 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Confirm</button>
+        </form>
+    );
+};
+// Transaksi terjadwal yang sudah jatuh tempo: konfirmasi (dicatat dengan quote terakhir) atau skip.
+const PendingSchedulePanel = ({ pending, quoteOf, display, usdIdr, onConfirm, onSkip }) => (
+    <section className="px-4 pt-4">
+        <div className="glass-card p-3 text-xs space-y-2">
+            <p className="text-sm font-semibold text-white">{pending.length} scheduled transaction{pending.length > 1 ? 's' : ''} due</p>
+            {pending.map(item => { const quote = quoteOf(item.schedule); return (
+                <div key={`${item.schedule.id}:${item.dueDate}`} className="flex justify-between items-center gap-2 border-t border-white/10 pt-2">
+                    <div className="min-w-0"><div className="text-gray-200 truncate">{describeSchedule(item.schedule)}</div><div className="text-gray-500">Due {new Date(item.dueDate).toLocaleDateString()}{quote ? (quote.priceUSD <= 0 ? ' · no quote yet' : quote.qty > 0 ? ` · ${formatQty(quote.qty)} @ ${formatCurrency(quote.priceUSD, true, display, usdIdr)}` : ` · below one ${tradeUnitLabel(item.schedule.assetStub)}, will be skipped`) : ''}</div></div>
+                    <div className="flex gap-3 flex-shrink-0"><button onClick={() => onSkip(item)} className="text-gray-400 hover:text-white">Skip</button><button onClick={() => onConfirm(item)} className="font-semibold text-emerald-400 hover:text-emerald-300">Confirm</button></div>
+                </div>); })}
+        </div>
+    </section>
+);
+// Ringkasan drift di dashboard; muncul bila target lengkap dan ada bucket di luar band.
+const DriftPanel = ({ drift, onReview }) => (
+    <section className="px-4 pt-4">
+        <div className="glass-card p-3 text-xs flex justify-between items-center gap-3">
+            <div className="min-w-0"><p className="text-sm font-semibold text-white">Allocation has drifted from target</p>
+                <p className="text-gray-400 truncate">{drift.buckets.filter(b => b.outOfBand).map(b => `${b.label} ${b.drift >= 0 ? '+' : ''}${(b.drift * 100).toFixed(1)}%`).join(' · ')}</p></div>
+            <button onClick={onReview} className="flex-shrink-0 font-semibold text-emerald-400 hover:text-emerald-300">Rebalance</button>
+        </div>
+    </section>
+);
+
+// Target alokasi + drift + usulan order. Order dicatat sebagai transaksi buy/sell sungguhan pada harga terakhir.
+const RebalanceView = ({ config, onChange, drift, proposal, assets, display, usdIdr, onExecute }) => {
+    const set = (patch) => onChange({ ...config, ...patch });
+    const setTarget = (key, value) => set({ targets: { ...config.targets, [key]: value } });
+    const setMode = (mode) => { if (mode !== config.mode) set({ mode, targets: config.targetsByMode?.[mode] || {}, targetsByMode: { ...config.targetsByMode, [config.mode]: config.targets } }); };
+    const groupNames = [...new Set(Object.values(config.groups || {}).map(g => String(g).trim()).filter(Boolean))];
+    const [newBucket, setNewBucket] = useState('');
+    // Mode aset: cari aset yang belum dimiliki untuk diberi target.
+    const [assetQuery, setAssetQuery] = useState(''); const [assetSearchMode, setAssetSearchMode] = useState('stock'); const [assetSuggestions, setAssetSuggestions] = useState([]);
+    useEffect(() => {
+        const q = assetQuery.trim(); if (q.length < 2) { setAssetSuggestions([]); return; }
+        let cancelled = false;
+        const id = setTimeout(async () => {
+            try { const list = await searchAssetSuggestions(q, assetSearchMode); if (!cancelled) setAssetSuggestions(list); }
+            catch (e) { console.error("Search failed:", e); if (!cancelled) setAssetSuggestions([]); }
+        }, 400);
+        return () => { cancelled = true; clearTimeout(id); };
+    }, [assetQuery, assetSearchMode]);
+    const addTargetAsset = (suggestion) => {
+        const stub = suggestionStub(suggestion);
+        set({ targets: { ...config.targets, [stub.id]: config.targets?.[stub.id] ?? '' }, assetStubs: assets.some(a => a.id === stub.id) ? config.assetStubs : { ...config.assetStubs, [stub.id]: stub } });
+        setAssetQuery(''); setAssetSuggestions([]);
+    };
+    const removeBucket = (key) => set({ targets: omitKey(config.targets || {}, key), assetStubs: omitKey(config.assetStubs || {}, key) });
+    const fmt = (idr) => formatCurrency(idr, false, display, usdIdr);
+    const pct = (v) => `${(v * 100).toFixed(1)}%`;
+    const inputClass = "bg-zinc-800 px-2 py-1 rounded border border-zinc-700 text-white text-right";
+    return (
+        <div className="p-1 space-y-5 text-sm">
+            <div className="flex flex-wrap items-center gap-3 text-xs">
+                <div className="flex gap-1">{ALLOCATION_MODES.map(m => <button key={m.key} onClick={() => setMode(m.key)} className={`px-3 py-1 rounded-full ${config.mode === m.key ? 'bg-zinc-700 text-white' : 'text-gray-400'}`}>{m.label}</button>)}</div>
+                <label className="flex items-center gap-2 text-gray-400">Drift band ±<input type="number" min="0" step="0.5" value={config.band} onChange={e => set({ band: e.target.value })} className={`w-14 ${inputClass}`} />%</label>
+                <label className="flex items-center gap-2 text-gray-400"><input type="checkbox" checked={!!config.noSells} onChange={e => set({ noSells: e.target.checked })} />No sells, only use available cash</label>
+            </div>
+            {config.mode === 'group' && <div>
+                <h4 className="font-semibold text-white mb-1">Groups</h4>
+                <datalist id="allocation-groups">{groupNames.map(g => <option key={g} value={g} />)}</datalist>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 text-xs">{assets.filter(a => a.shares > 0).map(a => (
+                    <label key={a.id} className="flex items-center gap-2"><span className="w-20 truncate text-gray-300">{a.symbol}</span><input list="allocation-groups" value={config.groups?.[a.id] || ''} placeholder="Ungrouped" onChange={e => set({ groups: { ...config.groups, [a.id]: e.target.value } })} className="flex-1 min-w-0 bg-zinc-800 px-2 py-1 rounded border border-zinc-700 text-white" /></label>))}</div>
+            </div>}
+            <div>
+                <table className="w-full text-xs">
+                    <thead className="text-left text-gray-500"><tr><th className="p-2 font-normal">{config.mode === 'asset' ? 'Asset' : config.mode === 'type' ? 'Type' : 'Group'}</th><th className="p-2 font-normal text-right">Value</th><th className="p-2 font-normal text-right">Current</th><th className="p-2 font-normal text-right">Target %</th><th className="p-2 font-normal text-right">Drift</th></tr></thead>
+                    <tbody>{drift.buckets.map(b => <tr key={b.key} className="border-t border-white/10">
+                        <td className="p-2 text-white">{b.label}{b.value === 0 && b.key !== CASH_BUCKET && <button onClick={() => removeBucket(b.key)} title="Remove target" className="ml-2 text-gray-500 hover:text-white">&times;</button>}</td>
+                        <td className="p-2 text-right text-gray-300">{fmt(b.value)}</td>
+                        <td className="p-2 text-right text-gray-300">{pct(b.weight)}</td>
+                        <td className="p-2 text-right"><input type="number" min="0" max="100" step="any" value={config.targets?.[b.key] ?? ''} placeholder="0" onChange={e => setTarget(b.key, e.target.value)} className={`w-16 ${inputClass}`} /></td>
+                        <td className={`p-2 text-right font-semibold ${!b.outOfBand ? 'text-gray-400' : b.drift > 0 ? 'text-amber-400' : 'text-sky-400'}`}>{b.drift >= 0 ? '+' : ''}{(b.drift * 100).toFixed(1)}%</td>
+                    </tr>)}</tbody>
+                </table>
+                <div className="flex justify-between items-center mt-2 text-xs">
+                    {config.mode === 'group' ? <span className="flex items-center gap-2"><input value={newBucket} onChange={e => setNewBucket(e.target.value)} placeholder="New group" className="bg-zinc-800 px-2 py-1 rounded border border-zinc-700 text-white" /><button onClick={() => { const name = newBucket.trim(); if (name) { setTarget(name, config.targets?.[name] ?? ''); setNewBucket(''); } }} className="text-emerald-400">Add</button></span>
+                    : config.mode === 'asset' ? <span className="relative flex items-center gap-2"><select value={assetSearchMode} onChange={e => setAssetSearchMode(e.target.value)} className="bg-zinc-800 px-2 py-1 rounded border border-zinc-700 text-white"><option value="stock">Stock</option><option value="crypto">Crypto</option></select><input value={assetQuery} onChange={e => setAssetQuery(e.target.value)} placeholder="Add asset you don't hold" className="bg-zinc-800 px-2 py-1 rounded border border-zinc-700 text-white" />
+                        {assetSuggestions.length > 0 && <div className="absolute left-0 top-full z-50 mt-1 w-72 glass-card max-h-56 overflow-auto">{assetSuggestions.map((sg, i) => <button key={i} onClick={() => addTargetAsset(sg)} className="w-full px-3 py-2 text-left hover:bg-white/10"><div className="text-gray-100 truncate">{sg.display}</div>{sg.exchange && <div className="text-gray-500">{sg.exchange}</div>}</button>)}</div>}</span>
+                    : <span />}
+                    <span className={drift.complete ? 'text-gray-400' : 'text-amber-400'}>Targets total {drift.targetTotal.toFixed(1)}%{drift.complete ? '' : ' (must be 100%)'}</span>
+                </div>
+            </div>
+            <div>
+                <h4 className="font-semibold text-white mb-1">Proposed orders</h4>
+                {!drift.complete ? <p className="text-xs text-gray-500">Set targets that add up to 100% to see orders.</p>
+                : proposal.orders.length === 0 ? <p className="text-xs text-gray-500">Nothing to do: every bucket is within its band.</p>
+                : <div className="space-y-2">{proposal.orders.map((o, i) => (
+                    <div key={`${o.side}:${o.asset.id}:${i}`} className="flex justify-between items-center gap-2 border-t border-white/10 pt-2 text-xs">
+                        <div className="min-w-0"><div className="text-white"><span className={`font-semibold ${o.side === 'buy' ? 'text-emerald-400' : 'text-red-400'}`}>{o.side === 'buy' ? 'Buy' : 'Sell'}</span> {formatQty(o.qty)} {o.asset.symbol}{feeMarketOf(o.asset) === 'idx' && o.qty % IDX_LOT_SIZE === 0 ? ` (${o.qty / IDX_LOT_SIZE} lot)` : ''}</div>
+                            <div className="text-gray-500">≈ {fmt(o.valueIDR)} @ {formatCurrency(o.priceUSD, true, display, usdIdr)} · {o.side === 'buy' ? 'pay with' : 'receive in'} {o.cashCurrency} · {o.bucket}</div></div>
+                        <button onClick={() => onExecute(o)} className="flex-shrink-0 font-semibold text-emerald-400 hover:text-emerald-300">Record</button>
+                    </div>))}</div>}
+                {proposal.notes.map(n => <p key={n} className="text-[11px] text-gray-500 mt-2">{n}</p>)}
+                <p className="text-[11px] text-gray-500 mt-2">Orders use the latest price and your default broker fees, rounded down to whole units (IDX: {IDX_LOT_SIZE}-share lots).</p>
+            </div>
+        </div>
+    );
+};
+
+// Kelola jadwal berulang + proyeksi arus kas 12 bulan ke depan (nominal dalam IDR).
+const ScheduleManager = ({ schedules, assets, portfolios, showPortfolio, display, usdIdr, onAdd, onUpdate, onDelete }) => {
+    const emptyForm = { kind: 'buy', assetId: '', amount: '', frequency: 'monthly', day: '25', startDate: toLocalInputValue(Date.now()) };
+    const [form, setForm] = useState(emptyForm); const [isAdding, setIsAdding] = useState(false);
+    const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+    const projection = useMemo(() => projectScheduleCashFlows(schedules), [schedules]);
+    const fmt = (idr) => formatCurrency(idr, false, display, usdIdr);
+    const inputClass = "w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white";
+    return (
+        <div className="p-1 max-h-[70vh] overflow-y-auto space-y-4 text-sm">
+            {schedules.length === 0 && <p className="text-center text-gray-500 py-4">No recurring transactions yet.</p>}
+            {schedules.map(sc => { const next = nextOccurrence(sc); return (
+                <div key={sc.id} className="glass-card p-3 flex justify-between items-center gap-3">
+                    <div className="min-w-0"><div className={`truncate ${sc.paused ? 'text-gray-500' : 'text-white'}`}>{describeSchedule(sc)}</div><div className="text-xs text-gray-500">{showPortfolio ? `${portfolios.find(p => p.id === sc.portfolioId)?.name} · ` : ''}{sc.paused ? 'Paused' : next ? `Next ${new Date(next).toLocaleDateString()}` : 'No upcoming dates'}</div></div>
+                    <div className="flex gap-3 text-xs flex-shrink-0"><button onClick={() => onUpdate(sc.id, { paused: !sc.paused })} className="text-gray-400 hover:text-white">{sc.paused ? 'Resume' : 'Pause'}</button><button onClick={() => onDelete(sc.id)} className="text-red-500 hover:text-red-400"><TrashIcon className="w-4 h-4" /></button></div>
+                </div>); })}
+            {!isAdding ? <button onClick={() => setIsAdding(true)} className="w-full py-2 rounded bg-zinc-800 hover:bg-zinc-700 text-gray-300">+ Add schedule</button> : (
+            <form onSubmit={(e) => { e.preventDefault(); if (onAdd(form)) { setForm(emptyForm); setIsAdding(false); } }} className="glass-card p-3 grid grid-cols-2 gap-2">
+                <div><label className="text-xs text-gray-400">Type</label><select value={form.kind} onChange={set('kind')} className={inputClass}>{SCHEDULE_KINDS.map(k => <option key={k.key} value={k.key}>{k.label}</option>)}</select></div>
+                {form.kind === 'buy' ? <div><label className="text-xs text-gray-400">Asset</label><select value={form.assetId} onChange={set('assetId')} className={inputClass}><option value="">Select asset...</option>{assets.filter(a => a.type !== 'nonliquid').map(a => <option key={a.id} value={a.id}>{a.symbol}</option>)}</select></div> : <div />}
+                <div><label className="text-xs text-gray-400">Amount per run (IDR)</label><input type="number" step="any" value={form.amount} onChange={set('amount')} className={inputClass} placeholder="e.g. 1000000" /></div>
+                <div><label className="text-xs text-gray-400">Frequency</label><select value={form.frequency} onChange={set('frequency')} className={inputClass}>{SCHEDULE_FREQUENCIES.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}</select></div>
+                {form.frequency === 'monthly' && <div><label className="text-xs text-gray-400">Day of month</label><input type="number" min="1" max="31" value={form.day} onChange={set('day')} className={inputClass} /></div>}
+                <div><label className="text-xs text-gray-400">Starting</label><input type="datetime-local" value={form.startDate} onChange={set('startDate')} className={inputClass} /></div>
+                <div className="col-span-2 flex gap-2"><button type="button" onClick={() => setIsAdding(false)} className="flex-1 py-2 rounded bg-zinc-800 text-gray-400">Cancel</button><button type="submit" className="flex-1 py-2 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Add Schedule</button></div>
+            </form>)}
+            {projection.length > 0 && <div>
+                <p className="text-sm font-semibold text-white mb-2">Projected cash flows (next 12 months)</p>
+                <table className="w-full text-xs"><thead className="text-gray-500"><tr><th className="text-left p-1">Month</th><th className="text-right p-1">Deposits</th><th className="text-right p-1">Withdrawals</th><th className="text-right p-1">DCA buys</th><th className="text-right p-1">Net cash</th><th className="text-right p-1">Cumulative</th></tr></thead>
+                <tbody>{projection.map(r => <tr key={r.month} className="border-t border-white/5 text-gray-300"><td className="p-1">{new Date(`${r.month}-01T00:00:00`).toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}</td><td className="p-1 text-right text-emerald-400">{fmt(r.deposits)}</td><td className="p-1 text-right text-red-400">{fmt(r.withdrawals)}</td><td className="p-1 text-right">{fmt(r.buys)}</td><td className={`p-1 text-right ${r.net >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{fmt(r.net)}</td><td className="p-1 text-right">{fmt(r.cumulativeCash)}</td></tr>)}</tbody></table>
+                <p className="text-xs text-gray-500 mt-2">DCA buys move cash into the scheduled assets; they do not change total equity.</p>
+            </div>}
+        </div>
+    );
+};
+// Daftar utang beserta saldo berjalan, jadwal angsuran kontrak, form pembayaran dan form utang baru (nominal dalam IDR).
+const LiabilityManager = ({ liabilities, display, usdIdr, onAdd, onPayment }) => {
+    const [openId, setOpenId] = useState(null); const [payingId, setPayingId] = useState(null);
+    const [payment, setPayment] = useState({ amount: '', date: toLocalInputValue(Date.now()), fromCash: false });
+    const emptyForm = { name: '', liabilityKind: 'mortgage', principal: '', interestRate: '', termMonths: '', amortization: 'annuity', startDate: toLocalInputValue(Date.now()), toCash: false };
+    const [form, setForm] = useState(emptyForm); const [isAdding, setIsAdding] = useState(false);
+    const set = (field) => (e) => { const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value; setForm(f => ({ ...f, [field]: value })); };
+    const fmt = (idr) => formatCurrency(idr, false, display, usdIdr);
+    const inputClass = "w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white";
+    const startPayment = (l, schedule) => { const next = schedule.find(r => r.date > Date.now()); setPayingId(l.id); setPayment({ amount: next ? String(Math.round(next.payment)) : '', date: toLocalInputValue(Date.now()), fromCash: l.liabilityKind === 'margin' }); };
+    return (
+        <div className="p-1 max-h-[70vh] overflow-y-auto space-y-3 text-sm">
+            {liabilities.length === 0 && <p className="text-center text-gray-500 py-4">No liabilities recorded.</p>}
+            {liabilities.map(l => {
+                const schedule = amortizationSchedule(l); const next = schedule.find(r => r.date > Date.now()); const balance = liabilityBalanceAt(l);
+                return (
+                <div key={l.id} className="glass-card p-3">
+                    <div className="flex justify-between items-start">
+                        <div><div className="font-semibold text-white">{l.name}</div><div className="text-xs text-gray-400">{LIABILITY_KINDS.find(k => k.key === l.liabilityKind)?.label} · {l.interestRate}%/yr · {AMORTIZATION_TYPES.find(a => a.key === l.amortization)?.label}</div></div>
+                        <div className="text-right"><div className={`font-semibold ${balance > 0.5 ? 'text-red-400' : 'text-emerald-400'}`}>{balance > 0.5 ? `−${fmt(balance)}` : 'Paid off'}</div><div className="text-xs text-gray-500">of {fmt(l.principal)}</div></div>
+                    </div>
+                    <div className="w-full bg-zinc-700 rounded-full h-1.5 mt-2"><div className="h-1.5 rounded-full bg-emerald-500" style={{ width: `${Math.min(100, l.principal > 0 ? (l.principalPaid / l.principal) * 100 : 0)}%` }}></div></div>
+                    <div className="flex justify-between text-xs text-gray-400 mt-2"><span>Interest paid {fmt(l.interestPaid)}</span>{next && balance > 0.5 && <span>Next {fmt(next.payment)} on {new Date(next.date).toLocaleDateString()}</span>}</div>
+                    <div className="flex gap-3 mt-2 text-xs">{balance > 0.5 && <button onClick={() => payingId === l.id ? setPayingId(null) : startPayment(l, schedule)} className="text-emerald-400 hover:text-emerald-300">Record payment</button>}<button onClick={() => setOpenId(openId === l.id ? null : l.id)} className="text-gray-400 hover:text-white">{openId === l.id ? 'Hide schedule' : 'Schedule'}</button></div>
+                    {payingId === l.id && <form onSubmit={(e) => { e.preventDefault(); if (onPayment(l, payment.amount, new Date(payment.date).getTime() || Date.now(), payment.fromCash)) setPayingId(null); }} className="mt-3 grid grid-cols-2 gap-2 border-t border-white/10 pt-3">
+                        <div><label className="text-xs text-gray-400">Amount (IDR)</label><input type="number" step="any" value={payment.amount} onChange={e => setPayment(p => ({ ...p, amount: e.target.value }))} className={inputClass} /></div>
+                        <div><label className="text-xs text-gray-400">Date</label><input type="datetime-local" value={payment.date} max={toLocalInputValue(Date.now())} onChange={e => setPayment(p => ({ ...p, date: e.target.value }))} className={inputClass} /></div>
+                        <label className="col-span-2 flex items-center gap-2 text-xs text-gray-400"><input type="checkbox" checked={payment.fromCash} onChange={e => setPayment(p => ({ ...p, fromCash: e.target.checked }))} />Pay from trading balance</label>
+                        <button type="submit" className="col-span-2 py-2 rounded font-semibold text-white text-sm bg-zinc-700 hover:bg-zinc-600">Save Payment</button>
+                    </form>}
+                    {openId === l.id && <table className="w-full text-xs mt-3"><thead className="text-gray-500"><tr><th className="text-left p-1">#</th><th className="text-left p-1">Due</th><th className="text-right p-1">Payment</th><th className="text-right p-1">Interest</th><th className="text-right p-1">Principal</th><th className="text-right p-1">Balance</th></tr></thead><tbody>{schedule.map(r => <tr key={r.n} className={`border-t border-white/5 ${r.date <= Date.now() ? 'text-gray-500' : 'text-gray-300'}`}><td className="p-1">{r.n}</td><td className="p-1">{new Date(r.date).toLocaleDateString()}</td><td className="p-1 text-right">{fmt(r.payment)}</td><td className="p-1 text-right">{fmt(r.interest)}</td><td className="p-1 text-right">{fmt(r.principal)}</td><td className="p-1 text-right">{fmt(r.balance)}</td></tr>)}</tbody></table>}
+                </div>);
+            })}
+            {!isAdding ? <button onClick={() => setIsAdding(true)} className="w-full py-2 rounded bg-zinc-800 hover:bg-zinc-700 text-gray-300">+ Add liability</button> : (
+            <form onSubmit={(e) => { e.preventDefault(); if (onAdd(form)) { setForm(emptyForm); setIsAdding(false); } }} className="glass-card p-3 grid grid-cols-2 gap-2">
+                <div className="col-span-2"><label className="text-xs text-gray-400">Name</label><input value={form.name} onChange={set('name')} className={inputClass} placeholder="e.g. KPR BCA" /></div>
+                <div><label className="text-xs text-gray-400">Type</label><select value={form.liabilityKind} onChange={set('liabilityKind')} className={inputClass}>{LIABILITY_KINDS.map(k => <option key={k.key} value={k.key}>{k.label}</option>)}</select></div>
+                <div><label className="text-xs text-gray-400">Principal (IDR)</label><input type="number" step="any" value={form.principal} onChange={set('principal')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Interest rate (%/yr)</label><input type="number" step="any" value={form.interestRate} onChange={set('interestRate')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Term (months, 0 = revolving)</label><input type="number" step="1" value={form.termMonths} onChange={set('termMonths')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Amortization</label><select value={form.amortization} onChange={set('amortization')} className={inputClass}>{AMORTIZATION_TYPES.map(a => <option key={a.key} value={a.key}>{a.label}</option>)}</select></div>
+                <div><label className="text-xs text-gray-400">Start date</label><input type="datetime-local" value={form.startDate} max={toLocalInputValue(Date.now())} onChange={set('startDate')} className={inputClass} /></div>
+                <label className="col-span-2 flex items-center gap-2 text-xs text-gray-400"><input type="checkbox" checked={form.toCash} onChange={set('toCash')} />Add loan proceeds to trading balance (e.g. margin loan)</label>
+                <div className="col-span-2 flex gap-2"><button type="button" onClick={() => setIsAdding(false)} className="flex-1 py-2 rounded bg-zinc-800 text-gray-400">Cancel</button><button type="submit" className="flex-1 py-2 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Add Liability</button></div>
+            </form>)}
+        </div>
+    );
+};
+const IncomeForm = ({ assets, display, onConfirm }) => {
+    const [type, setType] = useState('dividend'); const [assetId, setAssetId] = useState(''); const [value, setValue] = useState(''); const [price, setPrice] = useState('');
+    const def = INCOME_TYPES.find(t => t.key === type);
+    const eligibleAssets = assets.filter(a => type === 'staking' ? a.type === 'crypto' : a.type !== 'crypto');
+    const asset = eligibleAssets.find(a => a.id === assetId);
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); if (onConfirm(type, asset, value, price)) { setValue(''); setPrice(''); } }} className="space-y-4">
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">Type</label><select value={type} onChange={e => { setType(e.target.value); setAssetId(''); }} className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white">{INCOME_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}</select></div>
+            {def.needsAsset && <div><label className="block text-sm font-medium mb-1 text-gray-400">Asset</label><select value={assetId} onChange={e => setAssetId(e.target.value)} className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white"><option value="">Select asset...</option>{eligibleAssets.map(a => <option key={a.id} value={a.id}>{a.symbol} - {a.name}</option>)}</select></div>}
+            <div><label className="block text-sm font-medium mb-1 text-gray-400">{def.kind === 'cash' ? `Amount received (${display.code})` : 'Units received'}</label><input type="number" step="any" value={value} onChange={e => setValue(e.target.value)} className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white" /></div>
+            {type === 'staking' && <div><label className="block text-sm font-medium mb-1 text-gray-400">Price per unit at receipt ({display.code})</label><input type="number" step="any" value={price} onChange={e => setPrice(e.target.value)} className="w-full bg-zinc-800 px-3 py-2 rounded border border-zinc-700 text-white" /></div>}
+            <button type="submit" className="w-full py-2.5 rounded font-semibold bg-emerald-600 text-white hover:bg-emerald-500">Confirm</button>
+        </form>
+    );
+};
+const ManagePortfolioSheet = ({ onAddBalance, onWithdraw, onRecordIncome, onConvertCash, onTransfer, onLiabilities, schedules = [], onSchedules, onRebalance, onClearAll, onExport, onTaxReport, onImport, onUndo, onRedo, undoLabel, redoLabel, portfolioName, onRenamePortfolio, onDeletePortfolio }) => ( <div className="p-4 text-white text-sm"> <h3 className="text-base font-semibold mb-4 px-2">Manage Portfolio{portfolioName ? ` · ${portfolioName}` : ' · All accounts'}</h3> <div className="space-y-1"> <div className="flex gap-2 px-2 pb-2"><button onClick={onUndo} disabled={!undoLabel} title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'} className="flex-1 p-2 rounded bg-zinc-800 hover:bg-zinc-700 text-gray-300 disabled:text-gray-600 disabled:hover:bg-zinc-800">Undo</button><button onClick={onRedo} disabled={!redoLabel} title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'} className="flex-1 p-2 rounded bg-zinc-800 hover:bg-zinc-700 text-gray-300 disabled:text-gray-600 disabled:hover:bg-zinc-800">Redo</button></div> <button onClick={onAddBalance} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Add Balance</button> <button onClick={onWithdraw} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Withdraw</button> <button onClick={onConvertCash} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Convert Currency</button> <button onClick={onRecordIncome} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Record Dividend / Interest</button> {onTransfer && <button onClick={onTransfer} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Transfer Between Accounts</button>} <button onClick={onLiabilities} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Liabilities &amp; Loans</button> <div className="border-t border-zinc-700 my-2"></div> <button onClick={onSchedules} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Recurring &amp; DCA Schedules</button> {schedules.map(sc => { const next = nextOccurrence(sc); return <div key={sc.id} className={`px-2 py-1 text-xs flex justify-between gap-2 ${sc.paused ? 'text-gray-600' : 'text-gray-400'}`}><span className="truncate">{describeSchedule(sc)}</span><span className="whitespace-nowrap">{sc.paused ? 'Paused' : next ? new Date(next).toLocaleDateString() : '-'}</span></div>; })} <button onClick={onRebalance} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Target Allocation &amp; Rebalancing</button> <div className="border-t border-zinc-700 my-2"></div> <button onClick={onExport} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Export as CSV</button> <button onClick={onTaxReport} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Annual Tax Report</button> <button onClick={onImport} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Import from CSV</button> <div className="border-t border-zinc-700 my-2"></div> {portfolioName && <React.Fragment><button onClick={onRenamePortfolio} className="w-full text-left p-2 rounded hover:bg-zinc-700/50 text-gray-300">Rename portfolio</button> <div className="border-t border-zinc-700 my-2"></div></React.Fragment>} <button onClick={onClearAll} className="w-full text-left p-2 rounded hover:bg-red-700/20 text-red-400">Erase all data</button> {portfolioName && <button onClick={onDeletePortfolio} className="w-full text-left p-2 rounded hover:bg-red-700/20 text-red-400">Delete portfolio</button>} </div> </div> );
+const AddAssetForm = ({ searchMode, setSearchMode, query, setQuery, suggestions, setSelectedSuggestion, selectedSuggestion, addAssetWithInitial, addNonLiquidAsset, nlName, setNlName, nlQty, setNlQty, nlPrice, setNlPrice, nlPriceCcy, setNlPriceCcy, nlPurchaseDate, setNlPurchaseDate, nlYoy, setNlYoy, nlDesc, setNlDesc, display, displayAt, usdIdr, feeDefaults, handleFeeProfileChange, handleSetWatchedAsset, watchedAssetIds, onLookupPrice, openPositionFromSearch }) => {
+    const [shares, setShares] = useState(''); const [price, setPrice] = useState(''); const [total, setTotal] = useState(''); const [liquidity, setLiquidity] = useState('taker');
+    const [date, setDate] = useState(() => toLocalInputValue(Date.now())); const [priceNote, setPriceNote] = useState('');
+    const market = feeMarketOf({ type: searchMode, symbol: selectedSuggestion?.symbol || query.split("(")[0].trim().toUpperCase() }); const broker = feeDefaults[market];
+    const grossUSD = toNum(shares) * fromDisplay(toNum(price), displayAt(new Date(date).getTime() || Date.now()));
+    // Token: hanya lookup terakhir (tanggal atau aset terbaru) yang boleh mengisi harga.
+    const lookupRef = useRef(0);
+    const lookupClose = async (value, suggestion) => {
+        const token = ++lookupRef.current; const t = new Date(value).getTime();
+        if (!suggestion || !isFinite(t) || Date.now() - t < 86400000) { setPriceNote(''); return; }
+        setPriceNote('Looking up close price...');
+        const closeUSD = await onLookupPrice({ type: suggestion.type || searchMode, symbol: suggestion.symbol, coingeckoId: (suggestion.type || searchMode) === 'crypto' ? suggestion.id : undefined }, t);
+        if (token !== lookupRef.current) return;
+        if (closeUSD == null) { setPriceNote('No historical price for this date, enter it manually.'); return; }
+        handleInputChange('price', toPriceInput(toDisplay(closeUSD, true, displayAt(t), usdIdr), display.code));
+        setPriceNote(`Close on ${new Date(t).toLocaleDateString()}`);
+    };
+    const handleDateChange = (value) => { setDate(value); lookupClose(value, selectedSuggestion); };
     const handleInputChange = (field, value) => { if (field === 'shares') { setShares(value); const num = toNum(price) * toNum(value); setTotal(num > 0 ? `${num}` : ''); } else if (field === 'price') { setPrice(value); const num = toNum(value) * toNum(shares); setTotal(num > 0 ? `${num}` : ''); } else if (field === 'total') { setTotal(value); const nTotal = toNum(value), nShares = toNum(shares); if (nShares > 0) setPrice(String(nTotal / nShares)); } };
-    return ( <div className="space-y-4"> <div className="flex border-b border-white/10">{[{ key: 'stock', label: 'Stock' }, { key:'crypto', label:'Crypto' }, { key:'nonliquid', label:'Non-Liquid' }].map(item => (<button key={item.key} onClick={() => setSearchMode(item.key)} className={`px-3 py-2 text-sm font-medium ${searchMode === item.key ? 'text-white border-b-2 border-emerald-400' : 'text-gray-400'}`}>{item.label}</button>))}</div> {searchMode !== 'nonliquid' ? ( <div className="space-y-4"> <div className="relative"><input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search by code or name..." className="w-full rounded bg-zinc-800 px-3 py-2 text-sm outline-none border border-zinc-700 text-white" />{suggestions.length > 0 && <div className="absolute z-50 mt-1 w-full glass-card max-h-56 overflow-auto">{suggestions.map((s, i) => (<div key={i} className="w-full px-3 py-2 text-left hover:bg-white/10 flex items-center gap-3"><button className="flex-1 flex items-center gap-3 text-left" onClick={() => { setSelectedSuggestion(s); setQuery(s.display); setSuggestions([]); }}><img src={s.image} alt={s.symbol} className="w-6 h-6 rounded-full bg-zinc-700" onError={(e) => e.target.style.display='none'} /><div className="flex-1 overflow-hidden"><div className="font-medium text-gray-100 truncate">{s.display}</div><div className="text-xs text-gray-400">{s.exchange}</div></div></button>{s.type === 'crypto' && <button onClick={() => handleSetWatchedAsset(s.id)} className="text-yellow-500 hover:text-yellow-400"><StarIcon isFilled={watchedAssetIds.includes(s.id)} /></button>}</div>))}</div>}</div> <div className="grid grid-cols-1 md:grid-cols-2 gap-3"><div><label className="text-xs text-gray-400">Qty</label><input value={shares} onChange={e => handleInputChange('shares', e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" type="text" /></div><div><label className="text-xs text-gray-400">Price ({displaySymbol})</label><input value={price} onChange={e => handleInputChange('price', e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" type="text" /></div></div> <div><label className="text-xs text-gray-400">Total Value ({displaySymbol})</label><input value={total} onChange={e => handleInputChange('total', e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" type="text" /></div> <div className="flex justify-end"><button onClick={() => addAssetWithInitial(shares, price)} className="bg-emerald-600 hover:bg-emerald-500 text-white px-5 py-2 rounded font-semibold">Add Position</button></div> </div> ) : ( <div className="space-y-4"> <div className="grid grid-cols-1 md:grid-cols-2 gap-3"><input value={nlName} onChange={e => setNlName(e.target.value)} placeholder="Asset Name (e.g. Property)" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><input value={nlQty} onChange={e => setNlQty(e.target.value)} placeholder="Quantity" type="number" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><input value={nlPrice} onChange={e => setNlPrice(e.target.value)} placeholder="Purchase Price" type="number" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><select value={nlPriceCcy} onChange={e => setNlPriceCcy(e.target.value)} className="rounded bg-zinc-800 px-2 py-2 text-sm border border-zinc-700 text-white"><option value="IDR">IDR</option><option value="USD">USD</option></select><input type="date" value={nlPurchaseDate} onChange={e => setNlPurchaseDate(e.target.value)} className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><input value={nlYoy} onChange={e => setNlYoy(e.target.value)} placeholder="Est. Yearly Gain (%)" type="number" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /></div> <input value={nlDesc} onChange={e => setNlDesc(e.target.value)} placeholder="Description (optional)" className="w-full rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /> <div className="flex justify-end"><button onClick={addNonLiquidAsset} className="bg-emerald-600 hover:bg-emerald-500 text-white px-5 py-2 rounded font-semibold">Add Asset</button></div> </div> )} </div> );
+    return ( <div className="space-y-4"> <div className="flex border-b border-white/10">{[{ key: 'stock', label: 'Stock' }, { key:'crypto', label:'Crypto' }, { key:'nonliquid', label:'Non-Liquid' }].map(item => (<button key={item.key} onClick={() => setSearchMode(item.key)} className={`px-3 py-2 text-sm font-medium ${searchMode === item.key ? 'text-white border-b-2 border-emerald-400' : 'text-gray-400'}`}>{item.label}</button>))}</div> {searchMode !== 'nonliquid' ? ( <div className="space-y-4"> <div className="relative"><input value={query} onChange={e => setQuery(e.target.value)} placeholder="Search by code or name..." className="w-full rounded bg-zinc-800 px-3 py-2 text-sm outline-none border border-zinc-700 text-white" />{suggestions.length > 0 && <div className="absolute z-50 mt-1 w-full glass-card max-h-56 overflow-auto">{suggestions.map((s, i) => (<div key={i} className="w-full px-3 py-2 text-left hover:bg-white/10 flex items-center gap-3"><button className="flex-1 flex items-center gap-3 text-left" onClick={() => { setSelectedSuggestion(s); setQuery(s.display); setSuggestions([]); lookupClose(date, s); }}><img src={s.image} alt={s.symbol} className="w-6 h-6 rounded-full bg-zinc-700" onError={(e) => e.target.style.display='none'} /><div className="flex-1 overflow-hidden"><div className="font-medium text-gray-100 truncate">{s.display}</div><div className="text-xs text-gray-400">{s.exchange}</div></div></button>{s.type === 'crypto' && <button onClick={() => handleSetWatchedAsset(s.id)} className="text-yellow-500 hover:text-yellow-400"><StarIcon isFilled={watchedAssetIds.includes(s.id)} /></button>}</div>))}</div>}</div> <div className="grid grid-cols-1 md:grid-cols-2 gap-3"><div><label className="text-xs text-gray-400">Qty</label><input value={shares} onChange={e => handleInputChange('shares', e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" type="text" /></div><div><label className="text-xs text-gray-400">Price ({display.code})</label><input value={price} onChange={e => handleInputChange('price', e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" type="text" /></div></div> <div className="grid grid-cols-1 md:grid-cols-2 gap-3"><div><label className="text-xs text-gray-400">Total Value ({display.code})</label><input value={total} onChange={e => handleInputChange('total', e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" type="text" /></div><div><label className="text-xs text-gray-400">Date &amp; time</label><input type="datetime-local" value={date} max={toLocalInputValue(Date.now())} onChange={e => handleDateChange(e.target.value)} className="w-full mt-1 rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" />{priceNote && <p className="text-[11px] text-gray-500 mt-1">{priceNote}</p>}</div></div> <FeeTicket market={market} side="buy" grossUSD={grossUSD} broker={broker} setBroker={(key) => handleFeeProfileChange(market, key)} liquidity={liquidity} setLiquidity={setLiquidity} display={display} usdIdr={usdIdr} /> <div className="flex justify-end gap-2"><button onClick={openPositionFromSearch} className="bg-zinc-700 hover:bg-zinc-600 text-white px-4 py-2 rounded font-semibold">Open Long / Short</button><button onClick={() => addAssetWithInitial(shares, price, { broker, liquidity }, new Date(date).getTime() || Date.now())} className="bg-emerald-600 hover:bg-emerald-500 text-white px-5 py-2 rounded font-semibold">Add Position</button></div> </div> ) : ( <div className="space-y-4"> <div className="grid grid-cols-1 md:grid-cols-2 gap-3"><input value={nlName} onChange={e => setNlName(e.target.value)} placeholder="Asset Name (e.g. Property)" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><input value={nlQty} onChange={e => setNlQty(e.target.value)} placeholder="Quantity" type="number" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><input value={nlPrice} onChange={e => setNlPrice(e.target.value)} placeholder="Purchase Price" type="number" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><select value={nlPriceCcy} onChange={e => setNlPriceCcy(e.target.value)} className="rounded bg-zinc-800 px-2 py-2 text-sm border border-zinc-700 text-white"><option value="IDR">IDR</option><option value="USD">USD</option></select><input type="date" value={nlPurchaseDate} onChange={e => setNlPurchaseDate(e.target.value)} className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /><input value={nlYoy} onChange={e => setNlYoy(e.target.value)} placeholder="Est. Yearly Change (%, negative = depreciation)" title="Compounded daily from the purchase date. Use a negative rate for depreciating assets." type="number" step="any" className="rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /></div> <input value={nlDesc} onChange={e => setNlDesc(e.target.value)} placeholder="Description (optional)" className="w-full rounded bg-zinc-800 px-3 py-2 text-sm border border-zinc-700 text-white" /> <div className="flex justify-end"><button onClick={addNonLiquidAsset} className="bg-emerald-600 hover:bg-emerald-500 text-white px-5 py-2 rounded font-semibold">Add Asset</button></div> </div> )} </div> );
 };
 // Menggunakan AssetDetailModal dari file HTML
-const AssetDetailModal = ({ isOpen, onClose, asset, onBuy, onSell, onDelete, usdIdr, displaySymbol }) => {
+const AssetDetailModal = ({ isOpen, onClose, asset, onBuy, onSell, onDelete, costBasisMethod, feeDefaults, onFeeProfileChange, onCorporateAction, onAppraisal, onOpenPosition, onLookupPrice, usdIdr, display, displayAt }) => {
     if (!isOpen || !asset) return null;
     
     return (
         <Modal isOpen={isOpen} onClose={onClose} title={`${asset.symbol} - ${asset.name}`} size="3xl">
             <div className="space-y-4">
                 <TradingViewWidget asset={asset} />
+                {asset.type !== 'nonliquid' && <PositionForm asset={asset} onSubmit={onOpenPosition} display={display} displayAt={displayAt} usdIdr={usdIdr} />}
                 {asset.shares > 0 && (
                     <div className="border-t border-white/10 pt-4">
-                      <TradeForm asset={asset} onBuy={onBuy} onSell={onSell} onDelete={onDelete} usdIdr={usdIdr} displaySymbol={displaySymbol} />
+                      <TradeForm asset={asset} onBuy={onBuy} onSell={onSell} onDelete={onDelete} costBasisMethod={costBasisMethod} feeDefaults={feeDefaults} onFeeProfileChange={onFeeProfileChange} onLookupPrice={onLookupPrice} usdIdr={usdIdr} display={display} displayAt={displayAt} />
+                      {asset.type !== 'nonliquid' ? <CorporateActionForm asset={asset} onSubmit={onCorporateAction} display={display} /> : <AppraisalForm asset={asset} onSubmit={onAppraisal} display={display} usdIdr={usdIdr} />}
                     </div>
                 )}
                  {asset.shares === 0 && (
                     <div className="border-t border-white/10 pt-4">
                        <p className="text-center text-gray-400 text-sm mb-4">You do not own this asset yet. Place a buy order to add it to your portfolio.</p>
-                       <TradeForm asset={asset} onBuy={onBuy} onSell={onSell} onDelete={onDelete} usdIdr={usdIdr} displaySymbol={displaySymbol} />
+                       <TradeForm asset={asset} onBuy={onBuy} onSell={onSell} onDelete={onDelete} costBasisMethod={costBasisMethod} feeDefaults={feeDefaults} onFeeProfileChange={onFeeProfileChange} onLookupPrice={onLookupPrice} usdIdr={usdIdr} display={display} displayAt={displayAt} />
                     </div>
                 )}
             </div>
         </Modal>
     );
 };
+// Buka posisi short / leveraged. Preview margin yang dibutuhkan dan harga likuidasi (isolated margin).
+const PositionForm = ({ asset, onSubmit, display, displayAt, usdIdr }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const initial = () => ({ direction: 'short', leverage: asset.type === 'crypto' ? '10' : '1', qty: '', price: asset.lastPriceUSD > 0 ? toPriceInput(toDisplay(asset.lastPriceUSD, true, display, usdIdr), display.code) : '', fee: '', maintenanceMargin: asset.type === 'crypto' ? '0.5' : '0', date: toLocalInputValue(Date.now()) });
+    const [form, setForm] = useState(initial);
+    const set = (field) => (e) => setForm(f => ({ ...f, [field]: e.target.value }));
+    const priceUSD = fromDisplay(toNum(form.price), displayAt(new Date(form.date).getTime() || Date.now())); const leverage = Math.max(1, toNum(form.leverage));
+    const marginUSD = toNum(form.qty) * priceUSD / leverage;
+    const liqUSD = priceUSD > 0 ? liquidationPrice({ direction: form.direction, leverage, maintenanceMargin: form.maintenanceMargin, entryPriceUSD: priceUSD }) : 0;
+    const inputClass = "w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white";
+    if (!isOpen) return <button onClick={() => { setForm(initial()); setIsOpen(true); }} className="text-xs text-gray-400 hover:text-white">+ Open short / leveraged position</button>;
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); if (onSubmit(asset, form)) setIsOpen(false); }} className="space-y-3 border-t border-white/10 pt-3">
+            <div className="flex justify-between items-center"><h4 className="text-sm font-semibold text-white">Open Position</h4><button type="button" onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">&times;</button></div>
+            <div className="flex gap-2">{['long', 'short'].map(d => <button type="button" key={d} onClick={() => setForm(f => ({ ...f, direction: d }))} className={`flex-1 py-1.5 rounded text-sm font-semibold capitalize ${form.direction === d ? (d === 'long' ? 'bg-emerald-600 text-white' : 'bg-red-600 text-white') : 'bg-zinc-800 text-gray-400'}`}>{d}</button>)}</div>
+            <div className="grid grid-cols-2 gap-2">
+                <div><label className="text-xs text-gray-400">Size (units)</label><input type="number" step="any" value={form.qty} onChange={set('qty')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Entry price ({display.code})</label><input type="number" step="any" value={form.price} onChange={set('price')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Leverage (x)</label><input type="number" step="any" min="1" max="125" value={form.leverage} onChange={set('leverage')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Maintenance margin (%)</label><input type="number" step="any" value={form.maintenanceMargin} onChange={set('maintenanceMargin')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Fee ({display.code})</label><input type="number" step="any" value={form.fee} onChange={set('fee')} className={inputClass} /></div>
+                <div><label className="text-xs text-gray-400">Date &amp; time</label><input type="datetime-local" value={form.date} max={toLocalInputValue(Date.now())} onChange={set('date')} className={inputClass} /></div>
+            </div>
+            <div className="text-xs text-gray-400 space-y-1"><div className="flex justify-between"><span>Margin required</span><span className="text-gray-200">{formatCurrency(marginUSD, true, display, usdIdr)}</span></div><div className="flex justify-between"><span>Liquidation price</span><span className="text-red-400">{liqUSD > 0 ? formatCurrency(liqUSD, true, display, usdIdr) : '-'}</span></div></div>
+            <button type="submit" className={`w-full py-2 rounded font-semibold text-white text-sm ${form.direction === 'long' ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-red-600 hover:bg-red-500'}`}>Open {form.direction === 'long' ? 'Long' : 'Short'} {leverage}x</button>
+        </form>
+    );
+};
+// Posisi terbuka di halaman utama: unrealized P&L pada harga pasar, harga likuidasi, tutup posisi dan catat funding.
+const PositionsPanel = ({ positions, totals, display, usdIdr, onClose, onFunding }) => {
+    const [action, setAction] = useState(null); // { id, kind: 'close' | 'funding' }
+    const [form, setForm] = useState({ qty: '', price: '', fee: '', amount: '', date: toLocalInputValue(Date.now()) });
+    const fmt = (v) => formatCurrency(v, true, display, usdIdr);
+    const start = (p, kind) => { setAction({ id: p.id, kind }); setForm({ qty: String(p.qty), price: toPriceInput(toDisplay(p.markPriceUSD, true, display, usdIdr), display.code), fee: '', amount: '', date: toLocalInputValue(Date.now()) }); };
+    const submit = (p) => (e) => {
+        e.preventDefault(); const date = new Date(form.date).getTime() || Date.now();
+        if (action.kind === 'close' ? onClose(p, form.qty, form.price, form.fee, date) : onFunding(p, form.amount, date)) setAction(null);
+    };
+    const inputClass = "w-full text-xs mt-1 bg-zinc-800 px-2 py-1 rounded border border-zinc-700 text-white";
+    return (
+        <section className="px-4 pb-2">
+            <div className="flex justify-between items-center text-sm mb-2"><span className="font-semibold text-white">Open Positions</span><span className="text-xs text-gray-400">Margin {fmt(totals.marginUSD)} · <span className={totals.unrealizedPnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400'}>{totals.unrealizedPnlUSD >= 0 ? '+' : ''}{fmt(totals.unrealizedPnlUSD)}</span></span></div>
+            <div className="space-y-2">{positions.map(p => (
+                <div key={p.id} className="glass-card p-3 text-xs">
+                    <div className="flex justify-between items-center">
+                        <div className="flex items-center gap-2"><span className="font-semibold text-white text-sm">{p.symbol}</span><span className={`px-1.5 py-0.5 rounded font-semibold uppercase ${p.direction === 'long' ? 'bg-emerald-600/30 text-emerald-300' : 'bg-red-600/30 text-red-300'}`}>{p.direction} {p.leverage}x</span>{p.liquidated && <span className="text-red-400 font-semibold">Liquidation price reached</span>}</div>
+                        <div className={`text-right font-semibold ${p.pnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{p.pnlUSD >= 0 ? '+' : ''}{fmt(p.pnlUSD)} ({p.roePct.toFixed(2)}%)</div>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2 mt-2 text-gray-400">
+                        <div>Size<div className="text-gray-200">{formatQty(p.qty)}</div></div>
+                        <div>Entry<div className="text-gray-200">{fmt(p.entryPriceUSD)}</div></div>
+                        <div>Mark<div className="text-gray-200">{fmt(p.markPriceUSD)}</div></div>
+                        <div>Margin<div className="text-gray-200">{fmt(p.marginUSD)}</div></div>
+                        <div>Liq. price<div className="text-red-400">{fmt(p.liquidationPriceUSD)}</div></div>
+                        <div>Funding<div className={p.fundingUSD >= 0 ? 'text-gray-200' : 'text-red-400'}>{fmt(p.fundingUSD)}</div></div>
+                    </div>
+                    <div className="flex gap-3 mt-2"><button onClick={() => start(p, 'close')} className="text-emerald-400 hover:text-emerald-300">Close</button><button onClick={() => start(p, 'funding')} className="text-gray-400 hover:text-white">Record funding</button></div>
+                    {action?.id === p.id && <form onSubmit={submit(p)} className="mt-2 grid grid-cols-2 gap-2 border-t border-white/10 pt-2">
+                        {action.kind === 'close' ? (<React.Fragment>
+                            <div><label className="text-gray-400">Units</label><input type="number" step="any" value={form.qty} onChange={e => setForm(f => ({ ...f, qty: e.target.value }))} className={inputClass} /></div>
+                            <div><label className="text-gray-400">Exit price ({display.code})</label><input type="number" step="any" value={form.price} onChange={e => setForm(f => ({ ...f, price: e.target.value }))} className={inputClass} /></div>
+                            <div><label className="text-gray-400">Fee ({display.code})</label><input type="number" step="any" value={form.fee} onChange={e => setForm(f => ({ ...f, fee: e.target.value }))} className={inputClass} /></div>
+                        </React.Fragment>) : (
+                            <div><label className="text-gray-400">Amount ({display.code}, negative = paid)</label><input type="number" step="any" value={form.amount} onChange={e => setForm(f => ({ ...f, amount: e.target.value }))} className={inputClass} /></div>
+                        )}
+                        <div><label className="text-gray-400">Date &amp; time</label><input type="datetime-local" value={form.date} max={toLocalInputValue(Date.now())} onChange={e => setForm(f => ({ ...f, date: e.target.value }))} className={inputClass} /></div>
+                        <button type="submit" className="col-span-2 py-1.5 rounded font-semibold text-white bg-zinc-700 hover:bg-zinc-600">{action.kind === 'close' ? 'Close Position' : 'Save Funding'}</button>
+                    </form>}
+                </div>
+            ))}</div>
+        </section>
+    );
+};
+// Valuasi non-likuid: tampilkan dasar model (appraisal terakhir atau harga beli + YoY) dan catat appraisal baru.
+const AppraisalForm = ({ asset, onSubmit, display, usdIdr }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [value, setValue] = useState(''); const [yoy, setYoy] = useState(String(asset.nonLiquidYoy)); const [date, setDate] = useState(() => toLocalInputValue(Date.now()));
+    const lastAppraisal = (asset.appraisals || []).reduce((last, a) => (!last || a.date >= last.date ? a : last), null);
+    const rate = lastAppraisal?.yoy ?? asset.nonLiquidYoy;
+    const inputClass = "w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white";
+    return (
+        <div className="mt-3 text-xs text-gray-400">
+            <p>Valued at {formatCurrency(nonLiquidPriceUSD(asset), true, display, usdIdr)} per unit: {lastAppraisal ? `appraisal of ${formatCurrency(lastAppraisal.priceUSD, true, display, usdIdr)} on ${new Date(lastAppraisal.date).toLocaleDateString()}` : `purchase price since ${new Date(asset.purchaseDate).toLocaleDateString()}`}, {rate >= 0 ? '+' : ''}{rate}% per year compounded daily.</p>
+            {!isOpen ? <button onClick={() => setIsOpen(true)} className="mt-2 text-gray-400 hover:text-white">+ Record appraisal</button> : (
+            <form onSubmit={(e) => { e.preventDefault(); if (onSubmit(asset, value, new Date(date).getTime() || Date.now(), yoy)) setIsOpen(false); }} className="mt-3 space-y-3 border-t border-white/10 pt-3">
+                <div className="flex justify-between items-center"><h4 className="text-sm font-semibold text-white">Manual Appraisal</h4><button type="button" onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">&times;</button></div>
+                <div className="grid grid-cols-2 gap-2"><div><label className="text-xs text-gray-400">Value per unit ({display.code})</label><input type="number" step="any" value={value} onChange={e => setValue(e.target.value)} className={inputClass} /></div><div><label className="text-xs text-gray-400">Yearly change after this (%)</label><input type="number" step="any" value={yoy} onChange={e => setYoy(e.target.value)} className={inputClass} /></div></div>
+                <div><label className="text-xs text-gray-400">Appraisal date</label><input type="datetime-local" value={date} max={toLocalInputValue(Date.now())} onChange={e => setDate(e.target.value)} className={inputClass} /></div>
+                <button type="submit" className="w-full py-2 rounded font-semibold text-white text-sm bg-zinc-700 hover:bg-zinc-600">Save Appraisal</button>
+            </form>)}
+        </div>
+    );
+};
+const CorporateActionForm = ({ asset, onSubmit, display }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [action, setAction] = useState('split');
+    const [form, setForm] = useState({ ratioTo: '2', ratioFrom: '1', price: '', qty: '', newSymbol: '', newName: '', ratio: '1', newCoingeckoId: asset?.coingeckoId || '' });
+    const set = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+    const chooseAction = (key) => { setAction(key); setForm(prev => ({ ...prev, ratioTo: key === 'reverse_split' ? '1' : key === 'rights' ? '1' : '2', ratioFrom: key === 'reverse_split' ? '10' : key === 'rights' ? '5' : '1' })); };
+    const inputClass = "w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white";
+    if (!isOpen) return <button onClick={() => setIsOpen(true)} className="mt-3 text-xs text-gray-400 hover:text-white">+ Record corporate action (split, rights, symbol change, merger)</button>;
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); if (onSubmit(asset, action, form)) setIsOpen(false); }} className="mt-4 space-y-3 border-t border-white/10 pt-3">
+            <div className="flex justify-between items-center"><h4 className="text-sm font-semibold text-white">Corporate Action</h4><button type="button" onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-white">&times;</button></div>
+            <select value={action} onChange={e => chooseAction(e.target.value)} className={inputClass}>{CORPORATE_ACTIONS.map(a => <option key={a.key} value={a.key}>{a.label}</option>)}</select>
+            {(action === 'split' || action === 'reverse_split') && <div className="grid grid-cols-2 gap-2"><div><label className="text-xs text-gray-400">New shares</label><input value={form.ratioTo} onChange={set('ratioTo')} className={inputClass} /></div><div><label className="text-xs text-gray-400">For every old shares</label><input value={form.ratioFrom} onChange={set('ratioFrom')} className={inputClass} /></div></div>}
+            {action === 'rights' && <div className="grid grid-cols-2 gap-2"><div><label className="text-xs text-gray-400">New shares</label><input value={form.ratioTo} onChange={set('ratioTo')} className={inputClass} /></div><div><label className="text-xs text-gray-400">For every held shares</label><input value={form.ratioFrom} onChange={set('ratioFrom')} className={inputClass} /></div><div><label className="text-xs text-gray-400">Exercise price ({display.code})</label><input value={form.price} onChange={set('price')} className={inputClass} /></div><div><label className="text-xs text-gray-400">Shares exercised (optional)</label><input value={form.qty} onChange={set('qty')} placeholder="All rights" className={inputClass} /></div></div>}
+            {(action === 'symbol_change' || action === 'merger') && <div className="grid grid-cols-2 gap-2"><div><label className="text-xs text-gray-400">New symbol</label><input value={form.newSymbol} onChange={set('newSymbol')} className={inputClass} /></div><div><label className="text-xs text-gray-400">New name</label><input value={form.newName} onChange={set('newName')} className={inputClass} /></div>{action === 'merger' && <div className="col-span-2"><label className="text-xs text-gray-400">New shares received per {asset.symbol} share</label><input value={form.ratio} onChange={set('ratio')} className={inputClass} /></div>}{asset.type === 'crypto' && <div className="col-span-2"><label className="text-xs text-gray-400">CoinGecko ID (for prices)</label><input value={form.newCoingeckoId} onChange={set('newCoingeckoId')} className={inputClass} /></div>}</div>}
+            <p className="text-xs text-gray-500">{action === 'rights' ? 'Exercised shares are paid from the trading balance.' : 'Cost basis and purchase dates carry over; cash is not affected.'}</p>
+            <button type="submit" className="w-full py-2 rounded font-semibold text-white text-sm bg-zinc-700 hover:bg-zinc-600">Apply {CORPORATE_ACTIONS.find(a => a.key === action).label}</button>
+        </form>
+    );
+};
+// Rincian biaya di ticket: pilih broker/exchange, lalu tampilkan komisi, levy, pajak dan total bersih.
+const FeeTicket = ({ market, side, grossUSD, broker, setBroker, liquidity, setLiquidity, display, usdIdr }) => {
+    const profiles = FEE_PROFILES.filter(p => p.market === 'any' || p.market === market);
+    const profile = FEE_PROFILES.find(p => p.key === broker) || FEE_PROFILES[0];
+    const fees = computeTradeFees(broker, side, grossUSD, liquidity);
+    const fmt = (v) => formatCurrency(v, true, display, usdIdr);
+    return (
+        <div className="space-y-1 text-xs text-gray-400">
+            <div className="flex gap-2 items-center">
+                <select value={profile.key} onChange={e => setBroker(e.target.value)} className="flex-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white">{profiles.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}</select>
+                {profile.market === 'crypto' && <div className="flex bg-zinc-800 rounded-full p-0.5">{['maker', 'taker'].map(l => <button key={l} type="button" onClick={() => setLiquidity(l)} className={`px-2 py-1 rounded-full capitalize ${liquidity === l ? 'bg-zinc-600 text-white' : ''}`}>{l}</button>)}</div>}
+            </div>
+            {fees.commission > 0 && <div className="flex justify-between"><span>Commission</span><span>{fmt(fees.commission)}</span></div>}
+            {fees.levy > 0 && <div className="flex justify-between"><span>Levy</span><span>{fmt(fees.levy)}</span></div>}
+            {fees.tax > 0 && <div className="flex justify-between"><span>Final tax (PPh 0.1%)</span><span>{fmt(fees.tax)}</span></div>}
+            {grossUSD > 0 && <div className="flex justify-between border-t border-white/10 pt-1 text-gray-200"><span>{side === 'buy' ? 'Total cost' : 'Net proceeds'}</span><span className="font-semibold">{fmt(side === 'buy' ? grossUSD + fees.total : grossUSD - fees.total)}</span></div>}
+        </div>
+    );
+};
 // Menggunakan TradeForm dari file HTML
-const TradeForm = ({ asset, onBuy, onSell, onDelete, usdIdr, displaySymbol }) => {
-    const [mode, setMode] = useState('buy'); const [shares, setShares] = useState(''); const [price, setPrice] = useState(''); const [total, setTotal] = useState('');
-    useEffect(() => { if (asset) { const priceVal = displaySymbol === "Rp" ? asset.lastPriceUSD * usdIdr : asset.lastPriceUSD; setPrice(String(isFinite(priceVal) ? (displaySymbol === "$" ? priceVal.toFixed(8) : Math.round(priceVal)) : '')); setShares(''); setTotal(''); } }, [asset, usdIdr, displaySymbol, mode]);
+const TradeForm = ({ asset, onBuy, onSell, onDelete, costBasisMethod, feeDefaults, onFeeProfileChange, onLookupPrice, usdIdr, display, displayAt }) => {
+    const [mode, setMode] = useState('buy'); const [shares, setShares] = useState(''); const [price, setPrice] = useState(''); const [total, setTotal] = useState(''); const [lotId, setLotId] = useState(''); const [liquidity, setLiquidity] = useState('taker');
+    const [date, setDate] = useState(() => toLocalInputValue(Date.now())); const [priceNote, setPriceNote] = useState('');
+    const market = feeMarketOf(asset); const broker = feeDefaults[market]; const [cashCurrency, setCashCurrency] = useState(() => tradeCurrencyOf(asset));
+    // Reset form hanya saat ganti aset atau mode; polling harga & refresh kurs tidak boleh menghapus isian user.
+    // Ganti mata uang tampilan mengonversi harga & total yang sudah diisi (pada kurs tanggal transaksi) ke mata uang baru.
+    const formRef = useRef({ key: null, assetId: null, code: display.code, displayAt });
+    // Token: hanya lookup close terakhir yang boleh mengisi harga; ganti aset/mode membatalkan lookup yang berjalan.
+    const lookupRef = useRef(0);
+    useEffect(() => {
+        if (!asset) return;
+        const prev = formRef.current; const key = `${asset.id}|${mode}`;
+        if (prev.assetId !== asset.id) setCashCurrency(tradeCurrencyOf(asset));
+        if (prev.key !== key) { lookupRef.current++; setPrice(toPriceInput(toDisplay(asset.lastPriceUSD, true, display, usdIdr), display.code)); setShares(''); setTotal(''); setLotId(''); setDate(toLocalInputValue(Date.now())); setPriceNote(''); }
+        else if (prev.code !== display.code) {
+            const t = new Date(date).getTime() || Date.now();
+            const convert = (v) => toNum(v) > 0 ? toPriceInput(toDisplay(fromDisplay(toNum(v), prev.displayAt(t)), true, displayAt(t), usdIdr), display.code) : v;
+            setPrice(convert); setTotal(convert);
+        }
+        formRef.current = { key, assetId: asset.id, code: display.code, displayAt };
+    }, [asset, mode, display, usdIdr, displayAt, date]);
     const handleInputChange = (field, value) => { if (field === 'shares') { setShares(value); const nPrice = toNum(price), nShares = toNum(value); setTotal(nPrice > 0 && nShares > 0 ? (nPrice * nShares).toString() : ''); } else if (field === 'price') { setPrice(value); const nPrice = toNum(value), nShares = toNum(shares); setTotal(nPrice > 0 && nShares > 0 ? (nPrice * nShares).toString() : ''); } else if (field === 'total') { setTotal(value); const nTotal = toNum(value), nShares = toNum(shares); if (nShares > 0 && nTotal > 0) setPrice(String((nTotal / nShares).toFixed(8))); } };
-    const priceUSD = (displaySymbol === 'Rp') ? toNum(price) / usdIdr : toNum(price);
-    const doSubmit = () => { if (mode === 'buy') onBuy(asset, shares, priceUSD); else if (mode === 'sell') onSell(asset, shares, priceUSD); };
-    return (<div className="space-y-3"> <div className="flex bg-zinc-800 rounded-full p-1"><button onClick={() => setMode('buy')} className={`w-1/2 py-1.5 text-xs font-semibold rounded-full ${mode === 'buy' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Buy</button><button onClick={() => setMode('sell')} disabled={asset.shares <= 0} className={`w-1/2 py-1.5 text-xs font-semibold rounded-full ${mode === 'sell' ? 'bg-red-600 text-white' : 'text-gray-300'} disabled:bg-zinc-700 disabled:text-gray-500`}>Sell</button></div> <div className="grid grid-cols-1 sm:grid-cols-3 gap-2"><div><label className="text-xs text-gray-400">Qty</label><input type="text" value={shares} onChange={e=>handleInputChange('shares', e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" /></div> <div><label className="text-xs text-gray-400">Price ({displaySymbol})</label><input type="text" value={price} onChange={e=>handleInputChange('price', e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" /></div> <div><label className="text-xs text-gray-400">Total ({displaySymbol})</label><input type="text" value={total} onChange={e=>handleInputChange('total', e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" /></div></div> <div className="flex gap-2"><button onClick={doSubmit} className={`flex-1 py-2 rounded font-semibold text-white text-sm ${mode === 'buy' ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-red-600 hover:bg-red-500'}`}>Confirm {mode.charAt(0).toUpperCase() + mode.slice(1)}</button>{asset.shares > 0 && <button onClick={() => onDelete(asset)} title="Delete (liquidate)" className="py-2 px-3 rounded bg-zinc-700 hover:bg-zinc-600 text-white flex items-center gap-2"><TrashIcon className="w-4 h-4 text-white" /></button>}</div> </div>);
+    // Harga diinput dalam mata uang tampilan pada kurs tanggal transaksi.
+    const priceUSD = fromDisplay(toNum(price), displayAt(new Date(date).getTime() || Date.now()));
+    // Tanggal lampau: isi harga dengan close historis pada tanggal itu (tetap bisa diubah manual).
+    const handleDateChange = async (value) => {
+        setDate(value); const t = new Date(value).getTime(); const token = ++lookupRef.current;
+        if (!isFinite(t) || Date.now() - t < 86400000) { setPriceNote(''); return; }
+        setPriceNote('Looking up close price...');
+        const closeUSD = await onLookupPrice(asset, t);
+        if (token !== lookupRef.current) return;
+        if (closeUSD == null) { setPriceNote('No historical price for this date, enter it manually.'); return; }
+        handleInputChange('price', toPriceInput(toDisplay(closeUSD, true, displayAt(t), usdIdr), display.code));
+        setPriceNote(`Close on ${new Date(t).toLocaleDateString()}`);
+    };
+    const doSubmit = () => { const feeOpts = { broker, liquidity, cashCurrency }; const t = new Date(date).getTime() || Date.now(); if (mode === 'buy') onBuy(asset, shares, priceUSD, feeOpts, t); else if (mode === 'sell') onSell(asset, shares, priceUSD, lotId, feeOpts, t); };
+    const showLotPicker = mode === 'sell' && costBasisMethod === 'specific' && (asset.lots || []).length > 0;
+    const salePreview = mode === 'sell' && toNum(shares) > 0 && (asset.lots || []).length > 0 ? previewLotSale(asset, Math.min(toNum(shares), asset.shares), costBasisMethod, lotId) : null;
+    return (<div className="space-y-3"> <div className="flex bg-zinc-800 rounded-full p-1"><button onClick={() => setMode('buy')} className={`w-1/2 py-1.5 text-xs font-semibold rounded-full ${mode === 'buy' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Buy</button><button onClick={() => setMode('sell')} disabled={asset.shares <= 0} className={`w-1/2 py-1.5 text-xs font-semibold rounded-full ${mode === 'sell' ? 'bg-red-600 text-white' : 'text-gray-300'} disabled:bg-zinc-700 disabled:text-gray-500`}>Sell</button></div> <div className="grid grid-cols-1 sm:grid-cols-3 gap-2"><div><label className="text-xs text-gray-400">Qty</label><input type="text" value={shares} onChange={e=>handleInputChange('shares', e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" /></div> <div><label className="text-xs text-gray-400">Price ({display.code})</label><input type="text" value={price} onChange={e=>handleInputChange('price', e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" /></div> <div><label className="text-xs text-gray-400">Total ({display.code})</label><input type="text" value={total} onChange={e=>handleInputChange('total', e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" /></div></div> <div><label className="text-xs text-gray-400">Date &amp; time</label><input type="datetime-local" value={date} max={toLocalInputValue(Date.now())} onChange={e => handleDateChange(e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white" />{priceNote && <p className="text-[11px] text-gray-500 mt-1">{priceNote}</p>}</div> {showLotPicker && <div><label className="text-xs text-gray-400">Lot</label><select value={lotId} onChange={e => setLotId(e.target.value)} className="w-full text-sm mt-1 bg-zinc-800 px-2 py-1.5 rounded border border-zinc-700 text-white"><option value="">Auto (oldest first)</option>{[...asset.lots].sort((a, b) => a.date - b.date).map(l => <option key={l.id} value={l.id}>{new Date(l.date).toLocaleDateString()} · {formatQty(l.qty)} @ {formatCurrency(l.unitCostUSD, true, display, usdIdr)}</option>)}</select></div>} {salePreview && <div className="flex justify-between text-xs text-gray-400"><span>Cost basis ({costBasisLabel(costBasisMethod)})</span><span className="text-gray-200">{formatCurrency(salePreview.costOfSold, true, display, usdIdr)}</span></div>} <FeeTicket market={market} side={mode} grossUSD={toNum(shares) * priceUSD} broker={broker} setBroker={(key) => onFeeProfileChange(market, key)} liquidity={liquidity} setLiquidity={setLiquidity} display={display} usdIdr={usdIdr} /> <div className="flex items-center justify-between text-xs text-gray-400"><span>{mode === 'buy' ? 'Pay with' : 'Receive in'}</span><div className="flex bg-zinc-800 rounded-full p-0.5">{CASH_CURRENCIES.map(c => <button key={c} type="button" onClick={() => setCashCurrency(c)} className={`px-2 py-1 rounded-full ${cashCurrency === c ? 'bg-zinc-600 text-white' : ''}`}>{c}</button>)}</div></div> <div className="flex gap-2"><button onClick={doSubmit} className={`flex-1 py-2 rounded font-semibold text-white text-sm ${mode === 'buy' ? 'bg-emerald-600 hover:bg-emerald-500' : 'bg-red-600 hover:bg-red-500'}`}>Confirm {mode.charAt(0).toUpperCase() + mode.slice(1)}</button>{asset.shares > 0 && <button onClick={() => onDelete(asset)} title="Delete (liquidate)" className="py-2 px-3 rounded bg-zinc-700 hover:bg-zinc-600 text-white flex items-center gap-2"><TrashIcon className="w-4 h-4 text-white" /></button>}</div> </div>);
 }
 // Menggunakan TradingViewWidget dari file HTML
 const TradingViewWidget = ({ asset }) => {
@@ -1339,8 +3798,18 @@ const TradingViewWidget = ({ asset }) => {
   );
 };
 // Menggunakan PortfolioAllocation dari file HTML (ikon berwarna)
-const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbol, usdIdr }) => {
+const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, cashBalances = {}, liabilities = [], dailyCloses = {}, rateAt, display, usdIdr }) => {
     const [activeTab, setActiveTab] = useState('Asset');
+    // Korelasi 1 tahun terakhir antar semua holding, bobot terhadap total holding + kas; heatmap hanya holding terbesar agar tetap terbaca.
+    const HEATMAP_SIZE = 12;
+    const correlation = useMemo(() => {
+        if (!rateAt) return null;
+        const holdings = fullAssetData.filter(r => r.marketValueUSD > 0).sort((a, b) => b.marketValueUSD - a.marketValueUSD).map(r => ({ id: r.id, symbol: r.symbol, value: r.marketValueUSD }));
+        const totalValue = holdings.reduce((s, h) => s + h.value, 0) + Math.max(0, tradingBalance / usdIdr);
+        const to = Date.now();
+        return holdings.length >= 2 ? correlationAnalysis(holdings, dailyCloses, rateAt, to - 365 * 86400000, to, totalValue) : null;
+    }, [fullAssetData, dailyCloses, rateAt, tradingBalance, usdIdr]);
+    const heatColor = (c) => c == null ? 'rgba(63,63,70,0.6)' : c >= 0 ? `rgba(239,68,68,${0.15 + 0.75 * c})` : `rgba(59,130,246,${0.15 + 0.75 * -c})`;
     const [hoveredSegment, setHoveredSegment] = useState(null);
 
     const { equityData, sectorData } = useMemo(() => {
@@ -1364,7 +3833,7 @@ const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbo
         // --- Equity Data Calculation with Grouping ---
         const allAssets = [
             ...fullAssetData.map(d => ({ name: d.symbol, value: d.marketValueUSD, image: d.image, type: d.type })),
-            { name: 'Cash', value: tradingBalanceUSD, image: null, type: 'cash' }
+            ...CASH_CURRENCIES.map(c => ({ name: `Cash ${c}`, value: toNum(cashBalances[c]) / (c === 'IDR' ? usdIdr : 1), image: null, type: 'cash' }))
         ].filter(a => a.value > 0.01).sort((a, b) => b.value - a.value);
 
         let finalEquityData;
@@ -1392,13 +3861,13 @@ const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbo
         });
 
         return { equityData: finalEquityData, sectorData: finalSectorData };
-    }, [fullAssetData, tradingBalance, usdIdr]);
+    }, [fullAssetData, tradingBalance, cashBalances, usdIdr]);
 
     const data = activeTab === 'Asset' ? equityData : sectorData;
     const totalValueUSD = useMemo(() => data.reduce((s, d) => s + d.value, 0), [data]);
 
     if (!totalValueUSD) return <div className="mt-8 text-center text-gray-500">No assets to show in allocation.</div>;
-    const totalValueDisplay = totalValueUSD * (displaySymbol === "Rp" ? usdIdr : 1); 
+    const totalValueDisplay = totalValueUSD * display.rate; 
     const size = 200, strokeWidth = 20, innerRadius = (size / 2) - strokeWidth; 
     let accumulatedAngle = 0;
 
@@ -1420,7 +3889,7 @@ const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbo
                     })} 
                 </svg> 
                 <div className="absolute flex flex-col items-center justify-center pointer-events-none">
-                    <div className="text-xl font-bold text-white">{formatCurrencyShort(totalValueDisplay, false, displaySymbol, 1)}</div>
+                    <div className="text-xl font-bold text-white">{formatMoneyShort(totalValueDisplay, display.code)}</div>
                     <div className="text-sm text-gray-400">{data.length} {activeTab === 'Asset' ? 'Items' : 'Sectors'}</div>
                 </div> 
             </div> 
@@ -1428,7 +3897,7 @@ const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbo
                 const colorPalette = activeTab === 'Asset' ? ["#22c55e", "#4ade80", "#86efac", "#a3e635", "#d9f99d", "#fde047", "#fbbf24", "#6b7280"] : [];
                 const color = d.color || colorPalette[i % colorPalette.length];
                 const percentage = totalValueUSD > 0 ? (d.value / totalValueUSD) * 100 : 0; 
-                const valueDisplay = d.value * (displaySymbol === "Rp" ? usdIdr : 1); 
+                const valueDisplay = d.value * display.rate; 
                 return (
                     <div key={d.name} className={`p-2 rounded-lg transition-colors duration-300 ${hoveredSegment === d.name ? 'bg-black/20' : ''}`} onMouseOver={() => setHoveredSegment(d.name)} onMouseOut={() => setHoveredSegment(null)}>
                         <div className="flex justify-between items-center text-sm">
@@ -1438,7 +3907,7 @@ const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbo
                                 </div>
                                 <div className="flex-1 truncate">
                                     <div className="font-semibold text-white truncate">{d.name}</div>
-                                    <div className="text-xs text-gray-400">{formatCurrency(valueDisplay, false, displaySymbol, 1)}</div>
+                                    <div className="text-xs text-gray-400">{formatMoney(valueDisplay, display.code)}</div>
                                 </div>
                             </div>
                             <div className="flex items-center gap-2 w-3/5">
@@ -1450,10 +3919,47 @@ const PortfolioAllocation = ({ data: fullAssetData, tradingBalance, displaySymbo
                         </div>
                     </div>); 
             })}</div> 
+            {tradingBalance > 0 && <div className="mt-6 border-t border-white/10 pt-4 space-y-2 text-sm">
+                <div className="font-semibold text-white">Cash by currency</div>
+                {CASH_CURRENCIES.filter(c => Math.abs(toNum(cashBalances[c])) > 0.000001).map(c => { const idr = toNum(cashBalances[c]) * (c === 'IDR' ? 1 : usdIdr); return (
+                    <div key={c} className="flex justify-between px-2"><span className="text-gray-400">{c}</span><span className="text-white">{formatCash(cashBalances[c], c)}{c !== display.code && <span className="text-gray-500 ml-2">≈ {formatCurrency(idr, false, display, usdIdr)}</span>}<span className="text-gray-500 ml-2 w-12 inline-block text-right">{(idr / tradingBalance * 100).toFixed(1)}%</span></span></div>); })}
+            </div>}
+            {correlation && <div className="mt-6 border-t border-white/10 pt-4 space-y-3">
+                <div className="flex justify-between items-baseline text-sm">
+                    <span className="font-semibold text-white">Correlation (1Y daily)</span>
+                    <span className="text-gray-400" title="Effective number of independent bets: 1 / Σ wᵢwⱼρᵢⱼ across holdings, with cash as one independent bet">Diversification <span className="font-semibold text-white">{correlation.effectiveBets == null ? '-' : correlation.effectiveBets.toFixed(1)}</span> effective bets of {correlation.holdings.length}{correlation.otherWeight > 0.005 ? ' + cash' : ''}</span>
+                </div>
+                {correlation.warnings.map(({ a, b, correlation: c }) => (
+                    <div key={`${a.id}|${b.id}`} className="text-xs text-amber-300 bg-amber-500/10 border border-amber-500/30 rounded-lg px-3 py-2">
+                        {a.symbol} ({(a.weight * 100).toFixed(0)}%) and {b.symbol} ({(b.weight * 100).toFixed(0)}%) move together (ρ {c.toFixed(2)}), so they behave like one larger position.
+                    </div>))}
+                <div className="overflow-x-auto">
+                    <table className="text-[10px] border-separate" style={{ borderSpacing: 2 }}>
+                        <thead><tr><th />{correlation.holdings.slice(0, HEATMAP_SIZE).map(h => <th key={h.id} className="font-normal text-gray-400 px-1 max-w-[48px] truncate">{h.symbol}</th>)}</tr></thead>
+                        <tbody>{correlation.holdings.slice(0, HEATMAP_SIZE).map((h, i) => <tr key={h.id}>
+                            <th className="font-normal text-gray-400 text-right pr-1 whitespace-nowrap">{h.symbol}</th>
+                            {correlation.matrix[i].slice(0, HEATMAP_SIZE).map((c, j) => <td key={j} title={`${h.symbol} / ${correlation.holdings[j].symbol}: ${c == null ? 'no price history' : c.toFixed(2)}`} className="w-10 h-7 text-center text-white rounded" style={{ backgroundColor: heatColor(c) }}>{c == null ? '–' : c.toFixed(2)}</td>)}
+                        </tr>)}</tbody>
+                    </table>
+                </div>
+            </div>}
+            {liabilities.length > 0 && (() => {
+                // Utang tidak masuk donut; ditampilkan sebagai persentase dari total aset beserta net worth.
+                const totalLiabUSD = liabilities.reduce((s, l) => s + l.balanceIDR / usdIdr, 0);
+                return (
+                <div className="mt-6 border-t border-white/10 pt-4 space-y-3">
+                    <div className="flex justify-between text-sm"><span className="font-semibold text-white">Liabilities</span><span className="text-gray-400">Net worth <span className="font-semibold text-white">{formatMoney((totalValueUSD - totalLiabUSD) * display.rate, display.code)}</span></span></div>
+                    {liabilities.map(l => { const pct = totalValueUSD > 0 ? (l.balanceIDR / usdIdr) / totalValueUSD * 100 : 0; return (
+                        <div key={l.id} className="flex justify-between items-center text-sm p-2">
+                            <div className="flex items-center gap-3 w-2/5"><div className="w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0"><ColorfulLiabilityIcon /></div><div className="flex-1 truncate"><div className="font-semibold text-white truncate">{l.name}</div><div className="text-xs text-red-400">−{formatMoney(l.balanceIDR / usdIdr * display.rate, display.code)}</div></div></div>
+                            <div className="flex items-center gap-2 w-3/5"><div className="w-full bg-zinc-700 rounded-full h-1.5 flex-grow"><div className="h-1.5 rounded-full bg-red-500" style={{ width: `${Math.min(100, pct)}%` }}></div></div><div className="text-white font-semibold text-xs w-12 text-right">{pct.toFixed(1)}%</div></div>
+                        </div>); })}
+                </div>);
+            })()}
         </div> 
     );
 };
-const AssetOptionsPanel = ({ sortBy, setSortBy, displayAs, setDisplayAs, onClose }) => {
+const AssetOptionsPanel = ({ sortBy, setSortBy, displayAs, setDisplayAs, costBasisMethod, setCostBasisMethod, baseCcy, setBaseCcy, onClose }) => {
     return (
         <div className="space-y-6 text-gray-300">
             <div>
@@ -1471,6 +3977,23 @@ const AssetOptionsPanel = ({ sortBy, setSortBy, displayAs, setDisplayAs, onClose
                     <label className="flex items-center gap-3 cursor-pointer"><input type="radio" name="display" value="table" checked={displayAs === 'table'} onChange={(e) => setDisplayAs(e.target.value)} className="accent-emerald-500" /> Table</label>
                 </div>
             </div>
+            <div>
+                <h3 className="font-semibold text-white mb-1">Cost Basis Method</h3>
+                <p className="text-xs text-gray-500 mb-3">Applies to new sells. Past sells keep the method they were booked with.</p>
+                <div className="space-y-2">
+                    {COST_BASIS_METHODS.map(m => (
+                        <label key={m.key} className="flex items-center gap-3 cursor-pointer"><input type="radio" name="costBasis" value={m.key} checked={costBasisMethod === m.key} onChange={(e) => setCostBasisMethod(e.target.value)} className="accent-emerald-500" /> {m.label}</label>
+                    ))}
+                </div>
+            </div>
+            <div>
+                <h3 className="font-semibold text-white mb-1">Base Currency</h3>
+                <p className="text-xs text-gray-500 mb-3">Invested, realized and unrealized P&L are tracked in this currency at the rate of each transaction date.</p>
+                <select value={baseCcy} onChange={(e) => setBaseCcy(e.target.value)} className="w-full bg-zinc-800 border border-zinc-700 rounded px-3 py-2 text-sm text-white">
+                    <optgroup label="Common">{COMMON_CURRENCIES.map(c => <option key={c} value={c}>{c} · {currencyName(c)}</option>)}</optgroup>
+                    <optgroup label="All currencies">{ALL_CURRENCIES.map(c => <option key={c} value={c}>{c} · {currencyName(c)}</option>)}</optgroup>
+                </select>
+            </div>
             <div className="pt-4 border-t border-white/10 flex justify-end">
                 <button onClick={onClose} className="bg-emerald-600 hover:bg-emerald-500 text-white px-5 py-2 rounded font-semibold text-sm">Done</button>
             </div>
@@ -1478,7 +4001,7 @@ const AssetOptionsPanel = ({ sortBy, setSortBy, displayAs, setDisplayAs, onClose
     );
 };
 
-const AssetTableView = ({ rows, displaySymbol, usdIdr, onRowClick }) => {
+const AssetTableView = ({ rows, display, usdIdr, onRowClick }) => {
     return (
         <div className="overflow-x-auto">
             <table className="w-full text-sm text-left">
@@ -1504,8 +4027,9 @@ const AssetTableView = ({ rows, displaySymbol, usdIdr, onRowClick }) => {
                 </thead>
                 <tbody>
                     {rows.map(r => {
-                        const pnlColor = r.pnlUSD >= 0 ? 'text-emerald-400' : 'text-red-400';
-                        const pnlPrefix = r.pnlUSD > 0 ? '+' : '';
+                        const pnl = showsBaseValues(display) ? r.pnlBase : r.pnlUSD;
+                        const pnlColor = pnl >= 0 ? 'text-emerald-400' : 'text-red-400';
+                        const pnlPrefix = pnl > 0 ? '+' : '';
                         return (
                             <tr key={r.id} onClick={() => onRowClick(r)} className="border-b border-zinc-800 hover:bg-zinc-800/50 cursor-pointer">
                                 <td className="px-4 py-3 align-top">
@@ -1513,16 +4037,16 @@ const AssetTableView = ({ rows, displaySymbol, usdIdr, onRowClick }) => {
                                     <div className="text-xs text-gray-400">{formatQty(r.shares)}</div>
                                 </td>
                                 <td className="px-4 py-3 text-right align-top tabular-nums">
-                                    <div className="font-medium text-white text-[11px]">{formatCurrency(r.investedUSD, true, displaySymbol, usdIdr)}</div>
-                                    <div className="text-[10px] text-gray-400">{formatCurrency(r.avgPrice, true, displaySymbol, usdIdr)}</div>
+                                    <div className="font-medium text-white text-[11px]">{formatCurrencyDual(r.investedUSD, r.investedBase, display, usdIdr)}</div>
+                                    <div className="text-[10px] text-gray-400">{formatCurrencyDual(r.avgPrice, r.avgPriceBase, display, usdIdr)}</div>
                                 </td>
                                 <td className="px-4 py-3 text-right align-top tabular-nums">
-                                    <div className="font-medium text-white text-[11px]">{formatCurrency(r.marketValueUSD, true, displaySymbol, usdIdr)}</div>
-                                    <div className="text-[10px] text-gray-400">{formatCurrency(r.lastPriceUSD, true, displaySymbol, usdIdr)}</div>
+                                    <div className="font-medium text-white text-[11px]">{formatCurrency(r.marketValueUSD, true, display, usdIdr)}</div>
+                                    <div className="text-[10px] text-gray-400">{formatCurrency(r.lastPriceUSD, true, display, usdIdr)}</div>
                                 </td>
                                 <td className="px-4 py-3 text-right align-top tabular-nums">
-                                    <div className={`font-medium ${pnlColor} text-[11px]`}>{pnlPrefix}{formatCurrency(r.pnlUSD, true, displaySymbol, usdIdr)}</div>
-                                    <div className={`text-[10px] ${pnlColor}`}>{pnlPrefix}{r.pnlPct.toFixed(2)}%</div>
+                                    <div className={`font-medium ${pnlColor} text-[11px]`}>{pnlPrefix}{formatCurrencyDual(r.pnlUSD, r.pnlBase, display, usdIdr)}</div>
+                                    <div className={`text-[10px] ${pnlColor}`}>{pnlPrefix}{(showsBaseValues(display) ? r.pnlPctBase : r.pnlPct).toFixed(2)}%</div>
                                 </td>
                             </tr>
                         )